@@ -0,0 +1,75 @@
+function isFiniteNumber(x) {
+  return Number.isFinite(x);
+}
+
+function isStName(name) {
+  if (!name) return false;
+  return /st/i.test(String(name));
+}
+
+function getCached(cache, key, compute) {
+  if (cache.has(key)) return cache.get(key);
+  const v = compute();
+  cache.set(key, v);
+  return v;
+}
+
+function toFiniteOrDefault(value, fallback) {
+  const x = Number(value);
+  return Number.isFinite(x) ? x : fallback;
+}
+
+function maPair(s, ctx) {
+  const maPeriods = Array.isArray(ctx.params && ctx.params.maPeriods) ? ctx.params.maPeriods : [5, 10, 20];
+  const pFast = Number(maPeriods[0] || 5);
+  const pSlow = Number(maPeriods[2] || 20);
+  const cache = ctx.cache || new Map();
+  const fast = getCached(cache, `MA:${s.file}:${pFast}`, () => ctx.ind.MA(s.closeAdj, pFast));
+  const slow = getCached(cache, `MA:${s.file}:${pSlow}`, () => ctx.ind.MA(s.closeAdj, pSlow));
+  return { fast, slow };
+}
+
+/**
+ * 示例信号策略（signal_strategy.js，用于 --mode=signal）
+ *
+ * 口径（由引擎保证）：
+ * - entrySignal / exitSignal 各返回与 s.datesYmd 等长的布尔数组，第 i 个元素表示第 i 个交易日收盘后的信号
+ * - 默认 --execution=next_close：信号日的下一交易日按收盘价_复权成交；close 表示信号当日收盘成交
+ * - 持仓时忽略入场信号，空仓时忽略离场信号
+ *
+ * 入场：MA(快) 上穿 MA(慢)（maPeriods 取第 1、3 个，默认 5/20）
+ * 离场：MA(快) 下穿 MA(慢)，或收盘跌破前 stopLookback（默认 10）个交易日的最低收盘价（通道止损）
+ */
+function entrySignal(s, ctx) {
+  const n = s.datesYmd.length;
+  const out = new Array(n).fill(false);
+  const excludeSt = !ctx.params || ctx.params.excludeSt !== false;
+  // ST 逐日看当天的名称：戴帽期间不入场，摘帽后恢复；引擎没提供 util.isStAsOf 时退回 stockName
+  const isStAsOf = ctx.util && typeof ctx.util.isStAsOf === 'function' ? ctx.util.isStAsOf : () => isStName(s.stockName);
+
+  const { fast, slow } = maPair(s, ctx);
+  for (let i = 1; i < n; i += 1) {
+    if (excludeSt && isStAsOf(s, s.datesYmd[i])) continue;
+    if (![fast[i - 1], slow[i - 1], fast[i], slow[i]].every(isFiniteNumber)) continue;
+    out[i] = fast[i - 1] <= slow[i - 1] && fast[i] > slow[i];
+  }
+  return out;
+}
+
+function exitSignal(s, ctx) {
+  const n = s.datesYmd.length;
+  const out = new Array(n).fill(false);
+  const stopLookback = Math.max(1, Math.floor(toFiniteOrDefault(ctx.params && ctx.params.stopLookback, 10)));
+
+  const { fast, slow } = maPair(s, ctx);
+  const prevLow = ctx.ind.REF(ctx.ind.MIN(s.closeAdj, stopLookback), 1);
+  for (let i = 1; i < n; i += 1) {
+    const crossDown = [fast[i - 1], slow[i - 1], fast[i], slow[i]].every(isFiniteNumber)
+      && fast[i - 1] >= slow[i - 1] && fast[i] < slow[i];
+    const stop = isFiniteNumber(prevLow[i]) && isFiniteNumber(s.closeAdj[i]) && s.closeAdj[i] < prevLow[i];
+    out[i] = crossDown || stop;
+  }
+  return out;
+}
+
+module.exports = { entrySignal, exitSignal };
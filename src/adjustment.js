@@ -0,0 +1,47 @@
+// 相邻交易日复权因子变化超过该比例才算除权除息（低于它的多是复权价四舍五入造成的抖动）
+const EX_RIGHTS_MIN_CHANGE = 1e-4;
+// 前收盘价与上一交易日收盘价相差不到半分钱视为没有除权
+const PRE_CLOSE_TOLERANCE = 0.005;
+
+const isFinitePrice = (x) => Number.isFinite(x) && x > 0;
+
+/**
+ * 逐日复权因子 = 收盘价_复权 / 收盘价
+ *
+ * 实际价格 = 复权价 / 因子；实际股数 = 复权口径股数 × 因子。任一价格缺失或 ≤ 0 时为 NaN。
+ */
+function adjustmentFactors(closeAdj, close) {
+  const n = closeAdj.length;
+  const out = new Float64Array(n).fill(Number.NaN);
+  if (!close) return out;
+  for (let i = 0; i < n; i += 1) {
+    if (isFinitePrice(closeAdj[i]) && isFinitePrice(close[i])) out[i] = closeAdj[i] / close[i];
+  }
+  return out;
+}
+
+/**
+ * 除权除息日（YYYYMMDD 数组，升序）：复权因子相对上一个有效因子变化超过 EX_RIGHTS_MIN_CHANGE 的交易日
+ *
+ * 有 `前收盘价` 时还要求它与上一交易日的 `收盘价` 不同（交易所除权后会调整前收盘价），
+ * 避免把复权价精度不足引起的因子抖动当成除权。
+ */
+function exRightsDates(datesYmd, factors, close, preClose) {
+  const out = [];
+  let prev = -1;
+  for (let i = 0; i < factors.length; i += 1) {
+    if (!Number.isFinite(factors[i])) continue;
+    if (prev >= 0 && Math.abs(factors[i] / factors[prev] - 1) > EX_RIGHTS_MIN_CHANGE) {
+      const pre = preClose ? preClose[i] : Number.NaN;
+      const confirmed = !isFinitePrice(pre) || !close || Math.abs(pre - close[prev]) >= PRE_CLOSE_TOLERANCE;
+      if (confirmed) out.push(datesYmd[i]);
+    }
+    prev = i;
+  }
+  return out;
+}
+
+module.exports = {
+  adjustmentFactors,
+  exRightsDates,
+};
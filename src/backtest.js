@@ -1,3 +1,5 @@
+const { createCashAccrual } = require('./financing');
+
 function clamp01(x) {
   if (x < 0) return 0;
   if (x > 1) return 1;
@@ -60,6 +62,7 @@ function computeMaxDrawdown(equityCurve) {
 function simulateLongOnly({
   datesYmd,
   closeAdj,
+  close = null, // 可选：原始收盘价，整手按实际价格计（缺失时按复权价）
   entrySignal,
   exitSignal,
 }, {
@@ -71,6 +74,7 @@ function simulateLongOnly({
   feeBps = 0,
   stampBps = 0,
   forceExitEof = true,
+  cashRate = 0, // 现金年化收益率：常数或 src/financing.js 的利率表
 } = {}) {
   if (!Number.isFinite(startYmd) || !Number.isFinite(endYmd)) throw new Error('startYmd/endYmd 必须是数字 YYYYMMDD');
   if (!Number.isFinite(initialCapital) || initialCapital <= 0) throw new Error(`initialCapital 必须是正数：${initialCapital}`);
@@ -90,6 +94,8 @@ function simulateLongOnly({
 
   const trades = [];
   const equityCurve = [];
+  const accrual = createCashAccrual({ cashRate });
+  let prevYmd = null;
 
   let lastValidClose = Number.NaN;
 
@@ -112,6 +118,8 @@ function simulateLongOnly({
 
     // 只记录区间内的净值曲线（避免 start 之前的 warmup 影响阅读）
     if (inRange(i)) {
+      cash += accrual.accrue(cash, prevYmd, ymd);
+      prevYmd = ymd;
       const mark = shares > 0 ? (Number.isFinite(close) && close > 0 ? close : lastValidClose) : 0;
       const equity = cash + (shares > 0 && Number.isFinite(mark) ? shares * mark : 0);
       equityCurve.push({ date: ymd, equity });
@@ -153,8 +161,11 @@ function simulateLongOnly({
       if (canExec(i, j)) {
         const px = closeAdj[j];
         if (Number.isFinite(px) && px > 0) {
-          const lots = Math.floor(cash / (px * lot));
-          const qty = lots * lot;
+          // 一手折合的复权股数：实际股数 = 复权股数 × 收盘价_复权 / 收盘价
+          const raw = close ? close[j] : Number.NaN;
+          const lotShares = Number.isFinite(raw) && raw > 0 ? (lot * raw) / px : lot;
+          const lots = Math.floor(cash / (px * lotShares));
+          const qty = lots * lotShares;
           if (qty > 0) {
             const gross = qty * px;
             const fee = gross * feeRate;
@@ -222,6 +233,7 @@ function simulateLongOnly({
     winRate,
     avgTradeRet,
     equityCurve,
+    financing: { ...accrual.totals, marginCalls: 0 },
   };
 }
 
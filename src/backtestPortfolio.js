@@ -1,5 +1,16 @@
 const { computeMaxDrawdown } = require('./backtest');
-const { indexOfDate } = require('./seriesUtils');
+const { upperBound, indexOfDate, isColumn } = require('./seriesUtils');
+const {
+  isSuspendedAt,
+  isLimitUpLocked,
+  isLimitDownClose,
+  isLimitDownLocked,
+} = require('./tradeLimits');
+const { createFeeCalculator, emptyCostBreakdown, addCosts } = require('./feeSchedule');
+const { createWeighting } = require('./weighting');
+const { industryWeightsOf } = require('./industry');
+const { calendarDaysBetween } = require('./dateUtils');
+const { DEFAULT_MAINTENANCE_RATIO, createCashAccrual } = require('./financing');
 
 function shouldReplaceLastPoint(curve, date) {
   return curve.length && curve[curve.length - 1].date === date;
@@ -134,6 +145,8 @@ function simulatePortfolioEqualWeight({
   lot = 100,
   feeBps = 0,
   stampBps = 0,
+  feeSchedule = null, // 见 src/feeSchedule.js；提供时忽略 feeBps/stampBps
+  cashRate = 0, // 现金年化收益率：常数或 src/financing.js 的利率表
 } = {}) {
   if (!Number.isFinite(startYmd) || !Number.isFinite(endYmd)) throw new Error('startYmd/endYmd 必须是数字 YYYYMMDD');
   if (!Number.isFinite(initialCapital) || initialCapital <= 0) throw new Error(`initialCapital 必须是正数：${initialCapital}`);
@@ -141,8 +154,9 @@ function simulatePortfolioEqualWeight({
   if (!Number.isFinite(feeBps) || feeBps < 0) throw new Error(`feeBps 必须是非负数：${feeBps}`);
   if (!Number.isFinite(stampBps) || stampBps < 0) throw new Error(`stampBps 必须是非负数：${stampBps}`);
 
-  const feeRate = feeBps / 10000;
-  const stampRate = stampBps / 10000;
+  const fees = createFeeCalculator({ feeSchedule, feeBps, stampBps });
+  const costs = emptyCostBreakdown();
+  const accrual = createCashAccrual({ cashRate });
 
   const sortedEvents = events
     .filter((e) => Number.isFinite(e.date) && e.date >= startYmd && e.date <= endYmd)
@@ -162,6 +176,13 @@ function simulatePortfolioEqualWeight({
 
   const heap = new MinHeap(); // { date, file }
 
+  // 现金利息在每个净值点按距上一个净值点的自然日数计提；空仓且无事件的日子并入下一个净值点
+  let accruedYmd = null;
+  const accrueTo = (ymd) => {
+    cash += accrual.accrue(cash, accruedYmd, ymd);
+    accruedYmd = ymd;
+  };
+
   const pushNextIfAny = (file) => {
     const pos = positions.get(file);
     if (!pos) return;
@@ -201,6 +222,7 @@ function simulatePortfolioEqualWeight({
       const top = heap.peek();
       if (top.date >= dateExclusive) break;
       const d = top.date;
+      accrueTo(d);
       // 同一日可能多个股票更新：合并为一个净值点
       while (heap.size() && heap.peek().date === d) {
         const { file } = heap.pop();
@@ -232,7 +254,8 @@ function simulatePortfolioEqualWeight({
     }
   };
 
-  const canBuyAtBudget = (ev, budget) => Math.floor(budget / (ev.price * lot)) * lot > 0;
+  const lotOf = (ev) => lotSharesAt(seriesByFile.get(ev.file), ev.execIdx, lot);
+  const canBuyAtBudget = (ev, budget) => Math.floor(budget / (ev.price * lotOf(ev))) > 0;
 
   const buyWithEqualBudget = (buyEvents) => {
     const candidates0 = buyEvents.filter((ev) => !positions.has(ev.file));
@@ -247,15 +270,18 @@ function simulatePortfolioEqualWeight({
           const ev = candidates[k];
           const px = ev.price;
           const budgetNow = cash / (candidates.length - k);
-          let qty = Math.floor(budgetNow / (px * lot)) * lot;
-          const maxQty = Math.floor(cash / (px * lot)) * lot;
-          if (qty > maxQty) qty = maxQty;
-          if (qty <= 0) continue;
+          const lotShares = lotOf(ev);
+          let lots = Math.min(Math.floor(budgetNow / (px * lotShares)), Math.floor(cash / (px * lotShares)));
+          const buyCost = (n) => n * lotShares * px + fees.buy(ev.file, ev.date, n * lotShares * px, n * lot).total;
+          // 含费用（如最低佣金）超出现金时逐手减少
+          while (lots > 0 && buyCost(lots) > cash + 1e-9) lots -= 1;
+          if (lots <= 0) continue;
+          const qty = lots * lotShares;
 
           const gross = qty * px;
-          const fee = gross * feeRate;
-          const cost = gross + fee;
-          if (cost > cash + 1e-9) continue;
+          const fee = fees.buy(ev.file, ev.date, gross, lots * lot);
+          const cost = gross + fee.total;
+          addCosts(costs, fee);
 
           cash -= cost;
           positions.set(ev.file, {
@@ -292,9 +318,9 @@ function simulatePortfolioEqualWeight({
     }
 
     const gross = pos.shares * px;
-    const fee = gross * feeRate;
-    const stamp = gross * stampRate;
-    const net = gross - fee - stamp;
+    const fee = fees.sell(ev.file, ev.date, gross, pos.shares * shareFactorAt(seriesByFile.get(ev.file), ev.execIdx));
+    addCosts(costs, fee);
+    const net = gross - fee.total;
     cash += net;
     totalMarketValue -= pos.shares * px;
 
@@ -320,6 +346,7 @@ function simulatePortfolioEqualWeight({
     const date = sortedEvents[i].date;
 
     flushUpdatesBefore(date);
+    accrueTo(date);
     applyUpdatesAt(date);
 
     const todays = [];
@@ -358,6 +385,8 @@ function simulatePortfolioEqualWeight({
     winRate,
     avgTradeRet,
     equityCurve,
+    costs,
+    financing: { ...accrual.totals, marginCalls: 0 },
   };
 }
 
@@ -365,6 +394,56 @@ function isFinitePrice(x) {
   return Number.isFinite(x) && x > 0;
 }
 
+// 复权股数 → 实际股数的换算系数（收盘价_复权 / 收盘价）；缺原始价时按 1 处理
+function shareFactorAt(s, idx) {
+  if (!s || idx < 0 || !isColumn(s.close)) return 1;
+  const raw = s.close[idx];
+  const adj = s.closeAdj[idx];
+  return isFinitePrice(raw) && isFinitePrice(adj) ? adj / raw : 1;
+}
+
+// 一手（lot 股实际股数）折合的复权口径股数：整手按实际价格计，持仓与记账仍用复权价
+function lotSharesAt(s, idx, lot) {
+  return lot / shareFactorAt(s, idx);
+}
+
+// dateYmd 之后是否还有未停牌、有成交价的交易日（realistic 下判断卖不出的持仓是否已退市）
+function hasTradableDayAfter(s, dateYmd, kind) {
+  if (!s) return false;
+  for (let i = upperBound(s.datesYmd, dateYmd); i < s.datesYmd.length; i += 1) {
+    if (!isSuspendedAt(s, i) && isFinitePrice(execPriceAt(s, i, kind))) return true;
+  }
+  return false;
+}
+
+const EXEC_PRICES = ['open', 'close', 'vwap'];
+const MISSING_SELL_MODES = ['skip', 'carry'];
+
+/**
+ * 成交价（复权口径）
+ *
+ * - open：开盘价_复权
+ * - close：收盘价_复权
+ * - vwap：成交额/成交量 得到原始均价，再乘当日复权因子（收盘价_复权/收盘价），并夹在当日复权高低价之间
+ */
+function execPriceAt(s, idx, kind) {
+  if (!s || idx < 0 || idx >= s.datesYmd.length) return Number.NaN;
+  if (kind === 'open') return s.openAdj[idx];
+  if (kind === 'vwap') {
+    const amount = isColumn(s.amount) ? s.amount[idx] : Number.NaN;
+    const volume = isColumn(s.volume) ? s.volume[idx] : Number.NaN;
+    const close = isColumn(s.close) ? s.close[idx] : Number.NaN;
+    if (!isFinitePrice(amount) || !isFinitePrice(volume) || !isFinitePrice(close)) return Number.NaN;
+    let px = (amount / volume) * (s.closeAdj[idx] / close);
+    const hi = s.highAdj[idx];
+    const lo = s.lowAdj[idx];
+    if (isFinitePrice(hi) && px > hi) px = hi;
+    if (isFinitePrice(lo) && px < lo) px = lo;
+    return px;
+  }
+  return s.closeAdj[idx];
+}
+
 function simulatePortfolioPeriodicIdeal({
   seriesByFile,
   marketDatesAsc,
@@ -375,14 +454,52 @@ function simulatePortfolioPeriodicIdeal({
   initialCapital = 1000000,
   feeBps = 0,
   stampBps = 0,
+  fillMode = 'ideal', // ideal | realistic
+  lot = 100,
+  roundLot = false,
+  buyPrice = 'close', // open | close | vwap
+  sellPrice = 'close', // open | close | vwap
+  costModel = null, // 见 src/costModel.js；null 表示无滑点/冲击、不限参与率
+  feeSchedule = null, // 见 src/feeSchedule.js；提供时忽略 feeBps/stampBps
+  rebalance = false, // true：保留仍在新名单里的持仓，只交易与目标权重的差额
+  rebalanceBand = 0, // 换仓模式的不交易区间：|持仓市值 - 目标市值| / 净值 不超过该值时不调整
+  weighting = null, // 见 src/weighting.js；null 表示等权（策略给了权重时仍按策略权重）
+  exitRules = null, // 见 src/exitRules.js；null 表示持有到 sellYmd
+  cashRate = 0, // 现金年化收益率：常数或 src/financing.js 的利率表
+  leverage = 1, // 融资杠杆：买入日持仓市值目标 = 净值 × leverage；1 表示不融资
+  financingRate = 0, // 融资年化利率（现金为负时计息）
+  maintenanceRatio = DEFAULT_MAINTENANCE_RATIO, // 维持担保比例 = 持仓市值 / 融资负债，跌破即强平
+  // 卖出日缺价：skip（ideal 下卖出日没有成交价的票整期不买）；carry（照常买入，卖出日缺价时停牌的冻结到复牌后卖出，
+  // 之后再无有效价格的视为退市，按最后有效收盘价离场）
+  missingSell = 'skip',
+  trackIndustry = false, // 周期统计里记录买入日成交后各行业持仓占净值比例（industryWeights）
+  // 周期统计里记录该期委托金额占当日成交额的最大比例（participationMax；按参与率截断前的委托计，容量分析用）
+  trackParticipation = false,
 } = {}) {
   if (!Number.isFinite(startYmd) || !Number.isFinite(endYmd)) throw new Error('startYmd/endYmd 必须是数字 YYYYMMDD');
   if (!Number.isFinite(initialCapital) || initialCapital <= 0) throw new Error(`initialCapital 必须是正数：${initialCapital}`);
   if (!Number.isFinite(feeBps) || feeBps < 0) throw new Error(`feeBps 必须是非负数：${feeBps}`);
   if (!Number.isFinite(stampBps) || stampBps < 0) throw new Error(`stampBps 必须是非负数：${stampBps}`);
+  if (fillMode !== 'ideal' && fillMode !== 'realistic') throw new Error(`fillMode 仅支持 ideal/realistic：${fillMode}`);
+  if (!Number.isFinite(lot) || lot <= 0) throw new Error(`lot 必须是正数：${lot}`);
+  if (!EXEC_PRICES.includes(buyPrice)) throw new Error(`buyPrice 仅支持 open/close/vwap：${buyPrice}`);
+  if (!EXEC_PRICES.includes(sellPrice)) throw new Error(`sellPrice 仅支持 open/close/vwap：${sellPrice}`);
+  if (!Number.isFinite(rebalanceBand) || rebalanceBand < 0 || rebalanceBand >= 1) {
+    throw new Error(`rebalanceBand 必须在 [0, 1) 内：${rebalanceBand}`);
+  }
+  if (!MISSING_SELL_MODES.includes(missingSell)) throw new Error(`missingSell 仅支持 ${MISSING_SELL_MODES.join('/')}：${missingSell}`);
+  if (!Number.isFinite(leverage) || leverage < 1) throw new Error(`leverage 必须 >= 1：${leverage}`);
+  if (!Number.isFinite(maintenanceRatio) || maintenanceRatio <= 1) throw new Error(`maintenanceRatio 必须大于 1：${maintenanceRatio}`);
+  if (leverage > 1 && leverage / (leverage - 1) <= maintenanceRatio) {
+    throw new Error(`leverage=${leverage} 建仓即低于维持担保比例 ${maintenanceRatio}（上限为 ${(maintenanceRatio / (maintenanceRatio - 1)).toFixed(4)}，不含）`);
+  }
 
-  const feeRate = feeBps / 10000;
-  const stampRate = stampBps / 10000;
+  const fees = createFeeCalculator({ feeSchedule, feeBps, stampBps });
+  const costs = emptyCostBreakdown();
+  const realistic = fillMode === 'realistic';
+  const carry = missingSell === 'carry';
+  const weigher = weighting || createWeighting();
+  const accrual = createCashAccrual({ cashRate, financingRate });
 
   const marketDates = (Array.isArray(marketDatesAsc) ? marketDatesAsc : [])
     .filter((d) => Number.isFinite(d) && d >= startYmd && d <= endYmd)
@@ -401,11 +518,78 @@ function simulatePortfolioPeriodicIdeal({
   }
 
   let cash = initialCapital;
-  const positions = new Map(); // file -> { shares, lastPrice, idx, nextIdx, entry: { date, price, cost, periodKey } }
+  // file -> { shares, lastPrice, idx, nextIdx, pendingExit, pendingReason, peak, entry: { date, idx, price, cost, periodKey } }
+  const positions = new Map();
   const trades = [];
+  // 持仓变动明细：{ periodKey, date, file, category, side, shares, price, value, reason? }
+  // category：new（新开仓）/ held（换仓时持有不动，side 为 null）/ resized（加仓或减仓）/ closed（清仓）
+  const positionLog = [];
   const equityCurve = [];
   let totalMarketValue = 0;
 
+  // realistic 模式下被涨跌停/停牌挡住的委托（每笔委托只计一次）；delisted：卖不出且之后再无可卖记录，
+  // 按最后有效收盘价离场的持仓（missingSell=skip；carry 下计入 missing.delisted）
+  const blocked = {
+    buyLimitUp: 0,
+    buySuspended: 0,
+    sellLimitDown: 0,
+    sellSuspended: 0,
+    delisted: 0,
+  };
+  // 成本模型：参与率上限截断的委托数、未成交买入金额（留作现金）、滑点+冲击成本
+  const liquidity = {
+    buyCapped: 0,
+    sellCapped: 0,
+    unfilledBuyValue: 0,
+    impactCost: 0,
+  };
+  // 每个买入日一条：{ periodKey, buyYmd, sellYmd, picks, filled, newPositions, held, resized, closed,
+  //   droppedUnaffordable, unfilledBuyValue, boughtValue, turnover, idleCashRatio }
+  const periodStats = [];
+  // 上个买入日以来的卖出金额、期中加仓金额与清仓只数（计入下一条 periodStats）
+  const flow = { sold: 0, bought: 0, closed: 0 };
+  // 离场规则触发次数（每只持仓每次离场只计一次）
+  const exits = {
+    stopLoss: 0,
+    takeProfit: 0,
+    trailingStop: 0,
+    maxHolding: 0,
+  };
+  // 融资：买入阶段额外可用的额度（净值 × (leverage − 1)），其余时间为 0；强平次数按触发日计
+  let credit = 0;
+  const buyingPower = () => cash + credit;
+  let marginCalls = 0;
+  // 卖出日缺价（仅 missingSell=carry）：退市离场笔数、冻结（停牌顺延）持仓数、两者的已实现盈亏、期末仍冻结的只数与市值
+  const missing = {
+    delisted: 0,
+    frozen: 0,
+    pnl: 0,
+    frozenOpen: 0,
+    frozenOpenValue: 0,
+  };
+
+  // 整手按实际价格：一手折合的复权股数随复权因子变化
+  const lotAt = (file, idx) => lotSharesAt(seriesByFile.get(file), idx, lot);
+  const roundShares = (x, file, idx) => (roundLot ? Math.floor(x / lotAt(file, idx)) * lotAt(file, idx) : x);
+  // 买入 shares 股（复权口径）的总花费 = 成交金额 + 各项费用
+  const buyCostOf = (file, ymd, idx, px, shares) => {
+    const gross = shares * px;
+    return gross + fees.buy(file, ymd, gross, shares * shareFactorAt(seriesByFile.get(file), idx)).total;
+  };
+  const dayAmountAt = (s, idx) => (s && idx >= 0 && isColumn(s.amount) ? s.amount[idx] : Number.NaN);
+
+  // periodKey -> 该期委托金额 / 当日成交额 的最大值；期中离场与到期卖出记在当时所处的周期（最近一个买入日）
+  // 成交额缺失的委托不计入（有参与率上限时本来就成交不了）
+  const participation = new Map();
+  let currentPeriodKey = '';
+  const noteParticipation = (s, idx, notional) => {
+    if (!trackParticipation) return;
+    const dayAmount = dayAmountAt(s, idx);
+    if (!(dayAmount > 0) || !(notional > 0)) return;
+    const ratio = notional / dayAmount;
+    if (!(participation.get(currentPeriodKey) >= ratio)) participation.set(currentPeriodKey, ratio);
+  };
+
   const heap = new MinHeap(); // { date, file }
 
   const pushNextIfAny = (file) => {
@@ -421,15 +605,16 @@ function simulatePortfolioPeriodicIdeal({
     }
   };
 
+  // 盯市到 dateInclusive：交易日历（--calendar）之外的数据日期不单独盯市，并入其后第一个交易日
   const applyPriceUpdateAt = (dateInclusive) => {
-    while (heap.size() && heap.peek().date === dateInclusive) {
-      const { file } = heap.pop();
+    while (heap.size() && heap.peek().date <= dateInclusive) {
+      const { date, file } = heap.pop();
       const pos = positions.get(file);
       const s = seriesByFile.get(file);
       if (!pos || !s) continue;
       const idx = pos.nextIdx;
       if (idx < 0 || idx >= s.datesYmd.length) continue;
-      if (s.datesYmd[idx] !== dateInclusive) continue;
+      if (s.datesYmd[idx] !== date) continue;
 
       const px = s.closeAdj[idx];
       if (isFinitePrice(px)) {
@@ -442,108 +627,763 @@ function simulatePortfolioPeriodicIdeal({
     }
   };
 
+  // shares 小于持仓时为部分卖出：按股数比例结转成本，剩余部分继续持有
+  const closePosition = (file, pos, dateYmd, px, reason, shares = pos.shares) => {
+    const gross = shares * px;
+    const s = seriesByFile.get(file);
+    const fee = fees.sell(file, dateYmd, gross, shares * shareFactorAt(s, s ? indexOfDate(s.datesYmd, dateYmd) : -1));
+    addCosts(costs, fee);
+    const net = gross - fee.total;
+    const whole = shares >= pos.shares - 1e-9;
+    const cost = whole ? pos.entry.cost : pos.entry.cost * (shares / pos.shares);
+    cash += net;
+    totalMarketValue -= shares * pos.lastPrice;
+    flow.sold += gross;
+    if (whole) flow.closed += 1;
+
+    const pnl = net - cost;
+    const ret = cost > 0 ? pnl / cost : Number.NaN;
+    if (pos.missing) missing.pnl += pnl;
+    // 只有换仓减仓算调整；参与率截断后分笔卖出的仍是清仓
+    const category = reason === 'rebalance_trim' ? 'resized' : 'closed';
+    trades.push({
+      file,
+      periodKey: pos.entry.periodKey,
+      entryDate: pos.entry.date,
+      exitDate: dateYmd,
+      entryPrice: pos.entry.price,
+      exitPrice: px,
+      shares,
+      pnl,
+      ret,
+      reason,
+      category,
+      ...(pos.missing ? { missing: pos.missing } : {}),
+    });
+    positionLog.push({ periodKey: currentPeriodKey, date: dateYmd, file, category, side: 'sell', shares, price: px, value: gross, reason });
+
+    if (whole) {
+      positions.delete(file);
+      return;
+    }
+    pos.shares -= shares;
+    pos.entry.cost -= cost;
+  };
+
+  // 返回卖出受阻原因；可卖时返回 null
+  const sellBlockReason = (file, dateYmd) => {
+    const s = seriesByFile.get(file);
+    if (!s) return 'suspended';
+    const idx = indexOfDate(s.datesYmd, dateYmd);
+    if (isSuspendedAt(s, idx) || !isFinitePrice(execPriceAt(s, idx, sellPrice))) return 'suspended';
+    // 开盘卖：只有一字跌停卖不出；收盘/均价卖：收盘跌停即视为卖不出
+    if (sellPrice === 'open' ? isLimitDownLocked(s, idx) : isLimitDownClose(s, idx)) return 'limit_down';
+    return null;
+  };
+
+  // 卖出成交价：当日无有效成交价时（仅 ideal 会走到这里）沿用最近盯市价
+  const sellPxAt = (file, pos, dateYmd) => {
+    const s = seriesByFile.get(file);
+    const px = s ? execPriceAt(s, indexOfDate(s.datesYmd, dateYmd), sellPrice) : Number.NaN;
+    return isFinitePrice(px) ? px : pos.lastPrice;
+  };
+
+  // 每只票最后一个可卖出的交易日 index（有有效卖出价；realistic 下还要求未停牌）
+  const lastSellableIdxCache = new Map();
+  const lastSellableIdx = (s) => {
+    if (lastSellableIdxCache.has(s.file)) return lastSellableIdxCache.get(s.file);
+    let i = s.datesYmd.length - 1;
+    while (i >= 0 && !(isFinitePrice(execPriceAt(s, i, sellPrice)) && !(realistic && isSuspendedAt(s, i)))) i -= 1;
+    lastSellableIdxCache.set(s.file, i);
+    return i;
+  };
+
+  // 当日能卖返回 null；否则之后还能卖出的为 frozen（停牌），再也卖不出的为 delisted（退市 / 数据截止）
+  const missingSellKind = (file, dateYmd) => {
+    const s = seriesByFile.get(file);
+    if (!s) return 'delisted';
+    const idx = indexOfDate(s.datesYmd, dateYmd);
+    if (idx >= 0 && isFinitePrice(execPriceAt(s, idx, sellPrice)) && !(realistic && isSuspendedAt(s, idx))) return null;
+    return lastSellableIdx(s) >= upperBound(s.datesYmd, dateYmd) ? 'frozen' : 'delisted';
+  };
+
+  // 退市：按最后有效收盘价（即当前盯市价）离场，不受参与率限制
+  const delistPosition = (file, pos, dateYmd) => {
+    pos.missing = 'delisted';
+    missing.delisted += 1;
+    closePosition(file, pos, dateYmd, pos.lastPrice, 'delisted');
+  };
+
+  // realistic + missingSell=skip：卖不出且之后再无可卖记录（退市 / 数据截止）的持仓按最后有效收盘价离场
+  // （reason=delisted），不再留在净值里等一个不会到来的卖出日；返回是否已离场
+  const closeIfNeverSellable = (file, pos, dateYmd) => {
+    const s = seriesByFile.get(file);
+    if (s && lastSellableIdx(s) >= upperBound(s.datesYmd, dateYmd)) return false;
+    blocked.delisted += 1;
+    closePosition(file, pos, dateYmd, pos.lastPrice, 'delisted');
+    return true;
+  };
+
+  // 按成本模型卖出：超过参与率上限的部分留到下一交易日继续卖；返回是否已全部卖出
+  // want 小于持仓时为减仓（换仓模式），被参与率截断的部分不再顺延
+  // px 指定参考成交价（止损/止盈触价成交）；默认按 --exec-price 的卖出价
+  const sellPosition = (file, pos, dateYmd, reason, want = pos.shares, px = null) => {
+    const refPx = px === null ? sellPxAt(file, pos, dateYmd) : px;
+    if (trackParticipation) {
+      const s = seriesByFile.get(file);
+      noteParticipation(s, s ? indexOfDate(s.datesYmd, dateYmd) : -1, want * refPx);
+    }
+    if (!costModel) {
+      const whole = want >= pos.shares - 1e-9;
+      closePosition(file, pos, dateYmd, refPx, reason, want);
+      return whole;
+    }
+
+    const s = seriesByFile.get(file);
+    const dayIdx = s ? indexOfDate(s.datesYmd, dateYmd) : -1;
+    const dayAmount = dayAmountAt(s, dayIdx);
+    let shares = want;
+    if (shares * refPx > costModel.maxNotional(dayAmount)) {
+      shares = Math.min(want, roundShares(costModel.maxNotional(dayAmount) / refPx, file, dayIdx));
+      if (!pos.pendingExit) liquidity.sellCapped += 1;
+    }
+    if (!(shares > 0)) return false;
+
+    const fillPx = refPx * (1 - costModel.priceImpactRate(shares * refPx, dayAmount));
+    liquidity.impactCost += shares * (refPx - fillPx);
+    const whole = shares >= pos.shares - 1e-9;
+    closePosition(file, pos, dateYmd, fillPx, reason, shares);
+    return whole;
+  };
+
+  // 卖不出 / 没卖完的持仓之后每个交易日收盘重试；重试成交记为 `<首次离场原因>_delayed`
+  const markPendingExit = (pos, reason) => {
+    if (!pos.pendingExit) pos.pendingReason = reason;
+    pos.pendingExit = true;
+  };
+
+  // 平仓一只持仓；realistic 下卖不出的标记 pendingExit，之后每个交易日收盘重试
+  const exitPosition = (file, pos, dateYmd, reason) => {
+    if (!isFinitePrice(pos.lastPrice)) {
+      positions.delete(file);
+      return;
+    }
+
+    if (carry) {
+      const kind = missingSellKind(file, dateYmd);
+      if (kind === 'delisted') {
+        delistPosition(file, pos, dateYmd);
+        return;
+      }
+      if (kind === 'frozen') {
+        // 冻结：按停牌前收盘价盯市、占用资金，之后每个交易日收盘重试，复牌首日卖出
+        if (!pos.missing) missing.frozen += 1;
+        pos.missing = 'frozen';
+        markPendingExit(pos, reason);
+        return;
+      }
+    }
+
+    if (realistic) {
+      const why = sellBlockReason(file, dateYmd);
+      if (why) {
+        if (!carry && closeIfNeverSellable(file, pos, dateYmd)) return;
+        // 卖不出：继续持有，之后每个交易日收盘重试，直到首个可卖日
+        if (!pos.pendingExit) {
+          if (why === 'limit_down') blocked.sellLimitDown += 1;
+          else blocked.sellSuspended += 1;
+        }
+        markPendingExit(pos, reason);
+        return;
+      }
+    }
+
+    const done = sellPosition(file, pos, dateYmd, pos.pendingExit ? `${pos.pendingReason}_delayed` : reason);
+    if (!done) markPendingExit(pos, reason);
+  };
+
   const sellAllAtClose = (dateYmd, reason) => {
-    if (!positions.size) return;
+    for (const [file, pos] of Array.from(positions.entries())) exitPosition(file, pos, dateYmd, reason);
+  };
+
+  // keepFiles：换仓模式下当日被重新选中的持仓不再卖出
+  const sellPendingAtClose = (dateYmd, keepFiles = null) => {
     for (const [file, pos] of Array.from(positions.entries())) {
-      const px = pos.lastPrice;
-      if (!isFinitePrice(px)) {
-        positions.delete(file);
+      if (!pos.pendingExit) continue;
+      if (keepFiles && keepFiles.has(file)) continue;
+      if (carry) {
+        const kind = missingSellKind(file, dateYmd);
+        if (kind === 'delisted') delistPosition(file, pos, dateYmd);
+        if (kind) continue;
+      }
+      if (realistic && sellBlockReason(file, dateYmd)) {
+        if (!carry) closeIfNeverSellable(file, pos, dateYmd);
         continue;
       }
+      sellPosition(file, pos, dateYmd, `${pos.pendingReason}_delayed`);
+    }
+  };
 
-      const gross = pos.shares * px;
-      const fee = gross * feeRate;
-      const stamp = gross * stampRate;
-      const net = gross - fee - stamp;
-      cash += net;
-      totalMarketValue -= pos.shares * px;
+  // 理想化：无限可分、无整手限制；把 cash 全部均分到 tradable（预算包含费用：gross + fees = budgetPer）。
+  const allocateFractional = (tradable, ymd) => {
+    if (!tradable.length) return [];
+    const budgetPer = buyingPower() / tradable.length;
+    if (!(budgetPer > 0)) return [];
+    return tradable
+      .map((t) => {
+        const factor = shareFactorAt(seriesByFile.get(t.file), t.buyIdx);
+        const gross = fees.grossForBudget(t.file, ymd, budgetPer, t.buyPx, factor);
+        return { ...t, shares: gross / t.buyPx };
+      })
+      .filter((o) => o.shares > 0);
+  };
 
-      const pnl = net - pos.entry.cost;
-      const ret = pos.entry.cost > 0 ? pnl / pos.entry.cost : Number.NaN;
-      trades.push({
-        file,
-        periodKey: pos.entry.periodKey,
-        entryDate: pos.entry.date,
-        exitDate: dateYmd,
-        entryPrice: pos.entry.price,
-        exitPrice: px,
-        shares: pos.shares,
-        pnl,
-        ret,
-        reason,
-      });
+  // 整手：每只按均分预算向下取整到 lot；一手都买不起的票剔除后重新均分；
+  // 余额按“距均分预算缺口最大”优先逐只补一手（每只最多补到不超过均分预算一手的幅度）。
+  const allocateRoundLots = (tradable, ymd) => {
+    const costOfLots = (t, lots) => (lots > 0 ? buyCostOf(t.file, ymd, t.buyIdx, t.buyPx, lots * lotAt(t.file, t.buyIdx)) : 0);
+    let candidates = tradable.slice();
+    while (candidates.length) {
+      const budget = buyingPower() / candidates.length;
+      const affordable = candidates.filter((t) => costOfLots(t, 1) <= budget);
+      if (affordable.length === candidates.length) break;
+      candidates = affordable;
+    }
+    if (!candidates.length) return [];
 
-      positions.delete(file);
+    const budget = buyingPower() / candidates.length;
+    const alloc = candidates.map((t) => {
+      let lots = Math.floor(budget / (t.buyPx * lotAt(t.file, t.buyIdx)));
+      while (lots > 0 && costOfLots(t, lots) > budget) lots -= 1;
+      return { ...t, lots, spent: costOfLots(t, lots) };
+    });
+    let left = buyingPower() - alloc.reduce((acc, a) => acc + a.spent, 0);
+    while (true) {
+      let best = null;
+      let bestGap = 0;
+      let bestCost = 0;
+      for (const a of alloc) {
+        const next = costOfLots(a, a.lots + 1);
+        if (next - a.spent > left + 1e-9) continue;
+        const gap = budget - a.spent;
+        if (gap > bestGap) {
+          bestGap = gap;
+          best = a;
+          bestCost = next;
+        }
+      }
+      if (!best) break;
+      left -= bestCost - best.spent;
+      best.lots += 1;
+      best.spent = bestCost;
     }
+
+    return alloc
+      .filter((a) => a.lots > 0)
+      .map((a) => ({ ...a, shares: a.lots * lotAt(a.file, a.buyIdx) }));
   };
 
-  const buyEqualWeightAtClose = (plan) => {
-    if (!plan) return;
-    const raw = Array.isArray(plan.picks) ? plan.picks : [];
-    const picks = raw
-      .map((x) => String(x).trim())
-      .filter(Boolean);
-    if (!picks.length) return;
+  // 换仓模式：每笔委托自带预算（含费用）。整手时向下取整，一手都买不起的剔除，
+  // 余额按“距预算缺口最大”优先逐只补一手。
+  const allocateBudgets = (orders, ymd) => {
+    if (!roundLot) {
+      return orders
+        .map((o) => {
+          const factor = shareFactorAt(seriesByFile.get(o.file), o.buyIdx);
+          const gross = fees.grossForBudget(o.file, ymd, o.budget, o.buyPx, factor);
+          return { ...o, shares: gross / o.buyPx };
+        })
+        .filter((o) => o.shares > 0);
+    }
 
-    // 只保留“买入日与卖出日都有收盘复权价”的标的；否则整期跳过。
-    const tradable = [];
-    for (const file of picks) {
-      const s = seriesByFile.get(file);
-      if (!s) continue;
-      const buyIdx = indexOfDate(s.datesYmd, plan.buyYmd);
-      const sellIdx = indexOfDate(s.datesYmd, plan.sellYmd);
-      if (buyIdx < 0 || sellIdx < 0 || sellIdx <= buyIdx) continue;
-      const buyPx = s.closeAdj[buyIdx];
-      const sellPx = s.closeAdj[sellIdx];
-      if (!isFinitePrice(buyPx) || !isFinitePrice(sellPx)) continue;
-      tradable.push({ file, buyIdx, buyPx });
-    }
-
-    if (!tradable.length) return;
-    const budgetPer = cash / tradable.length;
-    if (!(budgetPer > 0)) return;
-
-    // 理想化：无限可分、无整手限制；把 cash 全部均分到 tradable（含买入手续费）。
-    cash = 0;
-    for (const t of tradable) {
-      // 预算包含手续费：gross + fee = budgetPer
-      const gross = feeRate > 0 ? (budgetPer / (1 + feeRate)) : budgetPer;
-      const shares = gross / t.buyPx;
-      if (!(shares > 0)) {
-        cash += budgetPer;
+    const costOfLots = (o, lots) => (lots > 0 ? buyCostOf(o.file, ymd, o.buyIdx, o.buyPx, lots * lotAt(o.file, o.buyIdx)) : 0);
+    const alloc = orders.map((o) => {
+      let lots = Math.floor(o.budget / (o.buyPx * lotAt(o.file, o.buyIdx)));
+      while (lots > 0 && costOfLots(o, lots) > o.budget) lots -= 1;
+      return { ...o, lots, spent: costOfLots(o, lots) };
+    });
+    let left = buyingPower() - alloc.reduce((acc, a) => acc + a.spent, 0);
+    while (true) {
+      let best = null;
+      let bestGap = 0;
+      let bestCost = 0;
+      for (const a of alloc) {
+        const next = costOfLots(a, a.lots + 1);
+        if (next - a.spent > left + 1e-9) continue;
+        const gap = a.budget - a.spent;
+        if (gap > bestGap) {
+          bestGap = gap;
+          best = a;
+          bestCost = next;
+        }
+      }
+      if (!best) break;
+      left -= bestCost - best.spent;
+      best.lots += 1;
+      best.spent = bestCost;
+    }
+
+    return alloc
+      .filter((a) => a.lots > 0)
+      .map((a) => ({ ...a, shares: a.lots * lotAt(a.file, a.buyIdx) }));
+  };
+
+  const normalizePicks = (plan) => (Array.isArray(plan.picks) ? plan.picks : [])
+    .map((x) => String(x).trim())
+    .filter(Boolean);
+
+  // ideal：只保留“买入日与卖出日都有收盘复权价”的标的；否则整期跳过。
+  // realistic：只看买入日能否成交（停牌/一字涨停买不进）；卖出日的问题交给延迟卖出处理。
+  // 可买时返回 { file, buyIdx, buyPx }，否则返回 null
+  const tradableAt = (file, plan) => {
+    const s = seriesByFile.get(file);
+    if (!s) return null;
+    const buyIdx = indexOfDate(s.datesYmd, plan.buyYmd);
+    const buyPx = execPriceAt(s, buyIdx, buyPrice);
+    if (realistic) {
+      if (isSuspendedAt(s, buyIdx) || !isFinitePrice(buyPx) || !isFinitePrice(s.closeAdj[buyIdx])) {
+        blocked.buySuspended += 1;
+        return null;
+      }
+      if (isLimitUpLocked(s, buyIdx)) {
+        blocked.buyLimitUp += 1;
+        return null;
+      }
+      return { file, buyIdx, buyPx };
+    }
+    if (carry) return isFinitePrice(buyPx) && isFinitePrice(s.closeAdj[buyIdx]) ? { file, buyIdx, buyPx } : null;
+    const sellIdx = indexOfDate(s.datesYmd, plan.sellYmd);
+    if (buyIdx < 0 || sellIdx < 0 || sellIdx <= buyIdx) return null;
+    const sellPx = execPriceAt(s, sellIdx, sellPrice);
+    if (!isFinitePrice(buyPx) || !isFinitePrice(sellPx) || !isFinitePrice(s.closeAdj[buyIdx])) return null;
+    return { file, buyIdx, buyPx };
+  };
+
+  // 执行买入委托：新开仓建立持仓；已有持仓（换仓模式加仓）累加股数与成本，成交价按股数加权
+  const executeBuyOrders = (orders, plan) => {
+    let filledCount = 0;
+    let unfilledBuyValue = 0;
+    let boughtValue = 0;
+    for (const o of orders) {
+      let { shares } = o;
+      let fillPx = o.buyPx;
+      noteParticipation(seriesByFile.get(o.file), o.buyIdx, shares * o.buyPx);
+      if (costModel) {
+        const dayAmount = dayAmountAt(seriesByFile.get(o.file), o.buyIdx);
+        const cap = costModel.maxNotional(dayAmount);
+        if (shares * o.buyPx > cap) {
+          shares = roundShares(cap / o.buyPx, o.file, o.buyIdx);
+          liquidity.buyCapped += 1;
+        }
+        const capped = shares;
+        const rate = costModel.priceImpactRate(shares * o.buyPx, dayAmount);
+        fillPx = o.buyPx * (1 + rate);
+        // 冲击抬高成交价：无限可分时按原预算少买一点；整手时仅在现金不足时减手（减掉的手数也算未成交）
+        if (!roundLot) shares /= (1 + rate);
+        else {
+          const lotShares = lotAt(o.file, o.buyIdx);
+          while (shares > 0 && buyCostOf(o.file, plan.buyYmd, o.buyIdx, fillPx, shares) > buyingPower() + 1e-9) shares -= lotShares;
+        }
+        unfilledBuyValue += (o.shares - (roundLot ? shares : capped)) * o.buyPx;
+        if (!(shares > 0)) continue;
+        liquidity.impactCost += shares * (fillPx - o.buyPx);
+      }
+
+      const gross = shares * fillPx;
+      const fee = fees.buy(o.file, plan.buyYmd, gross, shares * shareFactorAt(seriesByFile.get(o.file), o.buyIdx));
+      addCosts(costs, fee);
+      const cost = gross + fee.total;
+      cash -= cost;
+      boughtValue += gross;
+      filledCount += 1;
+
+      const held = positions.get(o.file);
+      positionLog.push({
+        periodKey: currentPeriodKey,
+        date: plan.buyYmd,
+        file: o.file,
+        category: held ? 'resized' : 'new',
+        side: 'buy',
+        shares,
+        price: fillPx,
+        value: gross,
+      });
+      if (held) {
+        held.entry.price = (held.entry.price * held.shares + fillPx * shares) / (held.shares + shares);
+        held.entry.cost += cost;
+        held.shares += shares;
+        totalMarketValue += shares * held.lastPrice;
         continue;
       }
 
-      positions.set(t.file, {
+      // 当日按收盘价盯市：非收盘成交时，成交价到收盘价的涨跌计入当日净值
+      const markPx = seriesByFile.get(o.file).closeAdj[o.buyIdx];
+      positions.set(o.file, {
         shares,
-        lastPrice: t.buyPx,
-        idx: t.buyIdx,
-        nextIdx: t.buyIdx + 1,
+        lastPrice: markPx,
+        idx: o.buyIdx,
+        nextIdx: o.buyIdx + 1,
+        peak: Math.max(fillPx, markPx),
         entry: {
           date: plan.buyYmd,
-          price: t.buyPx,
-          cost: budgetPer,
+          idx: o.buyIdx,
+          price: fillPx,
+          cost,
           periodKey: String(plan.periodKey || ''),
         },
       });
-      totalMarketValue += shares * t.buyPx;
-      pushNextIfAny(t.file);
+      totalMarketValue += shares * markPx;
+      pushNextIfAny(o.file);
+    }
+    liquidity.unfilledBuyValue += unfilledBuyValue;
+    return { filledCount, unfilledBuyValue, boughtValue };
+  };
+
+  // 换手率 = (上个买入日以来的买卖金额 + 本次买入金额) / 2 / 调仓后净值
+  const pushPeriodStats = (plan, stats) => {
+    const equity = cash + totalMarketValue;
+    periodStats.push({
+      periodKey: String(plan.periodKey || ''),
+      buyYmd: plan.buyYmd,
+      sellYmd: plan.sellYmd,
+      ...stats,
+      closed: flow.closed,
+      turnover: equity > 0 ? (flow.sold + flow.bought + stats.boughtValue) / 2 / equity : Number.NaN,
+      idleCashRatio: equity > 0 ? cash / equity : Number.NaN,
+      leverage: equity > 0 ? totalMarketValue / equity : Number.NaN,
+      ...(sizingOn ? { targetExposure: periodLeverage, volForecast } : {}),
+      ...(trackIndustry ? {
+        industryWeights: industryWeightsOf(
+          Array.from(positions, ([file, pos]) => ({ file, value: pos.shares * pos.lastPrice })),
+          seriesByFile,
+          plan.buyYmd,
+          equity,
+        ),
+      } : {}),
+    });
+    flow.sold = 0;
+    flow.bought = 0;
+    flow.closed = 0;
+  };
+
+  // 本期总敞口倍数：默认为 leverage；权重方案设了波动率目标时按 exposureFor 逐期调整（不超过 leverage），并记下预估波动率
+  const sizingOn = Boolean(weigher.exposureFor && weigher.volTarget);
+  let periodLeverage = leverage;
+  let volForecast = Number.NaN;
+  const sizePeriod = (plan, files, weights) => {
+    if (!sizingOn) return;
+    const sizing = weigher.exposureFor(plan, files, weights, seriesByFile);
+    periodLeverage = Math.min(sizing.exposure, leverage);
+    volForecast = sizing.forecast;
+  };
+
+  // 融资额度按买入前净值计算；负债已超过额度（净值缩水）时不再加仓
+  // 本期倍数低于 1 时额度为负，即只投入净值 × 倍数
+  const openCredit = () => {
+    credit = periodLeverage !== 1 ? Math.max(0, cash + totalMarketValue) * (periodLeverage - 1) : 0;
+  };
+
+  const buyEqualWeightAtClose = (plan) => {
+    if (!plan) return;
+    currentPeriodKey = String(plan.periodKey || '');
+    const picks = normalizePicks(plan);
+
+    const tradable = [];
+    for (const file of picks) {
+      if (positions.has(file)) continue; // 上期跌停/停牌未卖出的仍在持仓中
+      const t = tradableAt(file, plan);
+      if (t) tradable.push(t);
+    }
+
+    // 等权无约束时沿用均分逻辑；否则每只票的预算 = 现金 × 目标权重
+    const weights = weigher.weightsFor(plan, tradable.map((t) => t.file), seriesByFile);
+    sizePeriod(plan, tradable.map((t) => t.file), weights);
+    openCredit();
+    const weighted = weights ? tradable.filter((t) => weights.has(t.file)) : tradable;
+    let orders;
+    if (weights) orders = allocateBudgets(weighted.map((t) => ({ ...t, budget: buyingPower() * weights.get(t.file) })), plan.buyYmd);
+    else orders = roundLot ? allocateRoundLots(tradable, plan.buyYmd) : allocateFractional(tradable, plan.buyYmd);
+    const { filledCount, unfilledBuyValue, boughtValue } = executeBuyOrders(orders, plan);
+    credit = 0;
+    pushPeriodStats(plan, {
+      picks: picks.length,
+      filled: filledCount,
+      newPositions: filledCount,
+      held: 0,
+      resized: 0,
+      droppedUnaffordable: roundLot ? weighted.length - orders.length : 0,
+      unfilledBuyValue,
+      boughtValue,
+    });
+  };
+
+  // 换仓模式：不在新名单里的持仓清仓；仍在名单里的持仓保留，只把偏离目标权重超过 rebalanceBand 的部分买卖到位。
+  // 目标市值 = 可调仓净值（不含卖不出的待清仓持仓）× 目标权重（默认在保留持仓与可买新票之间等权）
+  const rebalanceAtClose = (plan) => {
+    if (!plan) return;
+    currentPeriodKey = String(plan.periodKey || '');
+    const picks = normalizePicks(plan);
+    const pickSet = new Set(picks);
+
+    for (const [file, pos] of Array.from(positions.entries())) {
+      // 仍在停牌的冻结持仓继续等待复牌卖出，不参与本期调仓
+      const frozen = carry && pos.missing === 'frozen' && missingSellKind(file, plan.buyYmd);
+      if (pickSet.has(file) && !frozen) {
+        pos.pendingExit = false;
+        pos.pendingReason = null;
+      }
+      else if (!pos.pendingExit) exitPosition(file, pos, plan.buyYmd, 'period_exit');
+    }
+
+    const kept = [];
+    const fresh = [];
+    for (const file of picks) {
+      if (positions.has(file)) {
+        if (!positions.get(file).pendingExit) kept.push(file);
+      } else {
+        const t = tradableAt(file, plan);
+        if (t) fresh.push(t);
+      }
+    }
+
+    let equity = cash + totalMarketValue;
+    for (const pos of positions.values()) {
+      if (pos.pendingExit) equity -= pos.shares * pos.lastPrice;
+    }
+    const freshFiles = new Set(fresh.map((t) => t.file));
+    const keptFiles = new Set(kept);
+    const slotFiles = picks.filter((f) => keptFiles.has(f) || freshFiles.has(f));
+    const weights = weigher.weightsFor(plan, slotFiles, seriesByFile);
+    sizePeriod(plan, slotFiles, weights);
+    const targetOf = (file) => {
+      if (!(equity > 0)) return 0;
+      if (!weights) return (equity * periodLeverage) / slotFiles.length;
+      return equity * periodLeverage * (weights.get(file) || 0);
+    };
+
+    let held = 0;
+    let resized = 0;
+    const noteHeld = (file) => {
+      const pos = positions.get(file);
+      held += 1;
+      positionLog.push({
+        periodKey: currentPeriodKey,
+        date: plan.buyYmd,
+        file,
+        category: 'held',
+        side: null,
+        shares: pos.shares,
+        price: pos.lastPrice,
+        value: pos.shares * pos.lastPrice,
+      });
+    };
+    const adds = [];
+    for (const file of kept) {
+      const pos = positions.get(file);
+      const value = pos.shares * pos.lastPrice;
+      const target = targetOf(file);
+      // 权重被约束剔除（如低于 minWeight）的持仓按落选处理
+      if (weights && !(target > 0)) {
+        exitPosition(file, pos, plan.buyYmd, 'period_exit');
+        continue;
+      }
+      if (!(target > 0) || Math.abs(value - target) <= rebalanceBand * equity) {
+        noteHeld(file);
+        continue;
+      }
+
+      if (value > target) {
+        const shares = roundShares((value - target) / pos.lastPrice, file, indexOfDate(seriesByFile.get(file).datesYmd, plan.buyYmd));
+        if (shares > 0 && realistic) {
+          const why = sellBlockReason(file, plan.buyYmd);
+          if (why) {
+            if (why === 'limit_down') blocked.sellLimitDown += 1;
+            else blocked.sellSuspended += 1;
+            noteHeld(file);
+            continue;
+          }
+        }
+        if (shares > 0) {
+          sellPosition(file, pos, plan.buyYmd, 'rebalance_trim', Math.min(shares, pos.shares));
+          resized += 1;
+        } else noteHeld(file);
+        continue;
+      }
+
+      const t = tradableAt(file, plan);
+      if (t) adds.push({ ...t, budget: target - value });
+      else noteHeld(file);
+    }
+
+    // 先减仓后买入；现金不足（费用、待清仓占用）时按比例缩减买入预算
+    openCredit();
+    const wants = [...fresh.map((t) => ({ ...t, budget: targetOf(t.file) })).filter((o) => o.budget > 0), ...adds];
+    const totalBudget = wants.reduce((acc, o) => acc + o.budget, 0);
+    const scale = totalBudget > buyingPower() ? Math.max(0, buyingPower()) / totalBudget : 1;
+    for (const o of wants) o.budget *= scale;
+
+    const orders = allocateBudgets(wants, plan.buyYmd);
+    const { unfilledBuyValue, boughtValue } = executeBuyOrders(orders, plan);
+    credit = 0;
+    const addFiles = new Set(adds.map((o) => o.file));
+    const filledNew = orders.filter((o) => !addFiles.has(o.file) && positions.has(o.file)).length;
+    const orderFiles = new Set(orders.map((o) => o.file));
+    const filledAdds = adds.filter((o) => orderFiles.has(o.file)).length;
+    for (const o of adds) {
+      if (!orderFiles.has(o.file)) noteHeld(o.file);
+    }
+    resized += filledAdds;
+
+    pushPeriodStats(plan, {
+      picks: picks.length,
+      filled: filledNew + filledAdds,
+      newPositions: filledNew,
+      held,
+      resized,
+      droppedUnaffordable: roundLot ? wants.length - adds.length - orders.filter((o) => !addFiles.has(o.file)).length : 0,
+      unfilledBuyValue,
+      boughtValue,
+    });
+  };
+
+  const EXIT_COUNTER_KEYS = {
+    stop_loss: 'stopLoss',
+    take_profit: 'takeProfit',
+    trailing_stop: 'trailingStop',
+    max_holding: 'maxHolding',
+  };
+
+  // 离场释放的现金按当日收盘价、按市值比例加仓其余持仓（停牌/一字涨停的不加）
+  const reallocateFreedCash = (dateYmd, freed) => {
+    const targets = [];
+    let totalValue = 0;
+    for (const [file, pos] of positions.entries()) {
+      if (pos.pendingExit) continue;
+      const s = seriesByFile.get(file);
+      const idx = s ? indexOfDate(s.datesYmd, dateYmd) : -1;
+      const px = idx >= 0 ? s.closeAdj[idx] : Number.NaN;
+      if (!isFinitePrice(px) || isSuspendedAt(s, idx)) continue;
+      if (realistic && isLimitUpLocked(s, idx)) continue;
+      const value = pos.shares * pos.lastPrice;
+      targets.push({ file, buyIdx: idx, buyPx: px, value });
+      totalValue += value;
     }
+    if (!(totalValue > 0)) return;
+    const budgetTotal = Math.min(freed, cash);
+    const orders = allocateBudgets(targets.map((t) => ({ ...t, budget: budgetTotal * (t.value / totalValue) })), dateYmd);
+    const { boughtValue } = executeBuyOrders(orders, { buyYmd: dateYmd, periodKey: '' });
+    flow.bought += boughtValue;
   };
 
+  // 收盘前逐只检查离场规则；买入当日不检查
+  const applyExitRulesAt = (dateYmd, allowReallocate) => {
+    const cashBefore = cash;
+    let exited = 0;
+    for (const [file, pos] of Array.from(positions.entries())) {
+      if (pos.pendingExit || pos.entry.date === dateYmd) continue;
+      const s = seriesByFile.get(file);
+      if (!s || pos.idx < 0 || s.datesYmd[pos.idx] !== dateYmd) continue; // 当日无记录：视为停牌
+      const idx = pos.idx;
+      const hit = exitRules.check({ entryPrice: pos.entry.price, entryIdx: pos.entry.idx, peak: pos.peak }, s, idx);
+      pos.peak = exitRules.nextPeak(pos.peak, s, idx);
+      if (!hit) continue;
+
+      exits[EXIT_COUNTER_KEYS[hit.reason]] += 1;
+      exited += 1;
+      if (realistic) {
+        // 到期离场按卖出成交价的规则判断；日内触价只有一字跌停才卖不出；收盘触发按收盘跌停判断
+        let stuck;
+        if (hit.px === null) stuck = Boolean(sellBlockReason(file, dateYmd));
+        else if (exitRules.trigger === 'close') stuck = isSuspendedAt(s, idx) || isLimitDownClose(s, idx);
+        else stuck = isSuspendedAt(s, idx) || isLimitDownLocked(s, idx);
+        if (stuck) {
+          markPendingExit(pos, hit.reason);
+          continue;
+        }
+      }
+      const done = sellPosition(file, pos, dateYmd, hit.reason, pos.shares, hit.px);
+      if (!done) markPendingExit(pos, hit.reason);
+    }
+
+    const freed = cash - cashBefore;
+    if (exited && allowReallocate && exitRules.freedCash === 'reallocate' && freed > 0) reallocateFreedCash(dateYmd, freed);
+  };
+
+  // 维持担保比例 = 持仓市值 / 融资负债（负现金），按当日收盘价计算；跌破 maintenanceRatio 时当日收盘全部强平
+  // （reason=margin_call）。realistic 下停牌/收盘跌停的卖不出，之后每个交易日收盘重试
+  const checkMarginAt = (dateYmd) => {
+    if (!(cash < 0)) return;
+    const live = Array.from(positions.entries()).filter(([, pos]) => !pos.pendingExit);
+    if (!live.length || totalMarketValue / -cash >= maintenanceRatio) return;
+    marginCalls += 1;
+    for (const [file, pos] of live) {
+      const s = seriesByFile.get(file);
+      const idx = s ? indexOfDate(s.datesYmd, dateYmd) : -1;
+      if (realistic && (idx < 0 || isSuspendedAt(s, idx) || isLimitDownClose(s, idx))) {
+        markPendingExit(pos, 'margin_call');
+        continue;
+      }
+      const done = sellPosition(file, pos, dateYmd, 'margin_call', pos.shares, pos.lastPrice);
+      if (!done) markPendingExit(pos, 'margin_call');
+    }
+  };
+
+  // 换仓模式：sellYmd 的下一个交易日就是下一期买入日时，下一期名单在 sellYmd 收盘已知（asOfYmd = sellYmd），
+  // 当日只卖出落选持仓，重新入选的带到下一期买入日调仓；卖出日与下一期买入日同一天时交给 rebalanceAtClose
+  const nextPlanBySellYmd = new Map(); // sellYmd -> 下一期 plan
+  if (rebalance) {
+    for (let i = 0; i + 1 < marketDates.length; i += 1) {
+      const next = buyPlanByDate.get(marketDates[i + 1]);
+      if (next && sellPlansByDate.has(marketDates[i])) nextPlanBySellYmd.set(marketDates[i], next);
+    }
+  }
+
+  // 卖出落选持仓（待清仓的交给 sellPendingAtClose），重新入选的保留
+  const sellUnpickedAtClose = (dateYmd, nextPlan) => {
+    currentPeriodKey = String(nextPlan.periodKey || '');
+    const pickSet = new Set(normalizePicks(nextPlan));
+    for (const [file, pos] of Array.from(positions.entries())) {
+      if (!pickSet.has(file) && !pos.pendingExit) exitPosition(file, pos, dateYmd, 'period_exit');
+    }
+  };
+
+  let prevYmd = null;
   for (const d of marketDates) {
+    cash += accrual.accrue(cash, prevYmd, d);
     applyPriceUpdateAt(d);
-
-    if (sellPlansByDate.has(d)) {
-      sellAllAtClose(d, 'period_exit');
+    if (leverage > 1) checkMarginAt(d);
+
+    const plan = buyPlanByDate.get(d);
+    const nextPlan = rebalance && !plan ? nextPlanBySellYmd.get(d) : undefined;
+    // 当日本来就有调仓（买入日/卖出日）时不再单独加仓
+    if (exitRules && exitRules.enabled) applyExitRulesAt(d, !plan && !sellPlansByDate.has(d));
+    const keepPlan = rebalance ? (plan || nextPlan) : null;
+    sellPendingAtClose(d, keepPlan ? new Set(normalizePicks(keepPlan)) : null);
+
+    if (sellPlansByDate.has(d) && !(rebalance && plan)) {
+      if (nextPlan) sellUnpickedAtClose(d, nextPlan);
+      else sellAllAtClose(d, 'period_exit');
     }
 
-    if (buyPlanByDate.has(d)) {
-      const plan = buyPlanByDate.get(d);
-      buyEqualWeightAtClose(plan);
+    if (plan) {
+      if (rebalance) rebalanceAtClose(plan);
+      else buyEqualWeightAtClose(plan);
     }
 
     pushEquityPoint(equityCurve, d, cash + totalMarketValue);
+    prevYmd = d;
+  }
+
+  for (const pos of positions.values()) {
+    if (pos.missing !== 'frozen') continue;
+    missing.frozenOpen += 1;
+    missing.frozenOpenValue += pos.shares * pos.lastPrice;
+  }
+  if (trackParticipation) {
+    for (const x of periodStats) {
+      const r = participation.get(x.periodKey);
+      x.participationMax = r === undefined ? Number.NaN : r;
+    }
   }
 
   const finalEquity = cash + totalMarketValue;
@@ -563,11 +1403,600 @@ function simulatePortfolioPeriodicIdeal({
     winRate,
     avgTradeRet,
     equityCurve,
+    blocked,
+    liquidity,
+    costs,
+    periodStats,
+    positionLog,
+    exits,
+    financing: { ...accrual.totals, marginCalls },
+    missing,
+  };
+}
+
+const BOOKS = ['long', 'short'];
+
+/**
+ * 多空周期回测（策略返回 `{ long: [...], short: [...] }`）
+ *
+ * - periodPlans：{ periodKey, buyYmd, sellYmd, long: { picks, weights, scores }, short: { picks, weights, scores } }
+ * - 每个买入日按当时净值分配两边目标市值：多头 = 净值 × (gross + net) / 2，空头 = 净值 × (gross − net) / 2；
+ *   书内按 weighting（策略给了权重时按策略权重）分配；卖不出/平不掉的持仓占用所在书的额度
+ * - 空头：卖出开仓，卖出所得计入现金，持仓按市值记为负债；买入平仓。费用按实际买卖方向计（开空收印花税）
+ * - 融券费用：空头市值 × borrowRate（年化）× 距上一交易日的自然日数 / 365，每个交易日计提
+ * - 现金利息：现金余额（含卖空所得）按 cashRate 计提，口径同 simulatePortfolioPeriodicIdeal
+ * - 两边每日按收盘复权价盯市；净值 = 现金 + 多头市值 − 空头市值
+ * - netExposure <= 1：多头所需资金不超过净值 + 卖空所得，不模拟融资与保证金
+ * - realistic：开多/平空与买入相同（停牌、一字涨停买不进）；开空/平多与卖出相同（停牌、跌停卖不出）；
+ *   开不了的跳过，平不掉的之后每个交易日收盘重试；之后再无可成交记录的按最后有效收盘价平仓（reason=delisted）
+ *
+ * 返回值与 simulatePortfolioPeriodicIdeal 相同，另有 bookCurves（多头/空头账本曲线 = 初始资金 + 该书累计盈亏）、
+ * bookPnl、borrowCost；trades 带 side（long/short）。
+ */
+function simulatePortfolioLongShortPeriodic({
+  seriesByFile,
+  marketDatesAsc,
+  periodPlans,
+}, {
+  startYmd,
+  endYmd,
+  initialCapital = 1000000,
+  feeBps = 0,
+  stampBps = 0,
+  fillMode = 'ideal',
+  lot = 100,
+  roundLot = false,
+  buyPrice = 'close',
+  sellPrice = 'close',
+  costModel = null,
+  feeSchedule = null,
+  weighting = null,
+  grossExposure = 2, // 多头市值 + 空头市值，占净值比例
+  netExposure = 0, // 多头市值 − 空头市值，占净值比例
+  borrowRate = 0, // 融券年化费率（0.08 表示 8%）
+  cashRate = 0, // 现金年化收益率：常数或 src/financing.js 的利率表
+  financingRate = 0, // 现金为负时的年化利率
+  trackIndustry = false, // 周期统计里记录各行业净敞口（多头 − 空头）占净值比例（industryWeights）
+} = {}) {
+  if (!Number.isFinite(startYmd) || !Number.isFinite(endYmd)) throw new Error('startYmd/endYmd 必须是数字 YYYYMMDD');
+  if (!Number.isFinite(initialCapital) || initialCapital <= 0) throw new Error(`initialCapital 必须是正数：${initialCapital}`);
+  if (!Number.isFinite(feeBps) || feeBps < 0) throw new Error(`feeBps 必须是非负数：${feeBps}`);
+  if (!Number.isFinite(stampBps) || stampBps < 0) throw new Error(`stampBps 必须是非负数：${stampBps}`);
+  if (fillMode !== 'ideal' && fillMode !== 'realistic') throw new Error(`fillMode 仅支持 ideal/realistic：${fillMode}`);
+  if (!Number.isFinite(lot) || lot <= 0) throw new Error(`lot 必须是正数：${lot}`);
+  if (!EXEC_PRICES.includes(buyPrice)) throw new Error(`buyPrice 仅支持 open/close/vwap：${buyPrice}`);
+  if (!EXEC_PRICES.includes(sellPrice)) throw new Error(`sellPrice 仅支持 open/close/vwap：${sellPrice}`);
+  if (!Number.isFinite(grossExposure) || grossExposure <= 0) throw new Error(`grossExposure 必须是正数：${grossExposure}`);
+  if (!Number.isFinite(netExposure) || Math.abs(netExposure) > grossExposure || netExposure > 1) {
+    throw new Error(`netExposure 必须在 [-grossExposure, min(grossExposure, 1)] 内：${netExposure}`);
+  }
+  if (!Number.isFinite(borrowRate) || borrowRate < 0) throw new Error(`borrowRate 必须是非负数：${borrowRate}`);
+
+  const fees = createFeeCalculator({ feeSchedule, feeBps, stampBps });
+  const costs = emptyCostBreakdown();
+  const realistic = fillMode === 'realistic';
+  const weigher = weighting || createWeighting();
+  const accrual = createCashAccrual({ cashRate, financingRate });
+  const bookShare = {
+    long: (grossExposure + netExposure) / 2,
+    short: (grossExposure - netExposure) / 2,
+  };
+
+  const marketDates = (Array.isArray(marketDatesAsc) ? marketDatesAsc : [])
+    .filter((d) => Number.isFinite(d) && d >= startYmd && d <= endYmd)
+    .slice()
+    .sort((a, b) => a - b);
+
+  const buyPlanByDate = new Map();
+  const sellDates = new Set();
+  for (const p of (Array.isArray(periodPlans) ? periodPlans : [])) {
+    if (!p || !Number.isFinite(p.buyYmd) || !Number.isFinite(p.sellYmd)) continue;
+    if (p.buyYmd < startYmd || p.sellYmd > endYmd) continue;
+    if (p.buyYmd >= p.sellYmd) continue;
+    buyPlanByDate.set(p.buyYmd, p);
+    sellDates.add(p.sellYmd);
+  }
+
+  let cash = initialCapital;
+  // book -> file -> { shares, lastPrice, idx, nextIdx, pendingExit, pendingReason, borrow, entry: { date, idx, price, cost, periodKey } }
+  // shares 恒为正；空头的 entry.cost 为开仓净所得（成交金额 − 费用），borrow 为已计提的融券费用
+  const positions = { long: new Map(), short: new Map() };
+  const marketValue = { long: 0, short: 0 }; // 两边持仓市值（均为正数）
+  const bookPnl = { long: 0, short: 0 };
+  const bookCurves = { long: [], short: [] };
+  const trades = [];
+  const equityCurve = [];
+  let borrowCost = 0;
+
+  // 开多/平空记在 buy*，开空/平多记在 sell*（与买卖方向一致）；delisted：平不掉且之后再无可成交记录的持仓
+  const blocked = {
+    buyLimitUp: 0,
+    buySuspended: 0,
+    sellLimitDown: 0,
+    sellSuspended: 0,
+    delisted: 0,
+  };
+  const liquidity = {
+    buyCapped: 0,
+    sellCapped: 0,
+    unfilledBuyValue: 0, // 多头未成交开仓金额
+    unfilledShortValue: 0, // 空头未成交开仓金额
+    impactCost: 0,
+  };
+  const periodStats = [];
+  const flow = { traded: 0, closed: 0 };
+
+  // 整手按实际价格：一手折合的复权股数随复权因子变化
+  const lotAt = (file, idx) => lotSharesAt(seriesByFile.get(file), idx, lot);
+  const roundShares = (x, file, idx) => (roundLot ? Math.floor(x / lotAt(file, idx)) * lotAt(file, idx) : x);
+  const dayAmountAt = (s, idx) => (s && idx >= 0 && isColumn(s.amount) ? s.amount[idx] : Number.NaN);
+  const equityNow = () => cash + marketValue.long - marketValue.short;
+  const signOf = (book) => (book === 'long' ? 1 : -1);
+
+  const heap = new MinHeap(); // { date, book, file }
+
+  const pushNextIfAny = (book, file) => {
+    const pos = positions[book].get(file);
+    const s = seriesByFile.get(file);
+    if (!pos || !s) return;
+    const ni = pos.nextIdx;
+    if (ni >= 0 && ni < s.datesYmd.length) {
+      const nd = s.datesYmd[ni];
+      if (Number.isFinite(nd) && nd <= endYmd) heap.push({ date: nd, book, file });
+    }
+  };
+
+  // 同仅做多引擎：交易日历之外的数据日期并入其后第一个交易日盯市
+  const applyPriceUpdateAt = (dateInclusive) => {
+    while (heap.size() && heap.peek().date <= dateInclusive) {
+      const { date, book, file } = heap.pop();
+      const pos = positions[book].get(file);
+      const s = seriesByFile.get(file);
+      if (!pos || !s) continue;
+      const idx = pos.nextIdx;
+      if (idx < 0 || idx >= s.datesYmd.length || s.datesYmd[idx] !== date) continue;
+
+      const px = s.closeAdj[idx];
+      if (isFinitePrice(px)) {
+        const delta = pos.shares * (px - pos.lastPrice);
+        marketValue[book] += delta;
+        bookPnl[book] += signOf(book) * delta;
+        pos.lastPrice = px;
+      }
+      pos.idx = idx;
+      pos.nextIdx = idx + 1;
+      pushNextIfAny(book, file);
+    }
+  };
+
+  // 按上一交易日收盘市值计提融券费用（买入日收盘开的空头从下一交易日开始计）
+  const accrueBorrowAt = (prevYmd, dateYmd) => {
+    if (!(borrowRate > 0) || prevYmd === null) return;
+    const days = calendarDaysBetween(prevYmd, dateYmd);
+    for (const pos of positions.short.values()) {
+      const x = pos.shares * pos.lastPrice * borrowRate * (days / 365);
+      if (!(x > 0)) continue;
+      pos.borrow += x;
+      cash -= x;
+      bookPnl.short -= x;
+      borrowCost += x;
+    }
+  };
+
+  // 买卖受阻原因；可成交时返回 null。买：停牌/一字涨停；卖：停牌/跌停（开盘卖只看一字跌停）
+  const blockReason = (file, dateYmd, action, kind) => {
+    const s = seriesByFile.get(file);
+    if (!s) return 'suspended';
+    const idx = indexOfDate(s.datesYmd, dateYmd);
+    if (isSuspendedAt(s, idx) || !isFinitePrice(execPriceAt(s, idx, kind)) || !isFinitePrice(s.closeAdj[idx])) return 'suspended';
+    if (action === 'buy') return isLimitUpLocked(s, idx) ? 'limit_up' : null;
+    return (kind === 'open' ? isLimitDownLocked(s, idx) : isLimitDownClose(s, idx)) ? 'limit_down' : null;
+  };
+
+  const countBlocked = (action, why) => {
+    if (action === 'buy') {
+      if (why === 'limit_up') blocked.buyLimitUp += 1;
+      else blocked.buySuspended += 1;
+    } else if (why === 'limit_down') blocked.sellLimitDown += 1;
+    else blocked.sellSuspended += 1;
+  };
+
+  // 平仓 shares 股；shares 小于持仓时按比例结转成本与融券费用
+  const closePosition = (book, file, pos, dateYmd, px, reason, shares) => {
+    const action = book === 'long' ? 'sell' : 'buy';
+    const s = seriesByFile.get(file);
+    const gross = shares * px;
+    const fee = fees[action](file, dateYmd, gross, shares * shareFactorAt(s, s ? indexOfDate(s.datesYmd, dateYmd) : -1));
+    addCosts(costs, fee);
+    const whole = shares >= pos.shares - 1e-9;
+    const part = whole ? 1 : shares / pos.shares;
+    const cost = pos.entry.cost * part;
+    const borrow = pos.borrow * part;
+    const carried = shares * pos.lastPrice;
+    marketValue[book] -= carried;
+    flow.traded += gross;
+    if (whole) flow.closed += 1;
+
+    let pnl;
+    if (book === 'long') {
+      const net = gross - fee.total;
+      cash += net;
+      bookPnl.long += net - carried;
+      pnl = net - cost;
+    } else {
+      const outlay = gross + fee.total;
+      cash -= outlay;
+      bookPnl.short += carried - outlay;
+      pnl = cost - outlay - borrow;
+    }
+    trades.push({
+      file,
+      side: book,
+      periodKey: pos.entry.periodKey,
+      entryDate: pos.entry.date,
+      exitDate: dateYmd,
+      entryPrice: pos.entry.price,
+      exitPrice: px,
+      shares,
+      pnl,
+      ret: cost > 0 ? pnl / cost : Number.NaN,
+      reason,
+    });
+
+    if (whole) {
+      positions[book].delete(file);
+      return;
+    }
+    pos.shares -= shares;
+    pos.entry.cost -= cost;
+    pos.borrow -= borrow;
+  };
+
+  // 平仓一只持仓：realistic 下受阻或被参与率截断的部分标记 pendingExit，之后每个交易日收盘重试
+  const exitPosition = (book, file, pos, dateYmd, reason) => {
+    if (!isFinitePrice(pos.lastPrice)) {
+      positions[book].delete(file);
+      return;
+    }
+    const action = book === 'long' ? 'sell' : 'buy';
+    if (realistic) {
+      const why = blockReason(file, dateYmd, action, sellPrice);
+      if (why && !hasTradableDayAfter(seriesByFile.get(file), dateYmd, sellPrice)) {
+        // 退市 / 数据截止：按最后有效收盘价平仓
+        blocked.delisted += 1;
+        closePosition(book, file, pos, dateYmd, pos.lastPrice, 'delisted', pos.shares);
+        return;
+      }
+      if (why) {
+        if (!pos.pendingExit) countBlocked(action, why);
+        if (!pos.pendingExit) pos.pendingReason = reason;
+        pos.pendingExit = true;
+        return;
+      }
+    }
+
+    const s = seriesByFile.get(file);
+    const idx = s ? indexOfDate(s.datesYmd, dateYmd) : -1;
+    const execPx = s ? execPriceAt(s, idx, sellPrice) : Number.NaN;
+    const refPx = isFinitePrice(execPx) ? execPx : pos.lastPrice;
+    const why = pos.pendingExit ? `${pos.pendingReason}_delayed` : reason;
+    let shares = pos.shares;
+    let fillPx = refPx;
+    if (costModel) {
+      const dayAmount = dayAmountAt(s, idx);
+      if (shares * refPx > costModel.maxNotional(dayAmount)) {
+        shares = Math.min(pos.shares, roundShares(costModel.maxNotional(dayAmount) / refPx, file, idx));
+        if (!pos.pendingExit) liquidity[action === 'buy' ? 'buyCapped' : 'sellCapped'] += 1;
+      }
+      if (shares > 0) {
+        const rate = costModel.priceImpactRate(shares * refPx, dayAmount);
+        fillPx = action === 'buy' ? refPx * (1 + rate) : refPx * (1 - rate);
+        liquidity.impactCost += shares * Math.abs(fillPx - refPx);
+      }
+    }
+    const whole = shares >= pos.shares - 1e-9;
+    if (shares > 0) closePosition(book, file, pos, dateYmd, fillPx, why, shares);
+    if (!whole) {
+      if (!pos.pendingExit) pos.pendingReason = reason;
+      pos.pendingExit = true;
+    }
+  };
+
+  // pending=true 只重试之前没平掉的；false 只平其余持仓（每只每天只尝试一次）
+  const closeAllAtClose = (dateYmd, pending) => {
+    for (const book of BOOKS) {
+      for (const [file, pos] of Array.from(positions[book].entries())) {
+        if (Boolean(pos.pendingExit) !== pending) continue;
+        exitPosition(book, file, pos, dateYmd, 'period_exit');
+      }
+    }
+  };
+
+  const normalizeList = (list) => (Array.isArray(list) ? list : [])
+    .map((x) => String(x).trim())
+    .filter(Boolean);
+
+  // ideal：买入日与卖出日都要有成交价；realistic：只看买入日能否开仓（开多按买、开空按卖判断）
+  const tradableAt = (book, file, plan) => {
+    const s = seriesByFile.get(file);
+    if (!s) return null;
+    const buyIdx = indexOfDate(s.datesYmd, plan.buyYmd);
+    const buyPx = execPriceAt(s, buyIdx, buyPrice);
+    if (realistic) {
+      const action = book === 'long' ? 'buy' : 'sell';
+      const why = blockReason(file, plan.buyYmd, action, buyPrice);
+      if (why) {
+        countBlocked(action, why);
+        return null;
+      }
+      return { file, buyIdx, buyPx };
+    }
+    const sellIdx = indexOfDate(s.datesYmd, plan.sellYmd);
+    if (buyIdx < 0 || sellIdx < 0 || sellIdx <= buyIdx) return null;
+    const sellPx = execPriceAt(s, sellIdx, sellPrice);
+    if (!isFinitePrice(buyPx) || !isFinitePrice(sellPx) || !isFinitePrice(s.closeAdj[buyIdx])) return null;
+    return { file, buyIdx, buyPx };
+  };
+
+  // 开仓：多头预算含费用（与仅做多一致）；空头按目标市值卖出
+  const openPosition = (book, t, budget, plan) => {
+    const action = book === 'long' ? 'buy' : 'sell';
+    const s = seriesByFile.get(t.file);
+    const factor = shareFactorAt(s, t.buyIdx);
+    let shares;
+    if (book === 'long') {
+      if (roundLot) {
+        shares = roundShares(budget / t.buyPx, t.file, t.buyIdx);
+        while (shares > 0 && shares * t.buyPx + fees.buy(t.file, plan.buyYmd, shares * t.buyPx, shares * factor).total > budget) shares -= lotAt(t.file, t.buyIdx);
+      } else shares = fees.grossForBudget(t.file, plan.buyYmd, budget, t.buyPx, factor) / t.buyPx;
+    } else shares = roundShares(budget / t.buyPx, t.file, t.buyIdx);
+    if (!(shares > 0)) return { filled: false, dropped: true, gross: 0 };
+
+    let fillPx = t.buyPx;
+    if (costModel) {
+      const dayAmount = dayAmountAt(s, t.buyIdx);
+      const cap = costModel.maxNotional(dayAmount);
+      const want = shares;
+      if (shares * t.buyPx > cap) {
+        shares = roundShares(cap / t.buyPx, t.file, t.buyIdx);
+        liquidity[action === 'buy' ? 'buyCapped' : 'sellCapped'] += 1;
+      }
+      const rate = costModel.priceImpactRate(shares * t.buyPx, dayAmount);
+      fillPx = action === 'buy' ? t.buyPx * (1 + rate) : t.buyPx * (1 - rate);
+      // 冲击抬高买入价：无限可分时按原预算少买一点（与仅做多一致）
+      if (action === 'buy' && !roundLot) shares /= (1 + rate);
+      liquidity[book === 'long' ? 'unfilledBuyValue' : 'unfilledShortValue'] += (want - shares) * t.buyPx;
+      if (!(shares > 0)) return { filled: false, dropped: false, gross: 0 };
+      liquidity.impactCost += shares * Math.abs(fillPx - t.buyPx);
+    }
+
+    const gross = shares * fillPx;
+    const fee = fees[action](t.file, plan.buyYmd, gross, shares * factor);
+    addCosts(costs, fee);
+    const markPx = s.closeAdj[t.buyIdx];
+    let cost;
+    if (book === 'long') {
+      cost = gross + fee.total;
+      cash -= cost;
+      bookPnl.long += shares * markPx - cost;
+    } else {
+      cost = gross - fee.total;
+      cash += cost;
+      bookPnl.short += cost - shares * markPx;
+    }
+    marketValue[book] += shares * markPx;
+    flow.traded += gross;
+    positions[book].set(t.file, {
+      shares,
+      lastPrice: markPx,
+      idx: t.buyIdx,
+      nextIdx: t.buyIdx + 1,
+      borrow: 0,
+      entry: {
+        date: plan.buyYmd,
+        idx: t.buyIdx,
+        price: fillPx,
+        cost,
+        periodKey: String(plan.periodKey || ''),
+      },
+    });
+    pushNextIfAny(book, t.file);
+    return { filled: true, dropped: false, gross };
+  };
+
+  // 先开空再开多：卖空所得先到账，多头买入不占用额外资金
+  const openBooksAtClose = (plan) => {
+    const equity = equityNow();
+    const unfilledBefore = liquidity.unfilledBuyValue;
+    const stats = { picks: 0, filled: 0, droppedUnaffordable: 0, boughtValue: 0 };
+    const perBook = {};
+    for (const book of ['short', 'long']) {
+      const spec = plan[book] || {};
+      const picks = normalizeList(spec.picks);
+      let carried = 0;
+      for (const pos of positions[book].values()) carried += pos.shares * pos.lastPrice;
+      const bookBudget = Math.max(0, equity * bookShare[book] - carried);
+
+      const tradable = [];
+      for (const file of picks) {
+        if (positions.long.has(file) || positions.short.has(file)) continue; // 上期没平掉的仍在持仓中
+        const t = tradableAt(book, file, plan);
+        if (t) tradable.push(t);
+      }
+      const weights = weigher.weightsFor({ ...plan, weights: spec.weights || null, scores: spec.scores || null }, tradable.map((t) => t.file), seriesByFile);
+      let filled = 0;
+      if (equity > 0 && bookBudget > 0) {
+        for (const t of tradable) {
+          const w = weights ? (weights.get(t.file) || 0) : 1 / tradable.length;
+          if (!(w > 0)) continue;
+          const r = openPosition(book, t, bookBudget * w, plan);
+          if (r.filled) filled += 1;
+          if (r.dropped && roundLot) stats.droppedUnaffordable += 1;
+          stats.boughtValue += r.gross;
+        }
+      }
+      stats.picks += picks.length;
+      stats.filled += filled;
+      perBook[book] = { picks: picks.length, filled };
+    }
+
+    const after = equityNow();
+    periodStats.push({
+      periodKey: String(plan.periodKey || ''),
+      buyYmd: plan.buyYmd,
+      sellYmd: plan.sellYmd,
+      picks: stats.picks,
+      filled: stats.filled,
+      longPicks: perBook.long.picks,
+      longFilled: perBook.long.filled,
+      shortPicks: perBook.short.picks,
+      shortFilled: perBook.short.filled,
+      newPositions: stats.filled,
+      held: 0,
+      resized: 0,
+      closed: flow.closed,
+      droppedUnaffordable: stats.droppedUnaffordable,
+      unfilledBuyValue: liquidity.unfilledBuyValue - unfilledBefore,
+      boughtValue: stats.boughtValue,
+      // 多空两边的成交额合计 / 2 / 调仓后净值
+      turnover: after > 0 ? flow.traded / 2 / after : Number.NaN,
+      // 卖空所得对应空头负债，不算闲置：闲置现金 = 现金 − 空头市值
+      idleCashRatio: after > 0 ? (cash - marketValue.short) / after : Number.NaN,
+      longExposure: after > 0 ? marketValue.long / after : Number.NaN,
+      shortExposure: after > 0 ? marketValue.short / after : Number.NaN,
+      ...(trackIndustry ? {
+        industryWeights: industryWeightsOf(
+          [
+            ...Array.from(positions.long, ([file, pos]) => ({ file, value: pos.shares * pos.lastPrice })),
+            ...Array.from(positions.short, ([file, pos]) => ({ file, value: -pos.shares * pos.lastPrice })),
+          ],
+          seriesByFile,
+          plan.buyYmd,
+          after,
+        ),
+      } : {}),
+    });
+    flow.traded = 0;
+    flow.closed = 0;
+  };
+
+  let prevYmd = null;
+  for (const d of marketDates) {
+    cash += accrual.accrue(cash, prevYmd, d);
+    accrueBorrowAt(prevYmd, d);
+    applyPriceUpdateAt(d);
+
+    closeAllAtClose(d, true);
+    if (sellDates.has(d)) closeAllAtClose(d, false);
+
+    const plan = buyPlanByDate.get(d);
+    if (plan) openBooksAtClose(plan);
+
+    pushEquityPoint(equityCurve, d, equityNow());
+    for (const book of BOOKS) pushEquityPoint(bookCurves[book], d, initialCapital + bookPnl[book]);
+    prevYmd = d;
+  }
+
+  const finalEquity = equityNow();
+  const winTrades = trades.filter((t) => Number.isFinite(t.pnl) && t.pnl > 0).length;
+  const { maxDrawdown } = computeMaxDrawdown(equityCurve);
+
+  return {
+    finalEquity,
+    totalReturn: finalEquity / initialCapital - 1,
+    maxDrawdown,
+    trades,
+    winRate: trades.length ? winTrades / trades.length : Number.NaN,
+    avgTradeRet: trades.length
+      ? trades.reduce((acc, t) => acc + (Number.isFinite(t.ret) ? t.ret : 0), 0) / trades.length
+      : Number.NaN,
+    equityCurve,
+    bookCurves,
+    bookPnl: { ...bookPnl },
+    borrowCost,
+    blocked,
+    liquidity,
+    costs,
+    periodStats,
+    exits: {},
+    financing: { ...accrual.totals, marginCalls: 0 },
+  };
+}
+
+function sumFields(list, key) {
+  const out = {};
+  for (const r of list) {
+    for (const [k, v] of Object.entries(r[key] || {})) out[k] = (out[k] || 0) + v;
+  }
+  return out;
+}
+
+function sumCurvesByDate(curves) {
+  const byDate = new Map();
+  for (const curve of curves) {
+    for (const p of curve) byDate.set(p.date, (byDate.get(p.date) || 0) + p.equity);
+  }
+  return Array.from(byDate.entries())
+    .sort((a, b) => a[0] - b[0])
+    .map(([date, equity]) => ({ date, equity }));
+}
+
+/**
+ * 合并分批（tranche）子组合的回测结果
+ *
+ * 净值曲线按日期相加；交易与周期统计带上 tranche 序号（从 0 开始）后合并；计数/金额类统计相加。
+ */
+function combinePortfolioResults(results, initialCapital) {
+  const equityCurve = sumCurvesByDate(results.map((r) => r.equityCurve));
+
+  const trades = results.flatMap((r, tranche) => r.trades.map((t) => ({ ...t, tranche })));
+  const positionLog = results.flatMap((r, tranche) => (r.positionLog || []).map((x) => ({ ...x, tranche })));
+  const periodStats = results
+    .flatMap((r, tranche) => r.periodStats.map((x) => ({ ...x, tranche })))
+    .sort((a, b) => a.buyYmd - b.buyYmd || a.tranche - b.tranche);
+
+  const finalEquity = results.reduce((acc, r) => acc + r.finalEquity, 0);
+  const winTrades = trades.filter((t) => Number.isFinite(t.pnl) && t.pnl > 0).length;
+  const { maxDrawdown } = computeMaxDrawdown(equityCurve);
+
+  // 多空结果：两边账本曲线同样按日期相加（各批账本曲线 = 各批初始资金 + 该书盈亏）
+  const bookCurves = results[0] && results[0].bookCurves
+    ? Object.fromEntries(Object.keys(results[0].bookCurves).map((book) => [book, sumCurvesByDate(results.map((r) => r.bookCurves[book]))]))
+    : undefined;
+
+  return {
+    finalEquity,
+    totalReturn: finalEquity / initialCapital - 1,
+    maxDrawdown,
+    trades,
+    winRate: trades.length ? winTrades / trades.length : Number.NaN,
+    avgTradeRet: trades.length
+      ? trades.reduce((acc, t) => acc + (Number.isFinite(t.ret) ? t.ret : 0), 0) / trades.length
+      : Number.NaN,
+    equityCurve,
+    ...(bookCurves ? {
+      bookCurves,
+      bookPnl: sumFields(results, 'bookPnl'),
+      borrowCost: results.reduce((acc, r) => acc + (r.borrowCost || 0), 0),
+    } : {}),
+    blocked: sumFields(results, 'blocked'),
+    liquidity: sumFields(results, 'liquidity'),
+    costs: sumFields(results, 'costs'),
+    periodStats,
+    positionLog,
+    exits: sumFields(results, 'exits'),
+    financing: sumFields(results, 'financing'),
+    missing: sumFields(results, 'missing'),
   };
 }
 
 module.exports = {
+  EXEC_PRICES,
+  MISSING_SELL_MODES,
+  execPriceAt,
   buildExecutionEvents,
   simulatePortfolioEqualWeight,
   simulatePortfolioPeriodicIdeal,
+  simulatePortfolioLongShortPeriodic,
+  combinePortfolioResults,
 };
@@ -0,0 +1,116 @@
+const { upperBound } = require('./seriesUtils');
+const { TRADING_DAYS_PER_YEAR } = require('./dateUtils');
+const { mean, covariance, stdev } = require('./returnStats');
+
+function isFinitePrice(x) {
+  return Number.isFinite(x) && x > 0;
+}
+
+/**
+ * 基准对齐到交易日序列
+ *
+ * bench：{ datesYmd, close }（日期升序）；对 datesAsc 里的每一天取当日或之前最后一个有效收盘价
+ * （基准缺当日记录时沿用前值），首个有效价之前为 NaN。
+ */
+function alignBenchmark(bench, datesAsc) {
+  const out = new Array(datesAsc.length).fill(Number.NaN);
+  if (!bench || !Array.isArray(bench.datesYmd)) return out;
+  for (let i = 0; i < datesAsc.length; i += 1) {
+    let j = upperBound(bench.datesYmd, datesAsc[i]) - 1;
+    while (j >= 0 && !isFinitePrice(bench.close[j])) j -= 1;
+    if (j >= 0) out[i] = bench.close[j];
+  }
+  return out;
+}
+
+/**
+ * 基准曲线与超额曲线（与组合资金曲线同一坐标，便于画在一张图上）
+ *
+ * - 基准曲线 = 初始资金 × 基准收盘 / 基点收盘；基点为区间内基准首个有效收盘价
+ * - 超额曲线 = 初始资金 × 组合净值 / 基准净值（相对强弱；高于初始资金表示跑赢）；组合净值同样以基点当天为 1
+ * 基点之前两条曲线都没有点。
+ */
+function buildBenchmarkCurves(equityCurve, bench, initialCapital) {
+  const dates = equityCurve.map((p) => p.date);
+  const closes = alignBenchmark(bench, dates);
+  const baseIdx = closes.findIndex(isFinitePrice);
+  const benchmarkCurve = [];
+  const excessCurve = [];
+  if (baseIdx < 0) return { benchmarkCurve, excessCurve };
+  const base = closes[baseIdx];
+  const equityBase = equityCurve[baseIdx].equity;
+  for (let i = baseIdx; i < dates.length; i += 1) {
+    if (!isFinitePrice(closes[i])) continue;
+    const rel = closes[i] / base;
+    benchmarkCurve.push({ date: dates[i], equity: initialCapital * rel });
+    if (Number.isFinite(equityCurve[i].equity) && equityBase > 0) excessCurve.push({ date: dates[i], equity: (initialCapital * equityCurve[i].equity) / equityBase / rel });
+  }
+  return { benchmarkCurve, excessCurve };
+}
+
+/**
+ * 相对基准的统计（按两条曲线共同日期的日收益率计算）
+ *
+ * - fromYmd / toYmd：两条曲线共同日期的首尾，即下面各收益率的对比窗口
+ * - portfolioReturn / benchmarkReturn：组合 / 基准在窗口内的收益率；excessReturn = portfolioReturn − benchmarkReturn
+ *   基准晚于组合开始时，组合以基准首日的净值为起点，而不是初始资金，所以 portfolioReturn 可能不同于总收益率
+ * - beta = cov(组合, 基准) / var(基准)；alpha =（组合日均收益 − beta × 基准日均收益）× 252（无风险利率按 0）
+ * - trackingError = 日超额收益标准差 × √252；informationRatio = 日均超额收益 × 252 / trackingError
+ * - upCapture / downCapture：基准上涨 / 下跌日组合日均收益与基准日均收益之比
+ * 样本不足时对应字段为 NaN。
+ */
+function computeBenchmarkStats(equityCurve, benchmarkCurve) {
+  const benchByDate = new Map(benchmarkCurve.map((p) => [p.date, p.equity]));
+  const rp = [];
+  const rb = [];
+  let first = null;
+  let prev = null;
+  for (const p of equityCurve) {
+    const b = benchByDate.get(p.date);
+    if (!Number.isFinite(p.equity) || !isFinitePrice(b)) continue;
+    if (prev && prev.equity > 0) {
+      rp.push(p.equity / prev.equity - 1);
+      rb.push(b / prev.b - 1);
+    }
+    prev = { date: p.date, equity: p.equity, b };
+    if (!first) first = prev;
+  }
+
+  const benchmarkReturn = first ? prev.b / first.b - 1 : Number.NaN;
+  const portfolioReturn = first && first.equity > 0 ? prev.equity / first.equity - 1 : Number.NaN;
+  const excessReturn = portfolioReturn - benchmarkReturn;
+
+  const varB = covariance(rb, rb);
+  const beta = varB > 0 ? covariance(rp, rb) / varB : Number.NaN;
+  const alpha = (mean(rp) - beta * mean(rb)) * TRADING_DAYS_PER_YEAR;
+  const diff = rp.map((x, i) => x - rb[i]);
+  const trackingError = stdev(diff) * Math.sqrt(TRADING_DAYS_PER_YEAR);
+  const informationRatio = trackingError > 0 ? (mean(diff) * TRADING_DAYS_PER_YEAR) / trackingError : Number.NaN;
+
+  const capture = (pick) => {
+    const idx = rb.map((x, i) => (pick(x) ? i : -1)).filter((i) => i >= 0);
+    const mb = mean(idx.map((i) => rb[i]));
+    return mb ? mean(idx.map((i) => rp[i])) / mb : Number.NaN;
+  };
+
+  return {
+    days: rp.length,
+    fromYmd: first ? first.date : null,
+    toYmd: first ? prev.date : null,
+    portfolioReturn,
+    benchmarkReturn,
+    excessReturn,
+    alpha,
+    beta,
+    trackingError,
+    informationRatio,
+    upCapture: capture((x) => x > 0),
+    downCapture: capture((x) => x < 0),
+  };
+}
+
+module.exports = {
+  alignBenchmark,
+  buildBenchmarkCurves,
+  computeBenchmarkStats,
+};
@@ -0,0 +1,93 @@
+const { sharpeRatio } = require('./returnStats');
+
+// 未指定具体资金档位时按初始资金的倍数扫描
+const DEFAULT_CAPACITY_MULTIPLES = [1, 2, 5, 10, 20, 50, 100];
+const DEFAULT_CAPACITY_PARTICIPATION = 0.1;
+// 资金档位下限：更小的数多半是把 --capacity 当成开关（如 --capacity=1）
+const MIN_CAPACITY_LEVEL = 1e4;
+
+/**
+ * 解析容量分析的资金档位
+ *
+ * - `auto`：初始资金 × DEFAULT_CAPACITY_MULTIPLES
+ * - 逗号分隔的金额：`1e6,5e6,2e7`，也接受 `万` / `亿` 后缀（如 `500万,1亿`）；每档不少于 MIN_CAPACITY_LEVEL
+ * 返回去重后升序的资金数组。
+ */
+function parseCapacityLevels(raw, baseCapital) {
+  const s = String(raw || '').trim().toLowerCase();
+  if (!s) return [];
+  if (s === 'auto') return DEFAULT_CAPACITY_MULTIPLES.map((k) => k * baseCapital);
+  const out = s.split(',').map((part) => {
+    const m = part.trim().match(/^(\d+(?:\.\d+)?(?:e\+?\d+)?)\s*(万|亿)?$/);
+    const x = m ? Number(m[1]) * (m[2] === '万' ? 1e4 : m[2] === '亿' ? 1e8 : 1) : Number.NaN;
+    if (!Number.isFinite(x) || x < MIN_CAPACITY_LEVEL) {
+      throw new Error(`--capacity 只接受 auto，或不少于 ${MIN_CAPACITY_LEVEL} 的资金档位（逗号分隔，可带 万/亿，如 500万,1亿）：${part}`);
+    }
+    return x;
+  });
+  return Array.from(new Set(out)).sort((a, b) => a - b);
+}
+
+/**
+ * 容量分析：同一组 periodPlans 在不同资金规模下重放
+ *
+ * - run(capital)：按该初始资金回测（引擎需开启 trackParticipation，并以 threshold 作为参与率上限），返回组合结果
+ * - 每档记录收益率、夏普、最大回撤、累计未成交买入金额，以及最差周期的参与率
+ *   （该期委托金额 / 当日成交额 的最大值，按截断前的委托计）
+ * - 容量上限：最差周期参与率首次超过 threshold 的资金。参与率与资金大致成正比，
+ *   在越界档与上一档之间线性插值；所有档都未越界（或首档即越界）时按首/末档等比例外推
+ *
+ * 返回 { rows, threshold, thresholdCapital, thresholdMethod }；thresholdMethod 为 interpolated / extrapolated，
+ * 全部档位都没有成交额数据时 thresholdCapital 为 NaN。
+ */
+function analyzeCapacity({ levels, threshold = DEFAULT_CAPACITY_PARTICIPATION, run }) {
+  if (!Array.isArray(levels) || !levels.length) throw new Error('容量分析至少需要一个资金档位');
+  if (!Number.isFinite(threshold) || threshold <= 0 || threshold > 1) throw new Error(`参与率阈值必须在 (0, 1] 内：${threshold}`);
+
+  const rows = levels.map((capital) => {
+    const r = run(capital);
+    const stats = Array.isArray(r.periodStats) ? r.periodStats : [];
+    let worst = null;
+    for (const x of stats) {
+      if (Number.isFinite(x.participationMax) && (!worst || x.participationMax > worst.participationMax)) worst = x;
+    }
+    return {
+      capital,
+      finalEquity: r.finalEquity,
+      totalReturn: r.totalReturn,
+      sharpe: sharpeRatio(r.equityCurve || []),
+      maxDrawdown: r.maxDrawdown,
+      trades: Array.isArray(r.trades) ? r.trades.length : 0,
+      unfilledBuyValue: r.liquidity ? r.liquidity.unfilledBuyValue : Number.NaN,
+      worstParticipation: worst ? worst.participationMax : Number.NaN,
+      worstPeriodKey: worst ? worst.periodKey : '',
+    };
+  });
+
+  const known = rows.filter((x) => x.worstParticipation > 0);
+  let thresholdCapital = Number.NaN;
+  let thresholdMethod = '';
+  if (known.length) {
+    const k = known.findIndex((x) => x.worstParticipation > threshold);
+    if (k > 0) {
+      const a = known[k - 1];
+      const b = known[k];
+      const t = (threshold - a.worstParticipation) / (b.worstParticipation - a.worstParticipation);
+      thresholdCapital = a.capital + t * (b.capital - a.capital);
+      thresholdMethod = 'interpolated';
+    } else {
+      const ref = k === 0 ? known[0] : known[known.length - 1];
+      thresholdCapital = (ref.capital * threshold) / ref.worstParticipation;
+      thresholdMethod = 'extrapolated';
+    }
+  }
+
+  return { rows, threshold, thresholdCapital, thresholdMethod };
+}
+
+module.exports = {
+  DEFAULT_CAPACITY_MULTIPLES,
+  DEFAULT_CAPACITY_PARTICIPATION,
+  parseCapacityLevels,
+  analyzeCapacity,
+};
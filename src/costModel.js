@@ -0,0 +1,50 @@
+/**
+ * 交易冲击成本模型（滑点 + 平方根冲击 + 成交额参与率上限）
+ *
+ * 引擎只依赖两个方法，自定义模型实现同名方法即可替换：
+ * - maxNotional(dayAmount)：当日单笔委托最多可成交金额（元；Infinity 表示不限）
+ * - priceImpactRate(notional, dayAmount)：成交价相对参考价的不利偏移比例（买入上浮、卖出下调）
+ *
+ * 内置模型：
+ * - rate = slippageBps/1e4 + impactBps/1e4 * sqrt(notional / dayAmount)
+ *   impactBps 即“吃掉当日全部成交额”时的冲击
+ * - maxParticipation：委托金额占当日 `成交额` 的上限（0~1）；成交额缺失/为 0 时视为不可成交
+ */
+function createCostModel({
+  slippageBps = 0,
+  impactBps = 0,
+  maxParticipation = null,
+} = {}) {
+  if (!Number.isFinite(slippageBps) || slippageBps < 0) throw new Error(`slippageBps 必须是非负数：${slippageBps}`);
+  if (!Number.isFinite(impactBps) || impactBps < 0) throw new Error(`impactBps 必须是非负数：${impactBps}`);
+  if (maxParticipation !== null && (!Number.isFinite(maxParticipation) || maxParticipation <= 0 || maxParticipation > 1)) {
+    throw new Error(`maxParticipation 必须在 (0, 1] 内：${maxParticipation}`);
+  }
+
+  const slipRate = slippageBps / 10000;
+  const impactRate = impactBps / 10000;
+
+  return {
+    slippageBps,
+    impactBps,
+    maxParticipation,
+
+    maxNotional(dayAmount) {
+      if (maxParticipation === null) return Number.POSITIVE_INFINITY;
+      if (!Number.isFinite(dayAmount) || dayAmount <= 0) return 0;
+      return dayAmount * maxParticipation;
+    },
+
+    priceImpactRate(notional, dayAmount) {
+      let rate = slipRate;
+      if (impactRate > 0 && Number.isFinite(notional) && notional > 0 && Number.isFinite(dayAmount) && dayAmount > 0) {
+        rate += impactRate * Math.sqrt(notional / dayAmount);
+      }
+      return rate;
+    },
+  };
+}
+
+module.exports = {
+  createCostModel,
+};
@@ -0,0 +1,201 @@
+const iconv = require('iconv-lite');
+const { parse } = require('csv-parse/sync');
+
+// 个股 CSV 的解码与解析；主线程和解析线程（src/csvWorkerPool.js）共用
+
+const DEFAULT_ENCODING = 'gbk';
+
+function detectEncodingFromBom(buf) {
+  if (!buf || buf.length < 2) return null;
+  // UTF-8 BOM: EF BB BF
+  if (buf.length >= 3 && buf[0] === 0xef && buf[1] === 0xbb && buf[2] === 0xbf) return 'utf8';
+  // UTF-16LE BOM: FF FE
+  if (buf[0] === 0xff && buf[1] === 0xfe) return 'utf16le';
+  // UTF-16BE BOM: FE FF（iconv-lite 对 utf16be 支持不稳定，明确报错更安全）
+  if (buf[0] === 0xfe && buf[1] === 0xff) return 'utf16be';
+  return null;
+}
+
+// --encoding 落到具体文件上的编码：auto 按 BOM 识别，识别不出回退 DEFAULT_ENCODING
+function resolveEncoding(buf, encoding) {
+  const encRaw = String(encoding || DEFAULT_ENCODING).trim().toLowerCase();
+  return encRaw === 'auto' ? (detectEncodingFromBom(buf) || DEFAULT_ENCODING) : encRaw;
+}
+
+function decodeCsvBuffer(buf, encoding) {
+  const enc = resolveEncoding(buf, encoding);
+
+  if (enc === 'utf16be') {
+    throw new Error('检测到 UTF-16BE BOM（FE FF），当前不支持；请先转码为 UTF-8 或 GBK。');
+  }
+
+  if (!iconv.encodingExists(enc)) {
+    throw new Error(`不支持的编码：${encoding}`);
+  }
+
+  // 对带 BOM 的文本，先去掉 BOM，避免把 BOM 当作数据的一部分。
+  let sliceStart = 0;
+  if (enc === 'utf8' && buf.length >= 3 && buf[0] === 0xef && buf[1] === 0xbb && buf[2] === 0xbf) sliceStart = 3;
+  if (enc === 'utf16le' && buf.length >= 2 && buf[0] === 0xff && buf[1] === 0xfe) sliceStart = 2;
+  const body = sliceStart ? buf.subarray(sliceStart) : buf;
+
+  return iconv.decode(body, enc);
+}
+
+function parseYmdInt(dateLike) {
+  if (dateLike === undefined || dateLike === null) return Number.NaN;
+  const s = String(dateLike).trim();
+  const m = s.match(/^(\d{4})[/-]?(\d{2})[/-]?(\d{2})/);
+  if (!m) return Number.NaN;
+  return Number(m[1] + m[2] + m[3]);
+}
+
+function parseNumber(v) {
+  if (v === undefined || v === null) return Number.NaN;
+  const s = String(v).trim();
+  if (s === '') return Number.NaN;
+  const n = Number(s);
+  return Number.isFinite(n) ? n : Number.NaN;
+}
+
+// 个股 CSV 列 → 序列字段（数值列存为 Float64Array，缺失/异常为 NaN）
+const SERIES_CSV_COLUMNS = {
+  datesYmd: '交易日期',
+  closeAdj: '收盘价_复权',
+  openAdj: '开盘价_复权',
+  highAdj: '最高价_复权',
+  lowAdj: '最低价_复权',
+  open: '开盘价',
+  high: '最高价',
+  low: '最低价',
+  close: '收盘价',
+  preClose: '前收盘价',
+  volume: '成交量',
+  amount: '成交额',
+  marketCapFloat: '流通市值',
+  marketCapTotal: '总市值',
+  changePct: '涨跌幅',
+};
+
+// 个股 CSV 的文本列（不做数值解析）
+const SERIES_TEXT_COLUMNS = ['股票代码', '股票名称', '行业'];
+
+// badCells 每列最多记录的示例单元格数
+const MAX_BAD_CELL_SAMPLES = 5;
+
+// 列映射（src/dataSource.js 的 loadColumnMap）下某个标准列在数据里的列名；没有映射时就是标准列名本身
+function sourceColumnOf(columnMap, col) {
+  return (columnMap && columnMap.columns[col]) || col;
+}
+
+function parseCsvRecords(text) {
+  return parse(text, {
+    columns: true,
+    skip_empty_lines: true,
+    trim: true,
+    relax_column_count: true,
+  });
+}
+
+const isBlank = (raw) => raw === undefined || raw === null || String(raw).trim() === '';
+
+function noteBadCell(badCells, col, sample) {
+  if (!badCells[col]) badCells[col] = { count: 0, samples: [] };
+  badCells[col].count += 1;
+  if (badCells[col].samples.length < MAX_BAD_CELL_SAMPLES) badCells[col].samples.push(sample);
+}
+
+/**
+ * 按行记录（对象，键为数据里的列名）组装一只票的序列；返回 { stockCode, stockName, stockNameByDay, industry, columns, extra, badCells }
+ *
+ * - stockNameByDay：逐行 `股票名称`（戴帽/摘帽、更名都会体现在这里）；空单元格沿用上一行的名称，开头为空时是空字符串
+ * - 列名先经 columnMap 映射；badCells 的键始终是标准列名（自定义列为字段名），校验与报告不受映射影响
+ * - extra：columnMap.extra 里的自定义列；所有非空单元格都能解析成数值时为 Float64Array（空为 NaN），否则为字符串数组
+ * - locate(i)：可选，返回第 i 条记录在源文件里的位置（如 `20210104.csv 第 5 行`），写进 badCells 示例的 source；
+ *   不提供时示例只有 row（数据行号，表头为第 1 行）
+ */
+function buildSeriesEntry(records, { stockCode, stockName, columnMap = null, locate = null }) {
+  const n = records.length;
+  const columns = {};
+  const badCells = {};
+  const sampleOf = (i, raw) => (locate ? { row: i + 2, value: String(raw), source: locate(i) } : { row: i + 2, value: String(raw) });
+  for (const [key, col] of Object.entries(SERIES_CSV_COLUMNS)) {
+    const out = new Float64Array(n);
+    const src = sourceColumnOf(columnMap, col);
+    const parseCell = key === 'datesYmd' ? parseYmdInt : parseNumber;
+    for (let i = 0; i < n; i += 1) {
+      const raw = records[i][src];
+      out[i] = parseCell(raw);
+      if (Number.isNaN(out[i]) && !isBlank(raw)) noteBadCell(badCells, col, sampleOf(i, raw));
+    }
+    columns[key] = out;
+  }
+
+  const extra = {};
+  for (const [field, src] of Object.entries(columnMap ? columnMap.extra : {})) {
+    const values = new Float64Array(n);
+    let numeric = true;
+    for (let i = 0; i < n && numeric; i += 1) {
+      const raw = records[i][src];
+      values[i] = parseNumber(raw);
+      if (Number.isNaN(values[i]) && !isBlank(raw)) numeric = false;
+    }
+    extra[field] = numeric ? values : records.map((r) => (isBlank(r[src]) ? '' : String(r[src]).trim()));
+  }
+
+  const nameCol = sourceColumnOf(columnMap, '股票名称');
+  const stockNameByDay = new Array(n);
+  for (let i = 0; i < n; i += 1) {
+    const raw = records[i][nameCol];
+    stockNameByDay[i] = isBlank(raw) ? (i > 0 ? stockNameByDay[i - 1] : '') : String(raw).trim();
+  }
+
+  const industryCol = sourceColumnOf(columnMap, '行业');
+  return {
+    stockCode: String(stockCode || ''),
+    stockName: String(stockName || ''),
+    stockNameByDay,
+    industry: records.some((r) => industryCol in r) ? records.map((r) => String(r[industryCol] || '').trim()) : null,
+    columns,
+    extra,
+    badCells,
+  };
+}
+
+/**
+ * 解码并解析一个个股 CSV（一个文件一只票）；返回 buildSeriesEntry 的结果，空文件返回 null
+ *
+ * columnMap 为 null 时按标准中文列名读取；必要列（股票名称、交易日期、收盘价_复权）缺失时报错。
+ */
+function parseSeriesCsv(buf, f, encoding, columnMap = null) {
+  const records = parseCsvRecords(decodeCsvBuffer(buf, encoding));
+
+  if (!records.length) return null;
+  for (const col of ['股票名称', '交易日期', '收盘价_复权']) {
+    const src = sourceColumnOf(columnMap, col);
+    if (!(src in records[0])) {
+      const label = src === col ? col : `${col}（映射为 ${src}）`;
+      throw new Error(`文件 ${f} 缺少必要列：${label}（encoding=${encoding}；若列名乱码，尝试 --encoding=auto 或 --encoding=utf8）`);
+    }
+  }
+
+  return buildSeriesEntry(records, {
+    stockCode: records[0][sourceColumnOf(columnMap, '股票代码')],
+    stockName: records[0][sourceColumnOf(columnMap, '股票名称')],
+    columnMap,
+  });
+}
+
+module.exports = {
+  DEFAULT_ENCODING,
+  SERIES_CSV_COLUMNS,
+  SERIES_TEXT_COLUMNS,
+  resolveEncoding,
+  decodeCsvBuffer,
+  parseYmdInt,
+  parseNumber,
+  sourceColumnOf,
+  parseCsvRecords,
+  buildSeriesEntry,
+  parseSeriesCsv,
+};
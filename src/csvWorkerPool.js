@@ -0,0 +1,118 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const { Worker, isMainThread, parentPort, workerData } = require('node:worker_threads');
+const { parseSeriesCsv } = require('./csvSeries');
+
+const WORKER_ROLE = 'csv-parser';
+
+/**
+ * `--workers=N|auto`：解析 CSV 的线程数
+ *
+ * - 1（默认）：不开线程，在主线程里逐个解析
+ * - auto：取可用 CPU 核数
+ */
+function resolveWorkerCount(raw) {
+  const s = String(raw === undefined || raw === null ? '' : raw).trim().toLowerCase();
+  if (!s) return 1;
+  if (s === 'auto') return Math.max(1, typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length);
+  const n = Number(s);
+  if (!Number.isInteger(n) || n < 1) throw new Error(`--workers 必须是正整数或 auto：${raw}`);
+  return n;
+}
+
+/**
+ * 解析线程池：每个线程自己读文件、解码并解析，结果里的 Float64Array 以 transferable 方式交回主线程（不复制）
+ *
+ * - 每个线程同一时间只处理一个文件，原始文本只存在于线程内，内存占用随线程数而不是文件数增长
+ * - parse(fullPath, file) 返回 Promise，结果与 parseSeriesCsv 相同（空文件为 null）；解析报错时 reject 同样的错误信息
+ * - 线程崩溃或意外退出时移出线程池，只 reject 它手上的任务，排队中的任务交给其余线程；线程全部退出后排队任务一并 reject
+ * - 用完必须 close()，否则进程不会退出
+ */
+function createCsvWorkerPool({ size, encoding, columnMap = null }) {
+  const queue = [];
+  const idle = [];
+  const running = new Map();
+  const workers = [];
+  let closing = false;
+
+  // 移除死掉的线程（'error' 之后还会有 'exit'，只处理一次）
+  const retire = (w, err) => {
+    const i = workers.indexOf(w);
+    if (i < 0) return;
+    workers.splice(i, 1);
+    const j = idle.indexOf(w);
+    if (j >= 0) idle.splice(j, 1);
+    const job = running.get(w);
+    running.delete(w);
+    if (job) job.reject(err);
+    if (!workers.length) {
+      while (queue.length) queue.shift().reject(err);
+    }
+  };
+
+  const dispatch = (w) => {
+    const job = queue.shift();
+    if (!job) {
+      idle.push(w);
+      return;
+    }
+    running.set(w, job);
+    w.postMessage({ fullPath: job.fullPath, file: job.file });
+  };
+
+  for (let i = 0; i < size; i += 1) {
+    const w = new Worker(__filename, { workerData: { role: WORKER_ROLE, encoding, columnMap } });
+    w.on('message', (msg) => {
+      const job = running.get(w);
+      running.delete(w);
+      if (job) {
+        if (msg.error) job.reject(new Error(msg.error));
+        else job.resolve(msg.entry);
+      }
+      dispatch(w);
+    });
+    w.on('error', (e) => retire(w, e));
+    w.on('exit', (code) => {
+      if (!closing) retire(w, new Error(`CSV 解析线程意外退出（exit code ${code}）`));
+    });
+    workers.push(w);
+    idle.push(w);
+  }
+
+  return {
+    size,
+    parse(fullPath, file) {
+      return new Promise((resolve, reject) => {
+        if (!workers.length) {
+          reject(new Error('CSV 解析线程已全部退出'));
+          return;
+        }
+        queue.push({ fullPath, file, resolve, reject });
+        if (idle.length) dispatch(idle.pop());
+      });
+    },
+    close() {
+      closing = true;
+      return Promise.all(workers.map((w) => w.terminate()));
+    },
+  };
+}
+
+if (!isMainThread && workerData && workerData.role === WORKER_ROLE) {
+  parentPort.on('message', ({ fullPath, file }) => {
+    try {
+      const entry = parseSeriesCsv(fs.readFileSync(fullPath), file, workerData.encoding, workerData.columnMap);
+      const transfer = entry
+        ? [...Object.values(entry.columns), ...Object.values(entry.extra).filter((col) => col instanceof Float64Array)].map((col) => col.buffer)
+        : [];
+      parentPort.postMessage({ entry }, transfer);
+    } catch (e) {
+      parentPort.postMessage({ error: e && e.message ? e.message : String(e) });
+    }
+  });
+}
+
+module.exports = {
+  resolveWorkerCount,
+  createCsvWorkerPool,
+};
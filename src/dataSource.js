@@ -0,0 +1,207 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const {
+  SERIES_CSV_COLUMNS,
+  SERIES_TEXT_COLUMNS,
+  decodeCsvBuffer,
+  parseYmdInt,
+  sourceColumnOf,
+  parseCsvRecords,
+  buildSeriesEntry,
+} = require('./csvSeries');
+
+// 数据源格式（--data-format）
+// - csv：一只票一个 CSV（默认，可缓存、可多线程解析）
+// - wide-csv：一个交易日一个 CSV，每行一只票
+// - ndjson：JSON Lines，每行一条 { 股票代码, 交易日期, ... } 记录；按股票代码归到各只票，文件怎么切分都可以
+const DATA_FORMATS = ['csv', 'wide-csv', 'ndjson'];
+const DEFAULT_DATA_FORMAT = 'csv';
+
+const SOURCE_EXTENSIONS = {
+  csv: ['.csv'],
+  'wide-csv': ['.csv'],
+  ndjson: ['.ndjson', '.jsonl'],
+};
+
+const STANDARD_COLUMNS = [...Object.values(SERIES_CSV_COLUMNS), ...SERIES_TEXT_COLUMNS];
+// 序列对象上已有的字段，自定义列不能同名
+const RESERVED_FIELDS = new Set([...Object.keys(SERIES_CSV_COLUMNS), 'file', 'stockCode', 'stockName', 'stockNameByDay', 'industry', 'adjFactor', 'exRightsYmd']);
+
+function isDataFormat(format) {
+  return DATA_FORMATS.includes(format);
+}
+
+/**
+ * 读取列映射 JSON（`--column-map=PATH`）
+ *
+ * - columns：{ 标准列名: 数据里的列名 }，标准列名见 docs/data-contract.md；没写的列仍按标准列名读取
+ * - extra：{ 字段名: 数据里的列名 }，原样挂到每只票的序列对象上（ctx.universe 里的 s[字段名]）
+ * 返回 { columns, extra, key }；key 是映射内容的规范化文本，用于缓存失效。
+ */
+function loadColumnMap(filePath) {
+  if (!fs.existsSync(filePath)) throw new Error(`找不到列映射文件：${filePath}`);
+  let raw;
+  try {
+    raw = JSON.parse(decodeCsvBuffer(fs.readFileSync(filePath), 'utf8'));
+  } catch (e) {
+    throw new Error(`列映射文件必须是合法 JSON：${filePath}\n${e && e.message ? e.message : String(e)}`);
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error(`列映射文件必须是 JSON 对象：${filePath}`);
+
+  const section = (name) => {
+    const obj = raw[name] === undefined ? {} : raw[name];
+    if (!obj || typeof obj !== 'object' || Array.isArray(obj)) throw new Error(`列映射 ${name} 必须是对象：${filePath}`);
+    const out = {};
+    for (const [k, v] of Object.entries(obj)) {
+      if (typeof v !== 'string' || !v.trim()) throw new Error(`列映射 ${name}.${k} 必须是非空字符串（数据里的列名）：${filePath}`);
+      out[k] = v.trim();
+    }
+    return out;
+  };
+  const columns = section('columns');
+  const extra = section('extra');
+  for (const col of Object.keys(columns)) {
+    if (!STANDARD_COLUMNS.includes(col)) throw new Error(`列映射 columns 里的 ${col} 不是标准列名（可用：${STANDARD_COLUMNS.join('、')}）；自定义列请写在 extra 里`);
+  }
+  for (const field of Object.keys(extra)) {
+    if (!/^[A-Za-z_$][\w$]*$/.test(field)) throw new Error(`列映射 extra 的字段名必须是合法的 JS 标识符：${field}`);
+    if (RESERVED_FIELDS.has(field)) throw new Error(`列映射 extra 的字段名 ${field} 与内置字段重名`);
+  }
+  return { columns, extra, key: JSON.stringify({ columns, extra }) };
+}
+
+// 数据目录下该格式的源文件（文件名升序，保证结果可复现）
+function listSourceFiles(dataDir, format) {
+  const exts = SOURCE_EXTENSIONS[format];
+  return fs.readdirSync(dataDir)
+    .filter((f) => exts.includes(path.extname(f).toLowerCase()))
+    .sort((a, b) => a.localeCompare(b, 'en'));
+}
+
+// 股票代码 → 票的标识（与个股 CSV 的文件名同一口径）：`000001.SZ` 写成 `sz000001`，再补上 `.csv`
+function stockFileOf(code) {
+  let s = String(code || '').trim();
+  const m = s.match(/^(\d{6})\.(SH|SZ|BJ)$/i);
+  if (m) s = `${m[2].toLowerCase()}${m[1]}`;
+  return /\.csv$/i.test(s) ? s : `${s}.csv`;
+}
+
+// 文件名里的日期（`20210104.csv`、`daily_2021-01-04.csv`）；没有时为 NaN
+function ymdFromFileName(file) {
+  const m = path.basename(file).match(/(\d{4}-?\d{2}-?\d{2})/);
+  return m ? parseYmdInt(m[1]) : Number.NaN;
+}
+
+function readWideCsvRows(buf, file, { encoding, columnMap }) {
+  const records = parseCsvRecords(decodeCsvBuffer(buf, encoding));
+  if (!records.length) return [];
+  const codeCol = sourceColumnOf(columnMap, '股票代码');
+  const dateCol = sourceColumnOf(columnMap, '交易日期');
+  for (const col of [codeCol, sourceColumnOf(columnMap, '收盘价_复权')]) {
+    if (!(col in records[0])) throw new Error(`文件 ${file} 缺少必要列：${col}（encoding=${encoding}；若列名乱码，尝试 --encoding=auto 或 --encoding=utf8）`);
+  }
+  if (!(dateCol in records[0])) {
+    const ymd = ymdFromFileName(file);
+    if (!Number.isFinite(ymd)) throw new Error(`文件 ${file} 没有 ${dateCol} 列，文件名里也没有日期（如 20210104.csv）`);
+    for (const r of records) r[dateCol] = String(ymd);
+  }
+  return records.map((record, i) => {
+    if (!String(record[codeCol] || '').trim()) throw new Error(`文件 ${file} 第 ${i + 2} 行缺少 ${codeCol}`);
+    return { code: record[codeCol], record, source: `${file} 第 ${i + 2} 行` };
+  });
+}
+
+function readNdjsonRows(buf, file, { columnMap }) {
+  const codeCol = sourceColumnOf(columnMap, '股票代码');
+  // 没有股票代码的记录归到以文件名命名的票（一只票一个 NDJSON 文件的情况）
+  const fallbackCode = path.basename(file, path.extname(file));
+  const rows = [];
+  decodeCsvBuffer(buf, 'utf8').split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim()) return;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (e) {
+      throw new Error(`文件 ${file} 第 ${i + 1} 行不是合法 JSON：${e && e.message ? e.message : String(e)}`);
+    }
+    if (!record || typeof record !== 'object' || Array.isArray(record)) throw new Error(`文件 ${file} 第 ${i + 1} 行必须是 JSON 对象`);
+    const code = record[codeCol] === undefined || record[codeCol] === null || record[codeCol] === '' ? fallbackCode : record[codeCol];
+    rows.push({ code, record, source: `${file} 第 ${i + 1} 行` });
+  });
+  return rows;
+}
+
+/**
+ * 读取单个记录文件（基准指数这类一个文件一个序列的数据）：`.ndjson` / `.jsonl` 按 JSON Lines，其余按 CSV（编码 encoding）
+ *
+ * 返回记录数组（键为数据里的列名，列映射由调用方用 sourceColumnOf 换算）。
+ */
+function readRecordFile(filePath, { encoding, columnMap = null }) {
+  const file = path.basename(filePath);
+  const buf = fs.readFileSync(filePath);
+  if (SOURCE_EXTENSIONS.ndjson.includes(path.extname(file).toLowerCase())) return readNdjsonRows(buf, file, { columnMap }).map((row) => row.record);
+  return parseCsvRecords(decodeCsvBuffer(buf, encoding));
+}
+
+/**
+ * 读取按日期（wide-csv）或按记录（ndjson）组织的源文件，按股票代码重新归并成一只票一个序列
+ *
+ * - 每只票的记录按交易日期升序（稳定排序，日期无法解析的排在最后）；股票名称取最早一条非空的
+ * - badCells 示例带 source（源文件与行号），方便回到原始数据定位
+ * - onFile()：每读完一个源文件调用一次（进度）
+ * 返回 { entries: Map(票的标识 -> buildSeriesEntry 的结果), failures: Map(源文件 -> 错误信息) }；
+ * 读取失败默认直接抛错，collectFailures=true 时记下错误继续读其余文件。
+ */
+function readPivotedSource(dataDir, sourceFiles, { format, encoding, columnMap = null, collectFailures = false, onFile = null }) {
+  const readRows = format === 'ndjson' ? readNdjsonRows : readWideCsvRows;
+  const groups = new Map();
+  const failures = new Map();
+  for (const file of sourceFiles) {
+    let rows;
+    try {
+      rows = readRows(fs.readFileSync(path.join(dataDir, file)), file, { encoding, columnMap });
+    } catch (e) {
+      if (!collectFailures) throw e;
+      failures.set(file, e && e.message ? e.message : String(e));
+      rows = [];
+    }
+    for (const row of rows) {
+      const key = stockFileOf(row.code);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(row);
+    }
+    if (onFile) onFile();
+  }
+
+  const dateCol = sourceColumnOf(columnMap, '交易日期');
+  const nameCol = sourceColumnOf(columnMap, '股票名称');
+  const entries = new Map();
+  for (const [file, rows] of groups) {
+    const keyed = rows.map((row) => {
+      const ymd = parseYmdInt(row.record[dateCol]);
+      return { row, sortKey: Number.isNaN(ymd) ? Number.MAX_VALUE : ymd };
+    });
+    keyed.sort((a, b) => a.sortKey - b.sortKey);
+    const records = keyed.map((x) => x.row.record);
+    const named = records.find((r) => r[nameCol] !== undefined && r[nameCol] !== null && String(r[nameCol]).trim() !== '');
+    entries.set(file, buildSeriesEntry(records, {
+      stockCode: file.replace(/\.csv$/i, ''),
+      stockName: named ? String(named[nameCol]).trim() : '',
+      columnMap,
+      locate: (i) => keyed[i].row.source,
+    }));
+  }
+  return { entries, failures };
+}
+
+module.exports = {
+  DATA_FORMATS,
+  DEFAULT_DATA_FORMAT,
+  isDataFormat,
+  loadColumnMap,
+  listSourceFiles,
+  stockFileOf,
+  ymdFromFileName,
+  readRecordFile,
+  readPivotedSource,
+};
@@ -0,0 +1,298 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const iconv = require('iconv-lite');
+const { parse } = require('csv-parse/sync');
+const { resolveEncoding, decodeCsvBuffer, parseYmdInt, parseCsvRecords } = require('./csvSeries');
+const { stockFileOf, ymdFromFileName } = require('./dataSource');
+
+// 数据目录里还没有任何 CSV 时，新建文件用的表头
+const DEFAULT_HEADER = [
+  '股票代码', '股票名称', '交易日期', '开盘价', '最高价', '最低价', '收盘价', '前收盘价', '成交量', '成交额',
+  '流通市值', '总市值', '涨跌幅', '开盘价_复权', '最高价_复权', '最低价_复权', '收盘价_复权',
+];
+// 合并后每一条新增 / 覆盖的行都必须有值的列（同 parseSeriesCsv 的必要列）
+const REQUIRED_COLUMNS = ['股票名称', '交易日期', '收盘价_复权'];
+// 汇总里每类最多列出的文件 / 行数
+const MAX_SUMMARY_SAMPLES = 10;
+
+const isBlank = (v) => v === undefined || v === null || String(v).trim() === '';
+
+// 交易日期的书写格式（沿用目标文件已有的写法）：YYYY-MM-DD / YYYY/MM/DD / YYYYMMDD
+function dateStyleOf(raw) {
+  const s = String(raw || '').trim();
+  if (/^\d{4}-\d{2}-\d{2}/.test(s)) return '-';
+  if (/^\d{4}\/\d{2}\/\d{2}/.test(s)) return '/';
+  return '';
+}
+
+function formatYmdAs(ymd, sep) {
+  const s = String(ymd);
+  return sep ? `${s.slice(0, 4)}${sep}${s.slice(4, 6)}${sep}${s.slice(6, 8)}` : s;
+}
+
+function csvField(v) {
+  const s = v === undefined || v === null ? '' : String(v);
+  return /[",\r\n]/.test(s) || /^\s|\s$/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function hasBom(buf, enc) {
+  if (enc === 'utf8') return buf.length >= 3 && buf[0] === 0xef && buf[1] === 0xbb && buf[2] === 0xbf;
+  if (enc === 'utf16le') return buf.length >= 2 && buf[0] === 0xff && buf[1] === 0xfe;
+  return false;
+}
+
+// 列映射反查：数据里的列名 -> 标准列名（没有映射的列名原样使用）
+function standardNamesOf(columnMap) {
+  return new Map(Object.entries(columnMap ? columnMap.columns : {}).map(([std, src]) => [src, std]));
+}
+
+/**
+ * 读取一个已有的个股 CSV，保留写回时需要的格式：编码与 BOM、换行符、表头顺序、日期写法、末尾是否有换行
+ *
+ * 不做 trim，写回时未改动的单元格保持原样；columns 是表头经列映射换成的标准列名（与更新行对齐用）。
+ */
+function readStockCsv(fullPath, encoding, standardNames) {
+  const buf = fs.readFileSync(fullPath);
+  const enc = resolveEncoding(buf, encoding);
+  const text = decodeCsvBuffer(buf, enc);
+  const rows = parse(text, { skip_empty_lines: true, relax_column_count: true });
+  if (!rows.length) throw new Error(`文件 ${path.basename(fullPath)} 没有表头`);
+  const header = rows[0];
+  const columns = header.map((col) => standardNames.get(col) || col);
+  const dateIdx = columns.indexOf('交易日期');
+  if (dateIdx < 0) throw new Error(`文件 ${path.basename(fullPath)} 缺少必要列：交易日期（列名不同时用 --column-map 映射；encoding=${encoding}；若列名乱码，尝试 --encoding=auto 或 --encoding=utf8）`);
+  const body = rows.slice(1);
+  return {
+    encoding: enc,
+    bom: hasBom(buf, enc),
+    eol: text.includes('\r\n') ? '\r\n' : '\n',
+    trailingEol: /\r?\n$/.test(text),
+    header,
+    columns,
+    dateIdx,
+    dateStyle: body.length ? dateStyleOf(body[0][dateIdx]) : '-',
+    rows: body,
+  };
+}
+
+function writeStockCsv(fullPath, { encoding, bom, eol, trailingEol, header, rows }) {
+  const text = [header, ...rows].map((r) => r.map(csvField).join(',')).join(eol) + (trailingEol ? eol : '');
+  let out = iconv.encode(text, encoding);
+  if (bom) out = Buffer.concat([encoding === 'utf16le' ? Buffer.from([0xff, 0xfe]) : Buffer.from([0xef, 0xbb, 0xbf]), out]);
+  const tmp = `${fullPath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, out);
+  fs.renameSync(tmp, fullPath);
+}
+
+/**
+ * 读取更新目录下的 CSV（按日期一个文件，或按票一个文件），按票归并
+ *
+ * - 列名先经 columnMap（--column-map 的 columns）换成标准列名，其余列按原名保留
+ * - 股票代码：取 `股票代码` 列，没有该列时取文件名（一只票一个文件）；交易日期：取 `交易日期` 列，没有该列时取文件名里的日期（一个交易日一个文件）
+ * - 同一只票同一天出现多次时后读到的为准（文件按名称升序读取）
+ * 返回 { byFile: Map(目标文件名 -> Map(ymd -> { values, source })), sourceFiles, rows, skipped: [{ source, reason }] }。
+ */
+function readUpdateRows(updateDir, { encoding, columnMap = null }) {
+  const rename = standardNamesOf(columnMap);
+  const files = fs.readdirSync(updateDir)
+    .filter((f) => path.extname(f).toLowerCase() === '.csv')
+    .sort((a, b) => a.localeCompare(b, 'en'));
+  if (!files.length) throw new Error(`更新目录里没有 CSV 文件：${updateDir}`);
+
+  const byFile = new Map();
+  const skipped = [];
+  let rows = 0;
+  for (const file of files) {
+    const records = parseCsvRecords(decodeCsvBuffer(fs.readFileSync(path.join(updateDir, file)), encoding));
+    const fileCode = path.basename(file, path.extname(file));
+    const fileYmd = ymdFromFileName(file);
+    records.forEach((record, i) => {
+      const source = `${file} 第 ${i + 2} 行`;
+      const values = {};
+      for (const [col, v] of Object.entries(record)) values[rename.get(col) || col] = v;
+      const code = isBlank(values['股票代码']) ? fileCode : values['股票代码'];
+      const ymd = '交易日期' in values ? parseYmdInt(values['交易日期']) : fileYmd;
+      if (!Number.isFinite(ymd)) {
+        skipped.push({ source, reason: `交易日期无法解析：${values['交易日期'] === undefined ? '（没有该列，文件名里也没有日期）' : values['交易日期']}` });
+        return;
+      }
+      rows += 1;
+      const target = stockFileOf(code);
+      if (!byFile.has(target)) byFile.set(target, new Map());
+      byFile.get(target).set(ymd, { values, source });
+    });
+  }
+  return { byFile, sourceFiles: files.length, rows, skipped };
+}
+
+/**
+ * 把一只票的更新行合并进 rows（数组的数组，列顺序同 columns），去重排序
+ *
+ * - 已有同一交易日的行：默认只改更新里有值的列，其余列保留原值（数据商通常只给 OHLCV，不能把复权价、前收盘价等抹掉）；
+ *   replaceRows=true 时整行换成更新里的数据，更新里没有的列留空；内容没变不算覆盖
+ * - 新增行按更新里的列填写，缺的列留空
+ * - 交易日期、股票代码沿用目标文件的写法（同日旧行，其次最后一条已有记录，新文件用票的标识）；股票名称缺失时也这样沿用
+ * - 文件里原本重复的交易日只保留最后一条；日期无法解析的行保留在末尾
+ * 返回 { rows, added, replaced, deduped, unknownColumns, blankedColumns, missingRequired }；blankedColumns 为新增 / 覆盖的行里
+ * 留空的列，missingRequired 为留空了必要列的行 [{ ymd, columns }]。
+ */
+function mergeRows({ columns, dateIdx, dateStyle, rows }, updates, { stockCode, replaceRows = false }) {
+  const byYmd = new Map();
+  const undated = [];
+  let deduped = 0;
+  for (const r of rows) {
+    const ymd = parseYmdInt(r[dateIdx]);
+    if (!Number.isFinite(ymd)) {
+      undated.push(r);
+      continue;
+    }
+    if (byYmd.has(ymd)) deduped += 1;
+    byYmd.set(ymd, r);
+  }
+
+  const colIdx = new Map(columns.map((col, i) => [col, i]));
+  const unknownColumns = new Set();
+  const blankedColumns = new Set();
+  const missingRequired = [];
+  const sortedYmd = Array.from(byYmd.keys()).sort((a, b) => a - b);
+  const last = sortedYmd.length ? byYmd.get(sortedYmd[sortedYmd.length - 1]) : null;
+  let added = 0;
+  let replaced = 0;
+  for (const [ymd, { values }] of updates) {
+    const old = byYmd.get(ymd);
+    const next = columns.map((col, i) => (old && !replaceRows && old[i] !== undefined ? old[i] : ''));
+    for (const [col, v] of Object.entries(values)) {
+      if (!colIdx.has(col)) {
+        unknownColumns.add(col);
+        continue;
+      }
+      // 交易日期、股票代码沿用目标文件的写法（更新里可能是 2021-01-04 / 600000.SH 这类别的口径）
+      if (col === '交易日期' || col === '股票代码') continue;
+      // 合并已有行时，更新里的空值不覆盖原值
+      if (old && !replaceRows && isBlank(v)) continue;
+      next[colIdx.get(col)] = isBlank(v) ? '' : String(v);
+    }
+    next[dateIdx] = old ? old[dateIdx] : formatYmdAs(ymd, dateStyle);
+    for (const col of ['股票代码', '股票名称']) {
+      const i = colIdx.get(col);
+      if (i === undefined || !isBlank(next[i])) continue;
+      const same = old || last;
+      if (same && !isBlank(same[i])) next[i] = same[i];
+      else if (col === '股票代码') next[i] = stockCode;
+    }
+
+    // 只看这次写成空的列：合并已有行时原本就空的不算
+    columns.forEach((col, i) => {
+      if (isBlank(next[i]) && !(old && !replaceRows)) blankedColumns.add(col);
+    });
+    const holes = REQUIRED_COLUMNS.filter((col) => colIdx.has(col) && isBlank(next[colIdx.get(col)]));
+    if (holes.length && (!old || replaceRows)) {
+      missingRequired.push({ ymd, columns: holes });
+    }
+
+    if (!old) {
+      added += 1;
+    } else if (next.some((v, i) => v !== (old[i] === undefined ? '' : old[i]))) {
+      replaced += 1;
+    }
+    byYmd.set(ymd, next);
+  }
+
+  const merged = Array.from(byYmd.keys()).sort((a, b) => a - b).map((ymd) => byYmd.get(ymd));
+  return { rows: [...merged, ...undated], added, replaced, deduped, unknownColumns, blankedColumns, missingRequired };
+}
+
+/**
+ * --mode=update：把更新目录里的新行合并进数据目录的个股 CSV
+ *
+ * - 更新行与目标文件的列名都经 columnMap 换成标准列名后对齐，所以数据目录本身用了列映射也可以
+ * - 已有文件保持原编码（含 BOM）、换行符、表头顺序与日期写法，按交易日期去重、升序后写回（先写临时文件再改名）
+ * - 同一交易日已有记录时默认逐列合并，replaceRows=true（--update-replace=1）时整行替换，见 mergeRows
+ * - 新上市的票新建文件：表头、编码、日期写法取数据目录里第一个 CSV；目录为空时用 DEFAULT_HEADER 与 --encoding
+ * - 新增 / 覆盖的行缺必要列（REQUIRED_COLUMNS）时报错，一个文件都不写
+ * - 改写或新建的文件调用 cache.invalidate 删除解析缓存
+ * 返回汇总 { sourceFiles, rows, created: [...], updated: [{ file, added, replaced, deduped }], unchanged, skipped, unknownColumns, blankedColumns, invalidated }。
+ */
+function updateDataDir({ dataDir, updateDir, encoding, updateEncoding, columnMap = null, cache = null, replaceRows = false }) {
+  const { byFile, sourceFiles, rows, skipped } = readUpdateRows(updateDir, { encoding: updateEncoding, columnMap });
+  const standardNames = standardNamesOf(columnMap);
+
+  const existing = fs.readdirSync(dataDir)
+    .filter((f) => path.extname(f).toLowerCase() === '.csv')
+    .sort((a, b) => a.localeCompare(b, 'en'));
+  const template = existing.length
+    ? readStockCsv(path.join(dataDir, existing[0]), encoding, standardNames)
+    : null;
+  const newFileFormat = () => ({
+    encoding: template ? template.encoding : resolveEncoding(Buffer.alloc(0), encoding),
+    bom: template ? template.bom : false,
+    eol: template ? template.eol : '\n',
+    trailingEol: true,
+    header: template ? template.header.slice() : DEFAULT_HEADER.slice(),
+    columns: template ? template.columns.slice() : DEFAULT_HEADER.slice(),
+    dateIdx: template ? template.dateIdx : DEFAULT_HEADER.indexOf('交易日期'),
+    dateStyle: template ? template.dateStyle : '-',
+    rows: [],
+  });
+
+  // 先合并全部文件、检查必要列，再统一写回：有问题时数据目录保持原样
+  const existingSet = new Set(existing);
+  const plans = [];
+  const holes = [];
+  for (const file of Array.from(byFile.keys()).sort((a, b) => a.localeCompare(b, 'en'))) {
+    const fullPath = path.join(dataDir, file);
+    const isNew = !existingSet.has(file);
+    const target = isNew ? newFileFormat() : readStockCsv(fullPath, encoding, standardNames);
+    const merged = mergeRows(target, byFile.get(file), { stockCode: file.replace(/\.csv$/i, ''), replaceRows });
+    for (const x of merged.missingRequired) holes.push(`${file} ${x.ymd}（${x.columns.join('、')}）`);
+    plans.push({ file, fullPath, isNew, target, merged });
+  }
+  if (holes.length) {
+    throw new Error(`更新后有 ${holes.length} 行缺少必要列，未写入任何文件：${holes.slice(0, MAX_SUMMARY_SAMPLES).join('、')}${holes.length > MAX_SUMMARY_SAMPLES ? ' 等' : ''}（在更新数据里补齐这些列${replaceRows ? '，或去掉 --update-replace 只合并更新里有的列' : ''}）`);
+  }
+
+  const created = [];
+  const updated = [];
+  const unknownColumns = new Set();
+  const blankedColumns = new Set();
+  let unchanged = 0;
+  let invalidated = 0;
+  for (const { file, fullPath, isNew, target, merged } of plans) {
+    for (const col of merged.unknownColumns) unknownColumns.add(col);
+    for (const col of merged.blankedColumns) blankedColumns.add(col);
+    if (!isNew && !merged.added && !merged.replaced && !merged.deduped) {
+      unchanged += 1;
+      continue;
+    }
+    writeStockCsv(fullPath, { ...target, rows: merged.rows });
+    if (cache && cache.invalidate(fullPath)) invalidated += 1;
+    if (isNew) created.push({ file, rows: merged.rows.length });
+    else updated.push({ file, added: merged.added, replaced: merged.replaced, deduped: merged.deduped });
+  }
+  return { sourceFiles, rows, created, updated, unchanged, skipped, unknownColumns: Array.from(unknownColumns), blankedColumns: Array.from(blankedColumns), invalidated };
+}
+
+// 控制台汇总（每类最多列 MAX_SUMMARY_SAMPLES 个）
+function formatUpdateSummary(result, { dataDir, updateDir }) {
+  const { sourceFiles, rows, created, updated, unchanged, skipped, unknownColumns, blankedColumns, invalidated } = result;
+  const sum = (key) => updated.reduce((acc, x) => acc + x[key], 0);
+  const list = (items) => `${items.slice(0, MAX_SUMMARY_SAMPLES).join('、')}${items.length > MAX_SUMMARY_SAMPLES ? ` 等 ${items.length} 个` : ''}`;
+  const lines = [`数据更新：${updateDir} → ${dataDir}，读取 ${sourceFiles} 个文件 ${rows} 行，涉及 ${created.length + updated.length + unchanged} 只票`];
+  if (created.length) lines.push(`- 新建 ${created.length} 个文件：${list(created.map((x) => `${x.file}（${x.rows} 行）`))}`);
+  if (updated.length) {
+    lines.push(`- 更新 ${updated.length} 个文件：新增 ${sum('added')} 行，覆盖 ${sum('replaced')} 行，去掉重复日期 ${sum('deduped')} 行`);
+    lines.push(`  ${list(updated.map((x) => `${x.file}（+${x.added}${x.replaced ? ` ~${x.replaced}` : ''}${x.deduped ? ` -${x.deduped}` : ''}）`))}`);
+  }
+  if (unchanged) lines.push(`- 无变化 ${unchanged} 个文件`);
+  if (skipped.length) lines.push(`- 跳过 ${skipped.length} 行：${list(skipped.map((x) => `${x.source} ${x.reason}`))}`);
+  if (unknownColumns.length) lines.push(`- 忽略目标文件里没有的列：${list(unknownColumns)}`);
+  if (blankedColumns.length) lines.push(`- 新增 / 整行替换的行里留空的列：${list(blankedColumns)}`);
+  lines.push(`- 清除解析缓存 ${invalidated} 个`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  mergeRows,
+  updateDataDir,
+  formatUpdateSummary,
+};
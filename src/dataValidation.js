@@ -0,0 +1,233 @@
+// 数据校验（--mode=validate / --strict）：按 docs/data-contract.md 检查每个个股 CSV
+
+// 复权收盘价日收益与 `涨跌幅` 之差超过该值视为可疑跳变
+const DEFAULT_JUMP_TOLERANCE = 0.005;
+// 没有 `涨跌幅` 可对照时，日收益绝对值超过该值视为可疑跳变（A 股常规涨跌停最宽 ±30%）
+const UNEXPLAINED_JUMP_LIMIT = 0.3;
+const MAX_ISSUE_SAMPLES = 5;
+
+// 价格列解析失败算错误，其余数值列（成交量、市值等）只算警告
+const PRICE_COLUMNS = ['收盘价_复权', '开盘价_复权', '最高价_复权', '最低价_复权', '开盘价', '最高价', '最低价', '收盘价', '前收盘价'];
+
+const ISSUE_LABELS = {
+  parse_failed: '无法解析',
+  empty_file: '没有数据行',
+  bad_date: '交易日期无法解析',
+  unsorted_dates: '交易日期未升序',
+  duplicate_dates: '交易日期重复',
+  bad_price: '价格无法解析',
+  nonpositive_close: '收盘价_复权 ≤ 0',
+  bad_number: '数值无法解析',
+  missing_close: '收盘价_复权 缺失',
+  price_jump: '复权价跳变与涨跌幅不符',
+  calendar_gap: '缺少交易日',
+  off_calendar: '日期不在市场日历中',
+};
+
+/**
+ * 校验用的市场交易日历：所有文件出现过的日期
+ *
+ * 文件数 ≥ 3 时只取至少出现在 2 个文件里的日期，避免个别文件的错误日期（如写错的周末）混进日历。
+ */
+function buildValidationCalendar(seriesList) {
+  const counts = new Map();
+  for (const s of seriesList) {
+    for (const ymd of new Set(s.datesYmd)) {
+      if (Number.isFinite(ymd)) counts.set(ymd, (counts.get(ymd) || 0) + 1);
+    }
+  }
+  const minFiles = seriesList.length >= 3 ? 2 : 1;
+  return Array.from(counts.entries())
+    .filter(([, c]) => c >= minFiles)
+    .map(([ymd]) => ymd)
+    .sort((a, b) => a - b);
+}
+
+function issueOf(code, level, count, samples) {
+  return { code, level, label: ISSUE_LABELS[code], count, samples: samples.slice(0, MAX_ISSUE_SAMPLES) };
+}
+
+const rowLabel = (i) => `第 ${i + 2} 行`;
+// 列映射后的宽表 / NDJSON 示例带 source（源文件与行号）
+const cellSamples = (col, bad) => bad.samples.map((x) => `${col} ${x.source || `第 ${x.row} 行`}：${x.value}`);
+
+/**
+ * 单个文件的问题列表 [{ code, level: 'error'|'warning', label, count, samples }]
+ *
+ * - 错误：交易日期无法解析/未升序/重复，价格无法解析，收盘价_复权 ≤ 0
+ * - 警告：其他数值列无法解析，收盘价_复权 缺失，复权价跳变与涨跌幅不符，相对市场日历缺少交易日 / 多出日期
+ * - 日期乱序或重复时跳过跳变与日历检查（结果没有意义）
+ */
+function validateSeries(s, { calendar, badCells = {}, jumpTolerance = DEFAULT_JUMP_TOLERANCE } = {}) {
+  const issues = [];
+  const dates = s.datesYmd;
+  const n = dates.length;
+
+  const badDateRows = [];
+  for (let i = 0; i < n; i += 1) if (!Number.isFinite(dates[i])) badDateRows.push(i);
+  if (badDateRows.length) {
+    const raw = badCells['交易日期'];
+    issues.push(issueOf('bad_date', 'error', badDateRows.length, raw ? cellSamples('交易日期', raw) : badDateRows.map((i) => `${rowLabel(i)}：空`)));
+  }
+
+  const unsorted = [];
+  const duplicated = [];
+  const seen = new Set();
+  let prev = Number.NaN;
+  for (let i = 0; i < n; i += 1) {
+    const d = dates[i];
+    if (!Number.isFinite(d)) continue;
+    if (seen.has(d)) duplicated.push(`${rowLabel(i)}：${d}`);
+    else if (d < prev) unsorted.push(`${rowLabel(i)}：${d} 排在 ${prev} 之后`);
+    seen.add(d);
+    prev = d;
+  }
+  if (unsorted.length) issues.push(issueOf('unsorted_dates', 'error', unsorted.length, unsorted));
+  if (duplicated.length) issues.push(issueOf('duplicate_dates', 'error', duplicated.length, duplicated));
+
+  for (const [col, bad] of Object.entries(badCells)) {
+    if (col === '交易日期') continue;
+    const isPrice = PRICE_COLUMNS.includes(col);
+    issues.push(issueOf(isPrice ? 'bad_price' : 'bad_number', isPrice ? 'error' : 'warning', bad.count, cellSamples(col, bad)));
+  }
+
+  // 收盘价_复权 为 NaN 的行 = 空单元格 + 无法解析（后者已计入 bad_price），缺失数按差额计
+  const badClose = badCells['收盘价_复权'] || { count: 0, samples: [] };
+  const badCloseRows = new Set(badClose.samples.map((x) => x.row - 2));
+  const nonPositive = [];
+  const missing = [];
+  let nanCount = 0;
+  for (let i = 0; i < n; i += 1) {
+    const c = s.closeAdj[i];
+    if (Number.isNaN(c)) {
+      nanCount += 1;
+      if (!badCloseRows.has(i)) missing.push(`${rowLabel(i)}（${dates[i]}）`);
+    } else if (c <= 0) {
+      nonPositive.push(`${rowLabel(i)}（${dates[i]}）：${c}`);
+    }
+  }
+  if (nonPositive.length) issues.push(issueOf('nonpositive_close', 'error', nonPositive.length, nonPositive));
+  if (nanCount > badClose.count) issues.push(issueOf('missing_close', 'warning', nanCount - badClose.count, missing));
+
+  if (unsorted.length || duplicated.length) return issues;
+
+  const jumps = [];
+  let prevClose = Number.NaN;
+  for (let i = 0; i < n; i += 1) {
+    const c = s.closeAdj[i];
+    if (!(c > 0) || !Number.isFinite(dates[i])) continue;
+    if (prevClose > 0) {
+      const ret = c / prevClose - 1;
+      const pct = s.changePct[i];
+      const suspicious = Number.isFinite(pct) ? Math.abs(ret - pct) > jumpTolerance : Math.abs(ret) > UNEXPLAINED_JUMP_LIMIT;
+      if (suspicious) {
+        const pctText = Number.isFinite(pct) ? `涨跌幅 ${(pct * 100).toFixed(2)}%` : '无涨跌幅';
+        jumps.push(`${dates[i]}：复权收益 ${(ret * 100).toFixed(2)}%，${pctText}`);
+      }
+    }
+    prevClose = c;
+  }
+  if (jumps.length) issues.push(issueOf('price_jump', 'warning', jumps.length, jumps));
+
+  if (calendar && calendar.length && seen.size) {
+    const own = Array.from(seen).sort((a, b) => a - b);
+    const first = own[0];
+    const last = own[own.length - 1];
+    const calendarSet = new Set(calendar);
+
+    // 按连续缺口汇总，最长的排在前面
+    const gaps = [];
+    let run = null;
+    let missingDays = 0;
+    for (const d of calendar) {
+      if (d < first || d > last) continue;
+      if (seen.has(d)) {
+        run = null;
+        continue;
+      }
+      missingDays += 1;
+      if (!run) {
+        run = { from: d, to: d, days: 0 };
+        gaps.push(run);
+      }
+      run.to = d;
+      run.days += 1;
+    }
+    if (missingDays) {
+      gaps.sort((a, b) => b.days - a.days || a.from - b.from);
+      issues.push(issueOf('calendar_gap', 'warning', missingDays, gaps.map((g) => (g.days > 1 ? `${g.from}~${g.to}（${g.days} 天）` : `${g.from}`))));
+    }
+
+    const extra = own.filter((d) => !calendarSet.has(d));
+    if (extra.length) issues.push(issueOf('off_calendar', 'warning', extra.length, extra.map(String)));
+  }
+
+  return issues;
+}
+
+/**
+ * 校验整个数据集
+ *
+ * - fileList：参与的文件（顺序即结果顺序）；seriesByFile / parseIssues 来自 loadSeries（src/main.js）
+ * - calendar：可选，默认用 buildValidationCalendar 从数据推出来
+ * 返回 { calendarDays, files: [{ file, stockName, rows, firstYmd, lastYmd, errors, warnings, issues }], totals }；
+ * totals = { files, errorFiles, warningFiles, errors, warnings, byCode: { code: { level, label, files, count } } }。
+ */
+function validateDataset({ fileList, seriesByFile, parseIssues = new Map(), calendar = null, jumpTolerance = DEFAULT_JUMP_TOLERANCE }) {
+  const cal = calendar || buildValidationCalendar(Array.from(seriesByFile.values()));
+  const files = fileList.map((file) => {
+    const s = seriesByFile.get(file);
+    const pi = parseIssues.get(file) || {};
+    let issues;
+    if (pi.error) issues = [issueOf('parse_failed', 'error', 1, [pi.error])];
+    else if (pi.empty || !s) issues = [issueOf('empty_file', 'error', 1, [])];
+    else issues = validateSeries(s, { calendar: cal, badCells: pi.badCells || {}, jumpTolerance });
+
+    let firstYmd = null;
+    let lastYmd = null;
+    for (const d of s ? s.datesYmd : []) {
+      if (!Number.isFinite(d)) continue;
+      if (firstYmd === null || d < firstYmd) firstYmd = d;
+      if (lastYmd === null || d > lastYmd) lastYmd = d;
+    }
+    return {
+      file,
+      stockName: s ? s.stockName : '',
+      rows: s ? s.datesYmd.length : 0,
+      firstYmd,
+      lastYmd,
+      errors: issues.filter((x) => x.level === 'error').length,
+      warnings: issues.filter((x) => x.level === 'warning').length,
+      issues,
+    };
+  });
+
+  const byCode = {};
+  for (const f of files) {
+    for (const x of f.issues) {
+      if (!byCode[x.code]) byCode[x.code] = { level: x.level, label: x.label, files: 0, count: 0 };
+      byCode[x.code].files += 1;
+      byCode[x.code].count += x.count;
+    }
+  }
+  return {
+    calendarDays: cal.length,
+    files,
+    totals: {
+      files: files.length,
+      errorFiles: files.filter((f) => f.errors).length,
+      warningFiles: files.filter((f) => !f.errors && f.warnings).length,
+      errors: files.reduce((acc, f) => acc + f.errors, 0),
+      warnings: files.reduce((acc, f) => acc + f.warnings, 0),
+      byCode,
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_JUMP_TOLERANCE,
+  ISSUE_LABELS,
+  buildValidationCalendar,
+  validateSeries,
+  validateDataset,
+};
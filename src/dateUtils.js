@@ -1,3 +1,6 @@
+// 年化口径：一年按 252 个交易日
+const TRADING_DAYS_PER_YEAR = 252;
+
 function ymdToUtcDate(ymd) {
   const s = String(ymd);
   if (!/^\d{8}$/.test(s)) throw new Error(`ymd 必须是 YYYYMMDD：${ymd}`);
@@ -14,6 +17,11 @@ function utcDateToYmd(date) {
   return Number(`${y}${m}${d}`);
 }
 
+// 两个 YYYYMMDD 之间的自然日数（b - a）
+function calendarDaysBetween(a, b) {
+  return Math.round((ymdToUtcDate(b).getTime() - ymdToUtcDate(a).getTime()) / 86400000);
+}
+
 function weekKeyMondayYmd(ymd) {
   const dt = ymdToUtcDate(ymd);
   // getUTCDay: 0=Sun..6=Sat；周一为 1
@@ -38,21 +46,46 @@ function quarterKeyYq(ymd) {
   return `${year}Q${q}`;
 }
 
-function buildPeriodPlans(tradingDatesAsc, freq) {
+// 交易日周期：'D' 等价于 '1D'；'5D' 表示每 5 个交易日一期。不是交易日周期时返回 null
+function parseTradingDayCycle(freq) {
+  const f = String(freq || '').toUpperCase();
+  if (f === 'D') return 1;
+  const m = f.match(/^(\d+)D$/);
+  if (!m) return null;
+  const n = Number(m[1]);
+  return n >= 1 ? n : null;
+}
+
+function isValidFreq(freq) {
+  const f = String(freq || '').toUpperCase();
+  return ['W', 'M', 'Q'].includes(f) || parseTradingDayCycle(f) !== null;
+}
+
+/**
+ * 切分周期（买入日 -> 卖出日）
+ *
+ * - W/M/Q：自然周/月/季，周期首个交易日买入、最后一个交易日卖出
+ * - D / ND：每 N 个交易日一期，从第 offset 个交易日开始；卖出日即下一期买入日（D 为隔夜）
+ *   区间末尾不足 N 个交易日的最后一期在最后一个交易日卖出
+ */
+function buildPeriodPlans(tradingDatesAsc, freq, { offset = 0 } = {}) {
   const dates = Array.isArray(tradingDatesAsc) ? tradingDatesAsc : [];
   if (!dates.length) return [];
   const f = String(freq || '').toUpperCase();
-  if (!['D', 'W', 'M', 'Q'].includes(f)) throw new Error(`freq 仅支持 D/W/M/Q：${freq}`);
+  if (!isValidFreq(f)) throw new Error(`freq 仅支持 D/W/M/Q 或 ND（每 N 个交易日，如 5D）：${freq}`);
+  if (!Number.isInteger(offset) || offset < 0) throw new Error(`offset 必须是非负整数：${offset}`);
 
-  if (f === 'D') {
+  const cycle = parseTradingDayCycle(f);
+  if (cycle !== null) {
     const out = [];
-    for (let i = 0; i < dates.length - 1; i += 1) {
+    for (let i = offset; i < dates.length - 1; i += cycle) {
       const buyYmd = dates[i];
-      const sellYmd = dates[i + 1];
+      const sellYmd = dates[Math.min(i + cycle, dates.length - 1)];
       out.push({ periodKey: String(buyYmd), buyYmd, sellYmd });
     }
     return out;
   }
+  if (offset) throw new Error(`offset 只适用于交易日周期（D/ND）：freq=${freq}`);
 
   const groups = new Map(); // key -> { buyYmd, sellYmd }
   const keyFn = f === 'W' ? (ymd) => String(weekKeyMondayYmd(ymd))
@@ -74,10 +107,14 @@ function buildPeriodPlans(tradingDatesAsc, freq) {
 }
 
 module.exports = {
+  TRADING_DAYS_PER_YEAR,
   ymdToUtcDate,
   utcDateToYmd,
+  calendarDaysBetween,
   weekKeyMondayYmd,
   monthKeyYm,
   quarterKeyYq,
+  parseTradingDayCycle,
+  isValidFreq,
   buildPeriodPlans,
 };
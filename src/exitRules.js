@@ -0,0 +1,110 @@
+const EXIT_TRIGGERS = ['intraday', 'close'];
+const FREED_CASH_POLICIES = ['cash', 'reallocate'];
+const EXIT_REASONS = ['stop_loss', 'take_profit', 'trailing_stop', 'max_holding'];
+
+function isFinitePrice(x) {
+  return Number.isFinite(x) && x > 0;
+}
+
+function optionalRate(name, x, max) {
+  if (x === null || x === undefined) return null;
+  if (!Number.isFinite(x) || x <= 0 || (max !== undefined && x >= max)) {
+    throw new Error(`${name} 必须在 (0, ${max === undefined ? '∞' : max}) 内：${x}`);
+  }
+  return x;
+}
+
+/**
+ * 持仓期内的离场规则（止损 / 止盈 / 移动止损 / 最长持有天数）
+ *
+ * 引擎在买入日之后的每个交易日收盘前逐只检查：
+ * - trigger=intraday：用当日 `最低价_复权/最高价_复权` 判断是否触价；开盘即越过触发价（跳空）按开盘价成交，否则按触发价成交
+ * - trigger=close：只看 `收盘价_复权`，按收盘价成交
+ * - stopLoss：相对买入成交价下跌该比例止损（0.08 表示 -8%）
+ * - trailingStop：相对“买入以来最高价”（intraday 用最高价，close 用收盘价）回撤该比例止损；当日最高价次日才参与计算
+ * - takeProfit：相对买入成交价上涨该比例止盈
+ * - maxHoldingDays：持有满 N 个交易日（按该股自身交易日计）后在当日按卖出成交价离场
+ * 同一天止损与止盈都触价时按止损处理（无法得知日内先后，取保守口径）。
+ *
+ * freedCash：离场释放的现金 cash=留作现金到下一个买入日；reallocate=当日收盘按市值比例加仓其余持仓
+ */
+function createExitRules({
+  stopLoss = null,
+  takeProfit = null,
+  trailingStop = null,
+  maxHoldingDays = null,
+  trigger = 'intraday',
+  freedCash = 'cash',
+} = {}) {
+  const sl = optionalRate('stopLoss', stopLoss, 1);
+  const tp = optionalRate('takeProfit', takeProfit);
+  const ts = optionalRate('trailingStop', trailingStop, 1);
+  if (maxHoldingDays !== null && maxHoldingDays !== undefined && (!Number.isFinite(maxHoldingDays) || maxHoldingDays < 1)) {
+    throw new Error(`maxHoldingDays 必须是正整数：${maxHoldingDays}`);
+  }
+  const maxDays = maxHoldingDays === null || maxHoldingDays === undefined ? null : Math.floor(maxHoldingDays);
+  if (!EXIT_TRIGGERS.includes(trigger)) throw new Error(`trigger 仅支持 ${EXIT_TRIGGERS.join('/')}：${trigger}`);
+  if (!FREED_CASH_POLICIES.includes(freedCash)) throw new Error(`freedCash 仅支持 ${FREED_CASH_POLICIES.join('/')}：${freedCash}`);
+
+  const barAt = (s, idx) => {
+    const c = s.closeAdj[idx];
+    if (trigger === 'close') return { o: c, h: c, l: c, c };
+    const o = s.openAdj[idx];
+    const h = s.highAdj[idx];
+    const l = s.lowAdj[idx];
+    if (![o, h, l].every(isFinitePrice)) return { o: c, h: c, l: c, c };
+    return { o, h, l, c };
+  };
+
+  return {
+    stopLoss: sl,
+    takeProfit: tp,
+    trailingStop: ts,
+    maxHoldingDays: maxDays,
+    trigger,
+    freedCash,
+    enabled: sl !== null || tp !== null || ts !== null || maxDays !== null,
+
+    /**
+     * 检查第 idx 个交易日是否离场
+     *
+     * state：{ entryPrice, entryIdx, peak }（复权口径）
+     * 返回 { reason, px, gap } 或 null；px 为 null 表示按引擎的卖出成交价（max_holding）
+     */
+    check(state, s, idx) {
+      const bar = barAt(s, idx);
+      if (!isFinitePrice(bar.c)) return null;
+
+      const slPx = sl !== null ? state.entryPrice * (1 - sl) : Number.NEGATIVE_INFINITY;
+      const tsPx = ts !== null && isFinitePrice(state.peak) ? state.peak * (1 - ts) : Number.NEGATIVE_INFINITY;
+      const stopPx = Math.max(slPx, tsPx);
+      if (stopPx > 0 && bar.l <= stopPx) {
+        const gap = bar.o <= stopPx;
+        return { reason: tsPx > slPx ? 'trailing_stop' : 'stop_loss', px: gap ? bar.o : stopPx, gap };
+      }
+
+      const tpPx = tp !== null ? state.entryPrice * (1 + tp) : Number.POSITIVE_INFINITY;
+      if (bar.h >= tpPx) {
+        const gap = bar.o >= tpPx;
+        return { reason: 'take_profit', px: gap ? bar.o : tpPx, gap };
+      }
+
+      if (maxDays !== null && idx - state.entryIdx >= maxDays) return { reason: 'max_holding', px: null, gap: false };
+      return null;
+    },
+
+    // 当日收盘后更新“买入以来最高价”
+    nextPeak(peak, s, idx) {
+      const x = barAt(s, idx).h;
+      if (!isFinitePrice(x)) return peak;
+      return isFinitePrice(peak) ? Math.max(peak, x) : x;
+    },
+  };
+}
+
+module.exports = {
+  EXIT_TRIGGERS,
+  FREED_CASH_POLICIES,
+  EXIT_REASONS,
+  createExitRules,
+};
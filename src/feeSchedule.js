@@ -0,0 +1,149 @@
+const fs = require('node:fs');
+
+const FEE_COMPONENTS = ['commission', 'stampDuty', 'transferFee'];
+const EXCHANGES = ['sh', 'sz', 'bj'];
+
+function exchangeOfFile(file) {
+  const m = String(file || '').toLowerCase().match(/^(sh|sz|bj)/);
+  return m ? m[1] : '';
+}
+
+function normalizeRule(component, r, i) {
+  const where = `${component}[${i}]`;
+  if (!r || typeof r !== 'object' || Array.isArray(r)) throw new Error(`费率表 ${where} 必须是对象`);
+  const since = Number(r.since);
+  if (!Number.isFinite(since) || !/^\d{8}$/.test(String(since))) throw new Error(`费率表 ${where}.since 必须是 YYYYMMDD：${r.since}`);
+  const exchange = r.exchange === undefined || r.exchange === null ? '' : String(r.exchange).trim().toLowerCase();
+  if (exchange && !EXCHANGES.includes(exchange)) throw new Error(`费率表 ${where}.exchange 仅支持 ${EXCHANGES.join('/')}：${r.exchange}`);
+
+  const num = (key) => {
+    if (r[key] === undefined || r[key] === null) return 0;
+    const x = Number(r[key]);
+    if (!Number.isFinite(x) || x < 0) throw new Error(`费率表 ${where}.${key} 必须是非负数：${r[key]}`);
+    return x;
+  };
+
+  const sides = r.sides === undefined ? ['buy', 'sell'] : r.sides;
+  if (!Array.isArray(sides) || !sides.every((x) => x === 'buy' || x === 'sell')) {
+    throw new Error(`费率表 ${where}.sides 必须是 ["buy","sell"] 的子集：${JSON.stringify(r.sides)}`);
+  }
+
+  return {
+    since,
+    exchange,
+    sides,
+    rate: num('rate'),
+    perThousandShares: num('perThousandShares'),
+    min: num('min'),
+  };
+}
+
+/**
+ * 读取费率表 JSON（格式见项目根目录 fee-schedule.json）
+ *
+ * 每个成本项是一组按日期生效的规则：同一交易所（exchange 为空表示全部交易所）取 since <= 交易日 的最后一条。
+ */
+function loadFeeSchedule(filePath) {
+  if (!fs.existsSync(filePath)) throw new Error(`找不到费率表：${filePath}`);
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    throw new Error(`费率表必须是合法 JSON：${filePath}\n${e && e.message ? e.message : String(e)}`);
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error(`费率表必须是 JSON 对象：${filePath}`);
+
+  const schedule = {};
+  for (const component of FEE_COMPONENTS) {
+    const list = raw[component] === undefined ? [] : raw[component];
+    if (!Array.isArray(list)) throw new Error(`费率表 ${component} 必须是数组：${filePath}`);
+    schedule[component] = list
+      .map((r, i) => normalizeRule(component, r, i))
+      .sort((a, b) => a.since - b.since);
+  }
+  return schedule;
+}
+
+function findRule(rules, exchange, ymd) {
+  let hit = null;
+  for (const r of rules) {
+    if (r.since > ymd) break;
+    if (r.exchange && r.exchange !== exchange) continue;
+    hit = r;
+  }
+  return hit;
+}
+
+function ruleAmount(rule, side, gross, shares) {
+  if (!rule || !rule.sides.includes(side) || !(gross > 0)) return 0;
+  const x = gross * rule.rate + (shares > 0 ? (shares / 1000) * rule.perThousandShares : 0);
+  return x > 0 ? Math.max(x, rule.min) : 0;
+}
+
+/**
+ * 交易成本计算器
+ *
+ * - 有费率表：按交易日 + 交易所（文件名前缀 sh/sz/bj）取佣金/印花税/过户费规则
+ * - 无费率表：佣金 = feeBps（双边），印花税 = stampBps（卖出），无过户费
+ *
+ * shares 用于按股数计费的规则（早年沪市过户费）；应传实际股数（原始价口径）。
+ */
+function createFeeCalculator({ feeSchedule = null, feeBps = 0, stampBps = 0 } = {}) {
+  const feeRate = feeBps / 10000;
+  const stampRate = stampBps / 10000;
+
+  const calc = (side, file, ymd, gross, shares) => {
+    if (!feeSchedule) {
+      const commission = gross * feeRate;
+      const stampDuty = side === 'sell' ? gross * stampRate : 0;
+      return { commission, stampDuty, transferFee: 0, total: commission + stampDuty };
+    }
+    const exchange = exchangeOfFile(file);
+    const commission = ruleAmount(findRule(feeSchedule.commission, exchange, ymd), side, gross, shares);
+    const stampDuty = ruleAmount(findRule(feeSchedule.stampDuty, exchange, ymd), side, gross, shares);
+    const transferFee = ruleAmount(findRule(feeSchedule.transferFee, exchange, ymd), side, gross, shares);
+    return {
+      commission,
+      stampDuty,
+      transferFee,
+      total: commission + stampDuty + transferFee,
+    };
+  };
+
+  return {
+    buy: (file, ymd, gross, shares) => calc('buy', file, ymd, gross, shares),
+    sell: (file, ymd, gross, shares) => calc('sell', file, ymd, gross, shares),
+
+    // 已知预算（含费用）反推可用成交金额：gross + fees(gross) <= budget
+    grossForBudget(file, ymd, budget, px, shareFactor = 1) {
+      if (!(budget > 0) || !(px > 0)) return 0;
+      let gross = budget;
+      for (let k = 0; k < 8; k += 1) {
+        const fees = calc('buy', file, ymd, gross, (gross / px) * shareFactor).total;
+        const next = budget - fees;
+        if (!(next > 0)) return 0;
+        if (Math.abs(next - gross) < 1e-6) break;
+        gross = next;
+      }
+      return gross;
+    },
+  };
+}
+
+function emptyCostBreakdown() {
+  return { commission: 0, stampDuty: 0, transferFee: 0 };
+}
+
+function addCosts(acc, fees) {
+  acc.commission += fees.commission;
+  acc.stampDuty += fees.stampDuty;
+  acc.transferFee += fees.transferFee;
+}
+
+module.exports = {
+  exchangeOfFile,
+  loadFeeSchedule,
+  createFeeCalculator,
+  emptyCostBreakdown,
+  addCosts,
+};
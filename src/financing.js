@@ -0,0 +1,96 @@
+const fs = require('node:fs');
+const { parse } = require('csv-parse/sync');
+const { calendarDaysBetween } = require('./dateUtils');
+
+const DEFAULT_MAINTENANCE_RATIO = 1.3;
+
+function parseRate(raw) {
+  const s = String(raw === undefined || raw === null ? '' : raw).trim();
+  if (!s) return Number.NaN;
+  if (s.endsWith('%')) return Number(s.slice(0, -1)) / 100;
+  return Number(s);
+}
+
+/**
+ * 读取现金年化收益率 CSV（按日期生效）
+ *
+ * - 表头：`日期,年化利率`（也接受 `date,rate`）；日期为 YYYYMMDD 或 YYYY-MM-DD，利率写 0.015 或 1.5%
+ * - 每行从该日起生效，直到下一行；首行之前按 0 计
+ *
+ * 返回 [{ since, rate }]（since 升序）。
+ */
+function loadCashRateTable(filePath) {
+  if (!fs.existsSync(filePath)) throw new Error(`找不到现金利率文件：${filePath}`);
+  let rows;
+  try {
+    rows = parse(fs.readFileSync(filePath, 'utf8'), { columns: true, bom: true, skip_empty_lines: true, trim: true });
+  } catch (e) {
+    throw new Error(`现金利率文件必须是合法 CSV：${filePath}\n${e && e.message ? e.message : String(e)}`);
+  }
+
+  const out = [];
+  rows.forEach((r, i) => {
+    const dateRaw = r['日期'] !== undefined ? r['日期'] : r.date;
+    const rateRaw = r['年化利率'] !== undefined ? r['年化利率'] : r.rate;
+    const m = String(dateRaw || '').match(/^(\d{4})-?(\d{2})-?(\d{2})$/);
+    if (!m) throw new Error(`现金利率文件第 ${i + 2} 行日期必须是 YYYYMMDD 或 YYYY-MM-DD：${dateRaw}`);
+    const rate = parseRate(rateRaw);
+    if (!Number.isFinite(rate) || rate <= -1) throw new Error(`现金利率文件第 ${i + 2} 行年化利率无效：${rateRaw}`);
+    out.push({ since: Number(m[1] + m[2] + m[3]), rate });
+  });
+  if (!out.length) throw new Error(`现金利率文件没有数据行：${filePath}`);
+  return out.sort((a, b) => a.since - b.since);
+}
+
+/**
+ * 现金利息 / 融资利息计提
+ *
+ * - cashRate：现金年化收益率，常数或 loadCashRateTable 的结果
+ * - financingRate：融资年化利率；现金为负（融资负债）时按该利率计息
+ * - 每个交易日按上一交易日收盘后的现金余额 × 年化利率 × 自然日数 / 365 计提，利率取上一交易日生效的值
+ *
+ * accrue 返回当次计提金额（收入为正、支出为负），并累计到 totals。
+ */
+function createCashAccrual({ cashRate = 0, financingRate = 0 } = {}) {
+  const table = Array.isArray(cashRate) ? cashRate : null;
+  if (!table && !Number.isFinite(cashRate)) throw new Error(`cashRate 必须是数字或利率表：${cashRate}`);
+  if (!Number.isFinite(financingRate) || financingRate < 0) throw new Error(`financingRate 必须是非负数：${financingRate}`);
+
+  const rateAt = (ymd) => {
+    if (!table) return cashRate;
+    let hit = 0;
+    for (const r of table) {
+      if (r.since > ymd) break;
+      hit = r.rate;
+    }
+    return hit;
+  };
+
+  const totals = { cashInterest: 0, financingCost: 0 };
+
+  return {
+    enabled: Boolean(table) || cashRate !== 0 || financingRate > 0,
+    rateAt,
+    totals,
+
+    accrue(cash, prevYmd, dateYmd) {
+      if (prevYmd === null || prevYmd === undefined || !cash) return 0;
+      const years = calendarDaysBetween(prevYmd, dateYmd) / 365;
+      if (!(years > 0)) return 0;
+      if (cash > 0) {
+        const x = cash * rateAt(prevYmd) * years;
+        totals.cashInterest += x;
+        return x;
+      }
+      const x = -cash * financingRate * years;
+      totals.financingCost += x;
+      return -x;
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_MAINTENANCE_RATIO,
+  loadCashRateTable,
+  createCashAccrual,
+};
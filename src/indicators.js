@@ -1,9 +1,11 @@
+const { isColumn } = require('./seriesUtils');
+
 function isFiniteNumber(x) {
   return Number.isFinite(x);
 }
 
 function abs(x) {
-  if (Array.isArray(x)) return x.map((v) => (isFiniteNumber(v) ? Math.abs(v) : Number.NaN));
+  if (isColumn(x)) return Array.from(x, (v) => (isFiniteNumber(v) ? Math.abs(v) : Number.NaN));
   return isFiniteNumber(x) ? Math.abs(x) : Number.NaN;
 }
 
@@ -19,8 +21,8 @@ function ref(x, n) {
 
 function ifElse(cond, a, b) {
   const out = new Array(cond.length).fill(Number.NaN);
-  const aIsArr = Array.isArray(a);
-  const bIsArr = Array.isArray(b);
+  const aIsArr = isColumn(a);
+  const bIsArr = isColumn(b);
   for (let i = 0; i < cond.length; i += 1) {
     const av = aIsArr ? a[i] : a;
     const bv = bIsArr ? b[i] : b;
@@ -221,7 +223,7 @@ function wma(x, n) {
 
 function dma(x, a) {
   const out = new Array(x.length).fill(Number.NaN);
-  const aIsArr = Array.isArray(a);
+  const aIsArr = isColumn(a);
   let started = false;
   let prev = Number.NaN;
   for (let i = 0; i < x.length; i += 1) {
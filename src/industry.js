@@ -0,0 +1,89 @@
+const { parse } = require('csv-parse/sync');
+const { upperBound } = require('./seriesUtils');
+
+const UNKNOWN_INDUSTRY = '未分类';
+
+// `sh600000` / `sh600000.csv` 统一成数据文件名
+function normalizeFileKey(raw) {
+  const s = String(raw || '').trim();
+  if (!s) return '';
+  return /\.csv$/i.test(s) ? s : `${s}.csv`;
+}
+
+/**
+ * 解析行业映射 CSV（文本由调用方按 --encoding 解码）
+ *
+ * - 表头：`文件,行业,生效日期`（也接受 `file,industry,since`）；文件写 `sh600000.csv` 或 `sh600000`
+ * - 生效日期为 YYYYMMDD 或 YYYY-MM-DD，留空表示一直有效；同一只票可有多行，每行从生效日起到下一行为止
+ *
+ * 返回 Map(file -> [{ since, industry }])，since 升序。
+ */
+function parseIndustryTable(text, sourceLabel) {
+  let rows;
+  try {
+    rows = parse(text, { columns: true, bom: true, skip_empty_lines: true, trim: true, relax_column_count: true });
+  } catch (e) {
+    throw new Error(`行业映射文件必须是合法 CSV：${sourceLabel}\n${e && e.message ? e.message : String(e)}`);
+  }
+
+  const out = new Map();
+  rows.forEach((r, i) => {
+    const file = normalizeFileKey(r['文件'] !== undefined ? r['文件'] : r.file);
+    const industry = String((r['行业'] !== undefined ? r['行业'] : r.industry) || '').trim();
+    const sinceRaw = String((r['生效日期'] !== undefined ? r['生效日期'] : r.since) || '').trim();
+    if (!file || !industry) throw new Error(`行业映射文件第 ${i + 2} 行缺少文件名或行业：${sourceLabel}`);
+    let since = 0;
+    if (sinceRaw) {
+      const m = sinceRaw.match(/^(\d{4})-?(\d{2})-?(\d{2})$/);
+      if (!m) throw new Error(`行业映射文件第 ${i + 2} 行生效日期必须是 YYYYMMDD 或 YYYY-MM-DD：${sinceRaw}`);
+      since = Number(m[1] + m[2] + m[3]);
+    }
+    if (!out.has(file)) out.set(file, []);
+    out.get(file).push({ since, industry });
+  });
+  if (!out.size) throw new Error(`行业映射文件没有数据行：${sourceLabel}`);
+  for (const list of out.values()) list.sort((a, b) => a.since - b.since);
+  return out;
+}
+
+// 按生效日期展开成与 datesYmd 对齐的逐日行业（首个生效日之前为空字符串）
+function expandIndustry(datesYmd, entries) {
+  const out = new Array(datesYmd.length).fill('');
+  if (!entries || !entries.length) return out;
+  const sinces = entries.map((x) => x.since);
+  for (let i = 0; i < datesYmd.length; i += 1) {
+    const j = upperBound(sinces, datesYmd[i]) - 1;
+    if (j >= 0) out[i] = entries[j].industry;
+  }
+  return out;
+}
+
+/**
+ * 某只票在 ymd 之前（不含 ymd）最后一条记录的行业
+ *
+ * 与权重计算的口径一致，只用买入日之前已知的信息；没有行业数据时归为“未分类”。
+ */
+function industryAt(s, ymd) {
+  if (!s || !Array.isArray(s.industry)) return UNKNOWN_INDUSTRY;
+  const idx = upperBound(s.datesYmd, ymd - 1) - 1;
+  return (idx >= 0 && s.industry[idx]) || UNKNOWN_INDUSTRY;
+}
+
+// 持仓按行业汇总的市值占比；items：[{ file, value }]
+function industryWeightsOf(items, seriesByFile, ymd, equity) {
+  const out = {};
+  if (!(equity > 0)) return out;
+  for (const { file, value } of items) {
+    const key = industryAt(seriesByFile.get(file), ymd);
+    out[key] = (out[key] || 0) + value / equity;
+  }
+  return out;
+}
+
+module.exports = {
+  UNKNOWN_INDUSTRY,
+  parseIndustryTable,
+  expandIndustry,
+  industryAt,
+  industryWeightsOf,
+};
@@ -3,50 +3,121 @@
  *
  * 做的事：
  * - `--mode=backtest`：按周期轮动策略回测（周期首个交易日买入，周期最后一个交易日卖出；支持 D/W/M/Q；日频为隔夜），输出组合资金曲线/回撤/胜率等
+ * - `--mode=signal`：按个股买卖信号回测（策略导出 entrySignal/exitSignal），输出同样的报告
+ * - `--mode=validate`：按数据契约检查每个 CSV（日期乱序/重复/无法解析、价格异常、复权跳变、相对市场日历的缺口），输出 HTML + JSON 报告
+ * - `--mode=update`：把 `--update-dir` 里的新增日线合并进数据目录的个股 CSV（保持原编码与表头顺序，按交易日期去重升序，新上市的票新建文件），打印变更汇总
  *
  * 运行：
  * - `npm i`
  * - `npm start`
  *
  * 可选参数：
- * - `--mode=backtest`（默认 backtest；已移除 stats）
+ * - `--mode=backtest|signal|validate|update`（默认 backtest；已移除 stats）
  * - `--data-dir=PATH`（数据目录，默认 `./stock`）
  * - `--start=20070101` / `--end=20220930`
  * - `--files=sz000001.csv,sh600000.csv`（只跑指定文件）
  * - `--limit=10`（只跑前 N 个文件）
  * - `--quiet`（不显示进度，仅输出报告路径）
  * - `--encoding=gbk|utf8|auto`（默认 gbk；auto 仅做 BOM 级别识别后回退 gbk）
+ * - `--data-format=csv|wide-csv|ndjson`（数据组织方式：一只票一个 CSV（默认）/ 一个交易日一个 CSV / JSON Lines 记录）
+ * - `--column-map=column-map.json`（可选：列映射，把数据里的列名对应到标准列名，extra 里的自定义列透传到 ctx.universe）
+ * - `--no-cache` / `--rebuild-cache`（解析结果默认缓存在 `.cache/series/`，数据文件变化后自动重建；前者不读不写缓存，后者强制全部重新解析；仅 csv 格式）
+ * - `--workers=1|N|auto`（解析 CSV 的线程数；默认 1 在主线程解析，auto 为 CPU 核数；结果顺序与线程数无关；仅 csv 格式）
+ * - `--calendar=trade-calendar.csv`（可选：交易日历，代替“所有数据日期的并集”用于切分周期与逐日盯市；数据日期与日历不一致时给出警告）
+ * - `--strict`（backtest/signal：数据校验有错误时拒绝运行；validate：有错误时退出码为 1）
+ * - `--jump-tolerance=0.005`（数据校验：复权收盘价日收益与 `涨跌幅` 相差超过该值记为可疑跳变）
+ * - `--update-dir=PATH` / `--update-encoding=utf8`（update：新增日线所在目录，一个交易日一个 CSV 或一只票一个 CSV 均可；列名可用 --column-map 映射；编码默认同 --encoding）
+ * - `--update-replace=1`（update：同一交易日已有记录时整行替换，更新里没有的列留空；默认只改更新里有值的列）
  *
  * backtest 模式参数（默认策略 file：strategy.js）：
  * - `--capital=1000000`
  * - `--fee-bps=0`（双边佣金）
  * - `--stamp-bps=0`（卖出印花税）
- * - `--freq=D|W|M|Q`（交易频率：日/周/月/季；周期开始买，周期结束卖；日频为隔夜：买入日->下一交易日卖出）
+ * - `--fee-schedule=fee-schedule.json`（可选：按日期/交易所生效的佣金、印花税、过户费；指定后忽略 fee-bps/stamp-bps）
+ * - `--lot=100` / `--round-lot=1|0`（默认 0；1 表示按整手买入，买不起一手的票剔除，余额留作现金；一手按实际价格计算）
+ * - `--exec-price=close`（成交价：open|close|vwap；`--exec-price=open,close` 表示开盘买、收盘卖）
+ * - `--slippage-bps=0` / `--impact-bps=0`（滑点；平方根冲击：吃掉当日全部成交额时的冲击 bp）
+ * - `--max-participation=0.1`（可选：单笔委托占当日成交额上限，超出部分买入留作现金、卖出顺延）
+ * - `--capacity=auto|1e6,5e6,1亿`（可选：容量分析，按这些初始资金重放同一组周期选股；auto 为 --capital 的 1~100 倍；每档不少于 1 万）
+ * - `--capacity-participation=0.1`（容量分析的参与率阈值：每笔委托不超过当日成交额的该比例；默认取 --max-participation，未设为 0.1）
+ * - `--fill-mode=ideal|realistic`（默认 ideal；realistic 模拟一字涨停买不进、收盘跌停/停牌卖不出）
+ * - `--rebalance=1|0`（默认 0；1 表示换仓模式：仍被选中的持仓不卖出，只买卖与目标权重的差额）
+ * - `--weighting=equal|score|inv-vol|erc|float-cap`（默认 equal；erc 为等风险贡献/风险平价；策略返回了 weight 时以策略权重为准）
+ * - `--max-weight=0.2` / `--min-weight=0.02`（单票权重上限 / 下限；低于下限的票剔除后重新分配）
+ * - `--vol-lookback=20`（inv-vol / erc / 波动率目标用的回看交易日数）
+ * - `--vol-estimator=simple|ewma` / `--ewma-lambda=0.94`（波动率估计口径：样本标准差，或指数加权）
+ * - `--vol-target=0.15` / `--max-leverage=1`（可选：组合年化波动率目标，按预估波动率逐期缩放总敞口，倍数不超过 max-leverage；仅做多周期回测）
+ * - `--weight-normalize=1|0`（默认 1；0 表示策略权重按占净值比例原样使用，合计不足 1 的部分留作现金）
+ * - `--stop-loss=0.08` / `--take-profit=0.2` / `--trailing-stop=0.1` / `--max-holding-days=N`（可选：持仓期内离场规则；也可在 --strategy-params 里用 stopLoss/takeProfit/trailingStop/maxHoldingDays 指定）
+ * - `--exit-trigger=intraday|close`（默认 intraday：按当日最高/最低价触价；close 只看收盘价）
+ * - `--freed-cash=cash|reallocate`（离场释放的现金：默认留作现金；reallocate 当日收盘加仓其余持仓）
+ * - `--rebalance-band=0.01`（换仓模式的不交易区间：持仓偏离目标不超过净值的该比例时不调整；默认 0）
+ * - `--freq=D|W|M|Q|ND`（交易频率：日/周/月/季，或每 N 个交易日如 5D/20D；周期开始买，周期结束卖；日频为隔夜：买入日->下一交易日卖出）
+ * - `--cycle-offset=0`（仅 D/ND：从区间第几个交易日开始第一期）
+ * - `--tranches=K`（仅 ND：资金均分成 K 份，起始日依次错开 N/K 个交易日，报告合并曲线与各批曲线）
+ * - `--gross-exposure=2` / `--net-exposure=0`（多空模式：策略返回 { long, short } 时生效；两边市值合计 / 多减空，占净值比例）
+ * - `--borrow-rate=0.08`（多空模式：融券年化费率，按自然日计提；默认 0）
+ * - `--cash-rate=0.015|cash-rate.csv`（闲置现金年化收益率：常数，或 `日期,年化利率` 的 CSV 按日期生效；按自然日计提；默认 0）
+ * - `--leverage=1.5`（融资杠杆：买入日持仓市值 = 净值 × leverage；默认 1 不融资；仅做多周期回测）
+ * - `--financing-rate=0.06` / `--maintenance-ratio=1.3`（融资年化利率；维持担保比例 = 持仓市值 / 融资负债，跌破即当日收盘强平）
  * - `--strategy=file`（默认 file：从文件加载策略）
  * - `--strategy-file=strategy.js`（默认；策略必须导出名为 strategy 的函数）
  * - `--strategy-params=JSON`（可选：透传给 strategy(ctx).params 的自定义参数）
  * - `--ma=5,10,20`（示例策略用到：多头排列 MA 快>中>慢）
  * - `--exclude-st=1|0`（示例策略用到：默认 1）
  * - `--pick-limit=NUMBER`（可选：每个周期最多选 N 只；不填则全买）
+ *
+ * signal 模式参数（默认策略 file：signal_strategy.js）：
+ * - `--execution=next_close|close`（信号日的下一交易日收盘成交 / 信号当日收盘成交；默认 next_close）
+ * - `--capital` / `--lot` / `--fee-bps` / `--stamp-bps` / `--fee-schedule` / `--cash-rate` / `--strategy-file` / `--strategy-params` 同上
  */
 
 const fs = require('node:fs');
 const path = require('node:path');
-const iconv = require('iconv-lite');
-const { parse } = require('csv-parse/sync');
-const { computeMaxDrawdown } = require('./backtest');
-const { simulatePortfolioPeriodicIdeal } = require('./backtestPortfolio');
+const { simulateLongOnly, computeMaxDrawdown } = require('./backtest');
+const {
+  EXEC_PRICES,
+  MISSING_SELL_MODES,
+  buildExecutionEvents,
+  simulatePortfolioEqualWeight,
+  simulatePortfolioPeriodicIdeal,
+  simulatePortfolioLongShortPeriodic,
+  combinePortfolioResults,
+} = require('./backtestPortfolio');
+const { createCostModel } = require('./costModel');
+const { loadFeeSchedule } = require('./feeSchedule');
+const { DEFAULT_MAINTENANCE_RATIO, loadCashRateTable } = require('./financing');
+const { WEIGHTING_SCHEMES, VOL_ESTIMATORS, createWeighting } = require('./weighting');
+const { EXIT_TRIGGERS, FREED_CASH_POLICIES, createExitRules } = require('./exitRules');
 const indicators = require('./indicators');
-const { buildPeriodPlans } = require('./dateUtils');
-const { upperBound, indexOfDate } = require('./seriesUtils');
+const { buildPeriodPlans, isValidFreq, parseTradingDayCycle } = require('./dateUtils');
+const { realizedVolatility } = require('./returnStats');
+const { upperBound, indexOfDate, isColumn, nameAsOf } = require('./seriesUtils');
+const { buildBenchmarkCurves, computeBenchmarkStats } = require('./benchmark');
+const { parseIndustryTable, expandIndustry } = require('./industry');
+const { adjustmentFactors, exRightsDates } = require('./adjustment');
+const { DEFAULT_CAPACITY_PARTICIPATION, parseCapacityLevels, analyzeCapacity } = require('./capacity');
+const { isStAsOf } = require('./tradeLimits');
+const { createSeriesCache } = require('./seriesCache');
+const { DEFAULT_ENCODING, decodeCsvBuffer, parseYmdInt, parseNumber, sourceColumnOf, parseSeriesCsv } = require('./csvSeries');
+const { resolveWorkerCount, createCsvWorkerPool } = require('./csvWorkerPool');
+const { DEFAULT_JUMP_TOLERANCE, validateDataset } = require('./dataValidation');
+const { DATA_FORMATS, DEFAULT_DATA_FORMAT, isDataFormat, loadColumnMap, listSourceFiles, readRecordFile, readPivotedSource } = require('./dataSource');
+const { parseTradingCalendar, compareCalendar, describeCalendarMismatch } = require('./tradingCalendar');
+const { updateDataDir, formatUpdateSummary } = require('./dataUpdate');
 
 const DEFAULT_START_TIME = '20070101';
 const DEFAULT_END_TIME = '20220930';
-const DEFAULT_ENCODING = 'gbk';
-const DEFAULT_MODE = 'backtest'; // backtest
+const DEFAULT_MODE = 'backtest'; // backtest | signal | validate | update
 const DEFAULT_STRATEGY = 'file'; // backtest only
 const DEFAULT_STRATEGY_FILE = 'strategy.js';
+const DEFAULT_SIGNAL_STRATEGY_FILE = 'signal_strategy.js'; // signal only
+const EXECUTIONS = ['close', 'next_close'];
+const DEFAULT_EXECUTION = 'next_close'; // signal only
 const DEFAULT_FREQ = 'W';
+const DEFAULT_FILL_MODE = 'ideal'; // ideal | realistic
+const DEFAULT_WEIGHTING = 'equal'; // equal | score | inv-vol | erc | float-cap
+const DEFAULT_EXEC_PRICE = 'close'; // 买入价,卖出价：open | close | vwap
 
 function parseBool(s) {
   if (s === undefined || s === null) return false;
@@ -88,24 +159,87 @@ function parseArgs(argv) {
     quiet: false,
     dataDir: null,
     encoding: DEFAULT_ENCODING,
+    dataFormat: DEFAULT_DATA_FORMAT,
+    columnMap: '',
+    calendar: '',
+    updateDir: '',
+    updateEncoding: '',
+    updateReplace: false,
+    benchmark: '',
+    cache: true,
+    rebuildCache: false,
+    workers: 1,
+    strict: false,
+    jumpTolerance: DEFAULT_JUMP_TOLERANCE,
 
     // backtest only
     capital: 1000000,
-    lot: 100, // 兼容旧参数：理想化成交下不使用（可无限可分）
+    lot: 100, // 仅 --round-lot=1 时生效
+    roundLot: false,
     feeBps: 0,
     stampBps: 0,
+    feeSchedule: '',
+    slippageBps: 0,
+    impactBps: 0,
+    maxParticipation: null,
+    capacity: '',
+    capacityParticipation: null,
+    fillMode: DEFAULT_FILL_MODE,
+    execPrice: DEFAULT_EXEC_PRICE,
+    rebalance: false,
+    rebalanceBand: 0,
+    missingSell: 'skip',
+    weighting: DEFAULT_WEIGHTING,
+    maxWeight: 1,
+    minWeight: 0,
+    industry: '',
+    industryMaxWeight: 1,
+    industryMaxCount: null,
+    volLookback: 20,
+    volEstimator: 'simple',
+    ewmaLambda: 0.94,
+    volTarget: null,
+    maxLeverage: 1,
+    weightNormalize: true,
+    stopLoss: null,
+    takeProfit: null,
+    trailingStop: null,
+    maxHoldingDays: null,
+    exitTrigger: '',
+    freedCash: '',
 
     strategy: DEFAULT_STRATEGY,
     strategyFile: DEFAULT_STRATEGY_FILE,
     strategyParamsRaw: '',
     freq: DEFAULT_FREQ,
+    cycleOffset: 0,
+    tranches: 1,
+    grossExposure: 2,
+    netExposure: 0,
+    borrowRate: 0,
+    cashRate: '',
+    leverage: 1,
+    financingRate: 0,
+    maintenanceRatio: DEFAULT_MAINTENANCE_RATIO,
     ma: '5,10,20',
     excludeSt: true,
     pickLimit: null,
+
+    // signal only
+    execution: DEFAULT_EXECUTION,
   };
 
   for (const raw of argv) {
     if (raw === '--quiet') args.quiet = true;
+    else if (raw === '--no-cache') args.cache = false;
+    else if (raw === '--rebuild-cache') args.rebuildCache = true;
+    else if (raw.startsWith('--workers=')) args.workers = resolveWorkerCount(raw.slice('--workers='.length));
+    else if (raw === '--strict') args.strict = true;
+    else if (raw.startsWith('--jump-tolerance=')) {
+      const x = Number(raw.slice('--jump-tolerance='.length));
+      if (!Number.isFinite(x) || x <= 0) throw new Error(`--jump-tolerance 必须是正数：${raw}`);
+      args.jumpTolerance = x;
+    }
     else if (raw.startsWith('--mode=')) args.mode = raw.slice('--mode='.length).trim();
     else if (raw.startsWith('--data-dir=')) args.dataDir = raw.slice('--data-dir='.length).trim();
     else if (raw.startsWith('--start=')) args.start = raw.slice('--start='.length);
@@ -122,6 +256,22 @@ function parseArgs(argv) {
       const enc = raw.slice('--encoding='.length).trim();
       if (!enc) throw new Error(`--encoding 不能为空：${raw}`);
       args.encoding = enc;
+    } else if (raw.startsWith('--data-format=')) {
+      args.dataFormat = raw.slice('--data-format='.length).trim().toLowerCase();
+    } else if (raw.startsWith('--column-map=')) {
+      args.columnMap = raw.slice('--column-map='.length).trim();
+    } else if (raw.startsWith('--calendar=')) {
+      args.calendar = raw.slice('--calendar='.length).trim();
+    } else if (raw.startsWith('--update-dir=')) {
+      args.updateDir = raw.slice('--update-dir='.length).trim();
+    } else if (raw.startsWith('--update-encoding=')) {
+      const enc = raw.slice('--update-encoding='.length).trim();
+      if (!enc) throw new Error(`--update-encoding 不能为空：${raw}`);
+      args.updateEncoding = enc;
+    } else if (raw.startsWith('--update-replace=')) {
+      args.updateReplace = parseBool(raw.slice('--update-replace='.length));
+    } else if (raw.startsWith('--benchmark=')) {
+      args.benchmark = raw.slice('--benchmark='.length).trim();
     } else if (raw.startsWith('--capital=')) {
       const x = Number(raw.slice('--capital='.length));
       if (!Number.isFinite(x) || x <= 0) throw new Error(`--capital 必须是正数：${raw}`);
@@ -130,6 +280,8 @@ function parseArgs(argv) {
       const x = Number(raw.slice('--lot='.length));
       if (!Number.isFinite(x) || x <= 0) throw new Error(`--lot 必须是正数：${raw}`);
       args.lot = Math.floor(x);
+    } else if (raw.startsWith('--round-lot=')) {
+      args.roundLot = parseBool(raw.slice('--round-lot='.length));
     } else if (raw.startsWith('--fee-bps=')) {
       const x = Number(raw.slice('--fee-bps='.length));
       if (!Number.isFinite(x) || x < 0) throw new Error(`--fee-bps 必须是非负数：${raw}`);
@@ -138,6 +290,100 @@ function parseArgs(argv) {
       const x = Number(raw.slice('--stamp-bps='.length));
       if (!Number.isFinite(x) || x < 0) throw new Error(`--stamp-bps 必须是非负数：${raw}`);
       args.stampBps = x;
+    } else if (raw.startsWith('--fee-schedule=')) {
+      args.feeSchedule = raw.slice('--fee-schedule='.length).trim();
+    } else if (raw.startsWith('--slippage-bps=')) {
+      const x = Number(raw.slice('--slippage-bps='.length));
+      if (!Number.isFinite(x) || x < 0) throw new Error(`--slippage-bps 必须是非负数：${raw}`);
+      args.slippageBps = x;
+    } else if (raw.startsWith('--impact-bps=')) {
+      const x = Number(raw.slice('--impact-bps='.length));
+      if (!Number.isFinite(x) || x < 0) throw new Error(`--impact-bps 必须是非负数：${raw}`);
+      args.impactBps = x;
+    } else if (raw.startsWith('--max-participation=')) {
+      const x = Number(raw.slice('--max-participation='.length));
+      if (!Number.isFinite(x) || x <= 0 || x > 1) throw new Error(`--max-participation 必须在 (0, 1] 内：${raw}`);
+      args.maxParticipation = x;
+    } else if (raw.startsWith('--capacity=')) {
+      args.capacity = raw.slice('--capacity='.length).trim();
+    } else if (raw.startsWith('--capacity-participation=')) {
+      const x = Number(raw.slice('--capacity-participation='.length));
+      if (!Number.isFinite(x) || x <= 0 || x > 1) throw new Error(`--capacity-participation 必须在 (0, 1] 内：${raw}`);
+      args.capacityParticipation = x;
+    } else if (raw.startsWith('--execution=')) {
+      args.execution = raw.slice('--execution='.length).trim().toLowerCase();
+    } else if (raw.startsWith('--exec-price=')) {
+      args.execPrice = raw.slice('--exec-price='.length).trim().toLowerCase();
+    } else if (raw.startsWith('--fill-mode=')) {
+      args.fillMode = raw.slice('--fill-mode='.length).trim().toLowerCase();
+    } else if (raw.startsWith('--rebalance=')) {
+      args.rebalance = parseBool(raw.slice('--rebalance='.length));
+    } else if (raw.startsWith('--weighting=')) {
+      args.weighting = raw.slice('--weighting='.length).trim().toLowerCase();
+    } else if (raw.startsWith('--max-weight=')) {
+      const x = Number(raw.slice('--max-weight='.length));
+      if (!Number.isFinite(x) || x <= 0 || x > 1) throw new Error(`--max-weight 必须在 (0, 1] 内：${raw}`);
+      args.maxWeight = x;
+    } else if (raw.startsWith('--min-weight=')) {
+      const x = Number(raw.slice('--min-weight='.length));
+      if (!Number.isFinite(x) || x < 0 || x >= 1) throw new Error(`--min-weight 必须在 [0, 1) 内：${raw}`);
+      args.minWeight = x;
+    } else if (raw.startsWith('--industry=')) {
+      args.industry = raw.slice('--industry='.length).trim();
+    } else if (raw.startsWith('--industry-max-weight=')) {
+      const x = Number(raw.slice('--industry-max-weight='.length));
+      if (!Number.isFinite(x) || x <= 0 || x > 1) throw new Error(`--industry-max-weight 必须在 (0, 1] 内：${raw}`);
+      args.industryMaxWeight = x;
+    } else if (raw.startsWith('--industry-max-count=')) {
+      const x = Number(raw.slice('--industry-max-count='.length));
+      if (!Number.isFinite(x) || x < 1) throw new Error(`--industry-max-count 必须是正整数：${raw}`);
+      args.industryMaxCount = Math.floor(x);
+    } else if (raw.startsWith('--vol-lookback=')) {
+      const x = Number(raw.slice('--vol-lookback='.length));
+      if (!Number.isFinite(x) || x < 2) throw new Error(`--vol-lookback 必须是 >=2 的整数：${raw}`);
+      args.volLookback = Math.floor(x);
+    } else if (raw.startsWith('--vol-estimator=')) {
+      args.volEstimator = raw.slice('--vol-estimator='.length).trim().toLowerCase();
+    } else if (raw.startsWith('--ewma-lambda=')) {
+      const x = Number(raw.slice('--ewma-lambda='.length));
+      if (!Number.isFinite(x) || x <= 0 || x >= 1) throw new Error(`--ewma-lambda 必须在 (0, 1) 内：${raw}`);
+      args.ewmaLambda = x;
+    } else if (raw.startsWith('--vol-target=')) {
+      const x = Number(raw.slice('--vol-target='.length));
+      if (!Number.isFinite(x) || x <= 0) throw new Error(`--vol-target 必须是正数（年化，如 0.15）：${raw}`);
+      args.volTarget = x;
+    } else if (raw.startsWith('--max-leverage=')) {
+      const x = Number(raw.slice('--max-leverage='.length));
+      if (!Number.isFinite(x) || x <= 0) throw new Error(`--max-leverage 必须是正数：${raw}`);
+      args.maxLeverage = x;
+    } else if (raw.startsWith('--weight-normalize=')) {
+      args.weightNormalize = parseBool(raw.slice('--weight-normalize='.length));
+    } else if (raw.startsWith('--stop-loss=')) {
+      const x = Number(raw.slice('--stop-loss='.length));
+      if (!Number.isFinite(x) || x <= 0 || x >= 1) throw new Error(`--stop-loss 必须在 (0, 1) 内：${raw}`);
+      args.stopLoss = x;
+    } else if (raw.startsWith('--take-profit=')) {
+      const x = Number(raw.slice('--take-profit='.length));
+      if (!Number.isFinite(x) || x <= 0) throw new Error(`--take-profit 必须是正数：${raw}`);
+      args.takeProfit = x;
+    } else if (raw.startsWith('--trailing-stop=')) {
+      const x = Number(raw.slice('--trailing-stop='.length));
+      if (!Number.isFinite(x) || x <= 0 || x >= 1) throw new Error(`--trailing-stop 必须在 (0, 1) 内：${raw}`);
+      args.trailingStop = x;
+    } else if (raw.startsWith('--max-holding-days=')) {
+      const x = Number(raw.slice('--max-holding-days='.length));
+      if (!Number.isFinite(x) || x < 1) throw new Error(`--max-holding-days 必须是正整数：${raw}`);
+      args.maxHoldingDays = Math.floor(x);
+    } else if (raw.startsWith('--exit-trigger=')) {
+      args.exitTrigger = raw.slice('--exit-trigger='.length).trim().toLowerCase();
+    } else if (raw.startsWith('--freed-cash=')) {
+      args.freedCash = raw.slice('--freed-cash='.length).trim().toLowerCase();
+    } else if (raw.startsWith('--rebalance-band=')) {
+      const x = Number(raw.slice('--rebalance-band='.length));
+      if (!Number.isFinite(x) || x < 0 || x >= 1) throw new Error(`--rebalance-band 必须在 [0, 1) 内：${raw}`);
+      args.rebalanceBand = x;
+    } else if (raw.startsWith('--missing-sell=')) {
+      args.missingSell = raw.slice('--missing-sell='.length).trim().toLowerCase();
     } else if (raw.startsWith('--strategy=')) {
       args.strategy = raw.slice('--strategy='.length).trim();
     } else if (raw.startsWith('--strategy-file=')) {
@@ -146,6 +392,40 @@ function parseArgs(argv) {
       args.strategyParamsRaw = raw.slice('--strategy-params='.length).trim();
     } else if (raw.startsWith('--freq=')) {
       args.freq = raw.slice('--freq='.length).trim().toUpperCase();
+    } else if (raw.startsWith('--cycle-offset=')) {
+      const x = Number(raw.slice('--cycle-offset='.length));
+      if (!Number.isInteger(x) || x < 0) throw new Error(`--cycle-offset 必须是非负整数：${raw}`);
+      args.cycleOffset = x;
+    } else if (raw.startsWith('--tranches=')) {
+      const x = Number(raw.slice('--tranches='.length));
+      if (!Number.isInteger(x) || x < 1) throw new Error(`--tranches 必须是正整数：${raw}`);
+      args.tranches = x;
+    } else if (raw.startsWith('--gross-exposure=')) {
+      const x = Number(raw.slice('--gross-exposure='.length));
+      if (!Number.isFinite(x) || x <= 0) throw new Error(`--gross-exposure 必须是正数：${raw}`);
+      args.grossExposure = x;
+    } else if (raw.startsWith('--net-exposure=')) {
+      const x = Number(raw.slice('--net-exposure='.length));
+      if (!Number.isFinite(x) || x < -2 || x > 1) throw new Error(`--net-exposure 必须在 [-2, 1] 内：${raw}`);
+      args.netExposure = x;
+    } else if (raw.startsWith('--borrow-rate=')) {
+      const x = Number(raw.slice('--borrow-rate='.length));
+      if (!Number.isFinite(x) || x < 0) throw new Error(`--borrow-rate 必须是非负数：${raw}`);
+      args.borrowRate = x;
+    } else if (raw.startsWith('--cash-rate=')) {
+      args.cashRate = raw.slice('--cash-rate='.length).trim();
+    } else if (raw.startsWith('--leverage=')) {
+      const x = Number(raw.slice('--leverage='.length));
+      if (!Number.isFinite(x) || x < 1) throw new Error(`--leverage 必须 >= 1：${raw}`);
+      args.leverage = x;
+    } else if (raw.startsWith('--financing-rate=')) {
+      const x = Number(raw.slice('--financing-rate='.length));
+      if (!Number.isFinite(x) || x < 0) throw new Error(`--financing-rate 必须是非负数：${raw}`);
+      args.financingRate = x;
+    } else if (raw.startsWith('--maintenance-ratio=')) {
+      const x = Number(raw.slice('--maintenance-ratio='.length));
+      if (!Number.isFinite(x) || x <= 1) throw new Error(`--maintenance-ratio 必须大于 1：${raw}`);
+      args.maintenanceRatio = x;
     } else if (raw.startsWith('--ma=')) {
       args.ma = raw.slice('--ma='.length).trim();
     } else if (raw.startsWith('--exclude-st=')) {
@@ -180,6 +460,15 @@ function parseArgs(argv) {
   if (args.encoding === DEFAULT_ENCODING && getNpmConfig('encoding')) {
     args.encoding = String(getNpmConfig('encoding')).trim() || DEFAULT_ENCODING;
   }
+  if (args.dataFormat === DEFAULT_DATA_FORMAT && getNpmConfig('data_format')) {
+    args.dataFormat = String(getNpmConfig('data_format')).trim().toLowerCase() || DEFAULT_DATA_FORMAT;
+  }
+  if (!args.columnMap && getNpmConfig('column_map')) args.columnMap = String(getNpmConfig('column_map')).trim();
+  if (!args.benchmark && getNpmConfig('benchmark')) args.benchmark = String(getNpmConfig('benchmark')).trim();
+  if (!args.calendar && getNpmConfig('calendar')) args.calendar = String(getNpmConfig('calendar')).trim();
+  if (!args.updateDir && getNpmConfig('update_dir')) args.updateDir = String(getNpmConfig('update_dir')).trim();
+  if (!args.updateEncoding && getNpmConfig('update_encoding')) args.updateEncoding = String(getNpmConfig('update_encoding')).trim();
+  if (!args.updateReplace && parseBool(getNpmConfig('update_replace'))) args.updateReplace = true;
 
   if (args.strategy === DEFAULT_STRATEGY && getNpmConfig('strategy')) {
     args.strategy = String(getNpmConfig('strategy')).trim() || DEFAULT_STRATEGY;
@@ -193,6 +482,39 @@ function parseArgs(argv) {
   if (args.freq === DEFAULT_FREQ && getNpmConfig('freq')) {
     args.freq = String(getNpmConfig('freq')).trim().toUpperCase() || DEFAULT_FREQ;
   }
+  if (args.cycleOffset === 0 && getNpmConfig('cycle_offset')) {
+    const x = Number(getNpmConfig('cycle_offset'));
+    if (Number.isInteger(x) && x >= 0) args.cycleOffset = x;
+  }
+  if (args.tranches === 1 && getNpmConfig('tranches')) {
+    const x = Number(getNpmConfig('tranches'));
+    if (Number.isInteger(x) && x >= 1) args.tranches = x;
+  }
+  if (args.grossExposure === 2 && getNpmConfig('gross_exposure')) {
+    const x = Number(getNpmConfig('gross_exposure'));
+    if (Number.isFinite(x) && x > 0) args.grossExposure = x;
+  }
+  if (args.netExposure === 0 && getNpmConfig('net_exposure')) {
+    const x = Number(getNpmConfig('net_exposure'));
+    if (Number.isFinite(x) && x >= -2 && x <= 1) args.netExposure = x;
+  }
+  if (args.borrowRate === 0 && getNpmConfig('borrow_rate')) {
+    const x = Number(getNpmConfig('borrow_rate'));
+    if (Number.isFinite(x) && x >= 0) args.borrowRate = x;
+  }
+  if (!args.cashRate && getNpmConfig('cash_rate')) args.cashRate = String(getNpmConfig('cash_rate')).trim();
+  if (args.leverage === 1 && getNpmConfig('leverage')) {
+    const x = Number(getNpmConfig('leverage'));
+    if (Number.isFinite(x) && x >= 1) args.leverage = x;
+  }
+  if (args.financingRate === 0 && getNpmConfig('financing_rate')) {
+    const x = Number(getNpmConfig('financing_rate'));
+    if (Number.isFinite(x) && x >= 0) args.financingRate = x;
+  }
+  if (args.maintenanceRatio === DEFAULT_MAINTENANCE_RATIO && getNpmConfig('maintenance_ratio')) {
+    const x = Number(getNpmConfig('maintenance_ratio'));
+    if (Number.isFinite(x) && x > 1) args.maintenanceRatio = x;
+  }
   if (args.ma === '5,10,20' && getNpmConfig('ma')) {
     args.ma = String(getNpmConfig('ma')).trim() || '5,10,20';
   }
@@ -211,6 +533,14 @@ function parseArgs(argv) {
 
   // 布尔型 flag：仅当 argv 未显式指定时，才用 npm_config_* 补齐
   if (!args.quiet && parseBool(getNpmConfig('quiet'))) args.quiet = true;
+  if (args.cache && parseBool(getNpmConfig('no_cache'))) args.cache = false;
+  if (!args.rebuildCache && parseBool(getNpmConfig('rebuild_cache'))) args.rebuildCache = true;
+  if (args.workers === 1 && getNpmConfig('workers')) args.workers = resolveWorkerCount(getNpmConfig('workers'));
+  if (!args.strict && parseBool(getNpmConfig('strict'))) args.strict = true;
+  if (args.jumpTolerance === DEFAULT_JUMP_TOLERANCE && getNpmConfig('jump_tolerance')) {
+    const x = Number(getNpmConfig('jump_tolerance'));
+    if (Number.isFinite(x) && x > 0) args.jumpTolerance = x;
+  }
 
   if (args.capital === 1000000 && getNpmConfig('capital')) {
     const x = Number(getNpmConfig('capital'));
@@ -220,6 +550,7 @@ function parseArgs(argv) {
     const x = Number(getNpmConfig('lot'));
     if (Number.isFinite(x) && x > 0) args.lot = Math.floor(x);
   }
+  if (!args.roundLot && parseBool(getNpmConfig('round_lot'))) args.roundLot = true;
   if (args.feeBps === 0 && getNpmConfig('fee_bps')) {
     const x = Number(getNpmConfig('fee_bps'));
     if (Number.isFinite(x) && x >= 0) args.feeBps = x;
@@ -228,56 +559,193 @@ function parseArgs(argv) {
     const x = Number(getNpmConfig('stamp_bps'));
     if (Number.isFinite(x) && x >= 0) args.stampBps = x;
   }
+  if (!args.feeSchedule && getNpmConfig('fee_schedule')) {
+    args.feeSchedule = String(getNpmConfig('fee_schedule')).trim();
+  }
+  if (args.slippageBps === 0 && getNpmConfig('slippage_bps')) {
+    const x = Number(getNpmConfig('slippage_bps'));
+    if (Number.isFinite(x) && x >= 0) args.slippageBps = x;
+  }
+  if (args.impactBps === 0 && getNpmConfig('impact_bps')) {
+    const x = Number(getNpmConfig('impact_bps'));
+    if (Number.isFinite(x) && x >= 0) args.impactBps = x;
+  }
+  if (args.maxParticipation === null && getNpmConfig('max_participation')) {
+    const x = Number(getNpmConfig('max_participation'));
+    if (Number.isFinite(x) && x > 0 && x <= 1) args.maxParticipation = x;
+  }
+  if (!args.capacity && getNpmConfig('capacity')) args.capacity = String(getNpmConfig('capacity')).trim();
+  if (args.capacityParticipation === null && getNpmConfig('capacity_participation')) {
+    const x = Number(getNpmConfig('capacity_participation'));
+    if (Number.isFinite(x) && x > 0 && x <= 1) args.capacityParticipation = x;
+  }
+  if (args.execution === DEFAULT_EXECUTION && getNpmConfig('execution')) {
+    args.execution = String(getNpmConfig('execution')).trim().toLowerCase() || DEFAULT_EXECUTION;
+  }
+  if (args.execPrice === DEFAULT_EXEC_PRICE && getNpmConfig('exec_price')) {
+    args.execPrice = String(getNpmConfig('exec_price')).trim().toLowerCase() || DEFAULT_EXEC_PRICE;
+  }
+  if (args.fillMode === DEFAULT_FILL_MODE && getNpmConfig('fill_mode')) {
+    args.fillMode = String(getNpmConfig('fill_mode')).trim().toLowerCase() || DEFAULT_FILL_MODE;
+  }
+  if (!args.rebalance && parseBool(getNpmConfig('rebalance'))) args.rebalance = true;
+  if (args.weighting === DEFAULT_WEIGHTING && getNpmConfig('weighting')) {
+    args.weighting = String(getNpmConfig('weighting')).trim().toLowerCase() || DEFAULT_WEIGHTING;
+  }
+  if (args.maxWeight === 1 && getNpmConfig('max_weight')) {
+    const x = Number(getNpmConfig('max_weight'));
+    if (Number.isFinite(x) && x > 0 && x <= 1) args.maxWeight = x;
+  }
+  if (args.minWeight === 0 && getNpmConfig('min_weight')) {
+    const x = Number(getNpmConfig('min_weight'));
+    if (Number.isFinite(x) && x >= 0 && x < 1) args.minWeight = x;
+  }
+  if (!args.industry && getNpmConfig('industry')) args.industry = String(getNpmConfig('industry')).trim();
+  if (args.industryMaxWeight === 1 && getNpmConfig('industry_max_weight')) {
+    const x = Number(getNpmConfig('industry_max_weight'));
+    if (Number.isFinite(x) && x > 0 && x <= 1) args.industryMaxWeight = x;
+  }
+  if (args.industryMaxCount === null && getNpmConfig('industry_max_count')) {
+    const x = Number(getNpmConfig('industry_max_count'));
+    if (Number.isFinite(x) && x >= 1) args.industryMaxCount = Math.floor(x);
+  }
+  if (args.volLookback === 20 && getNpmConfig('vol_lookback')) {
+    const x = Number(getNpmConfig('vol_lookback'));
+    if (Number.isFinite(x) && x >= 2) args.volLookback = Math.floor(x);
+  }
+  if (args.volEstimator === 'simple' && getNpmConfig('vol_estimator')) {
+    args.volEstimator = String(getNpmConfig('vol_estimator')).trim().toLowerCase() || 'simple';
+  }
+  if (args.ewmaLambda === 0.94 && getNpmConfig('ewma_lambda')) {
+    const x = Number(getNpmConfig('ewma_lambda'));
+    if (Number.isFinite(x) && x > 0 && x < 1) args.ewmaLambda = x;
+  }
+  if (args.volTarget === null && getNpmConfig('vol_target')) {
+    const x = Number(getNpmConfig('vol_target'));
+    if (Number.isFinite(x) && x > 0) args.volTarget = x;
+  }
+  if (args.maxLeverage === 1 && getNpmConfig('max_leverage')) {
+    const x = Number(getNpmConfig('max_leverage'));
+    if (Number.isFinite(x) && x > 0) args.maxLeverage = x;
+  }
+  for (const [key, npmKey] of [['stopLoss', 'stop_loss'], ['takeProfit', 'take_profit'], ['trailingStop', 'trailing_stop'], ['maxHoldingDays', 'max_holding_days']]) {
+    if (args[key] !== null || !getNpmConfig(npmKey)) continue;
+    const x = Number(getNpmConfig(npmKey));
+    if (Number.isFinite(x) && x > 0) args[key] = key === 'maxHoldingDays' ? Math.floor(x) : x;
+  }
+  if (!args.exitTrigger && getNpmConfig('exit_trigger')) args.exitTrigger = String(getNpmConfig('exit_trigger')).trim().toLowerCase();
+  if (!args.freedCash && getNpmConfig('freed_cash')) args.freedCash = String(getNpmConfig('freed_cash')).trim().toLowerCase();
+  if (args.weightNormalize && getNpmConfig('weight_normalize') !== undefined) {
+    args.weightNormalize = parseBool(getNpmConfig('weight_normalize'));
+  }
+  if (args.rebalanceBand === 0 && getNpmConfig('rebalance_band')) {
+    const x = Number(getNpmConfig('rebalance_band'));
+    if (Number.isFinite(x) && x >= 0 && x < 1) args.rebalanceBand = x;
+  }
+  if (args.missingSell === 'skip' && getNpmConfig('missing_sell')) {
+    args.missingSell = String(getNpmConfig('missing_sell')).trim().toLowerCase() || 'skip';
+  }
 
   return args;
 }
 
-function detectEncodingFromBom(buf) {
-  if (!buf || buf.length < 2) return null;
-  // UTF-8 BOM: EF BB BF
-  if (buf.length >= 3 && buf[0] === 0xef && buf[1] === 0xbb && buf[2] === 0xbf) return 'utf8';
-  // UTF-16LE BOM: FF FE
-  if (buf[0] === 0xff && buf[1] === 0xfe) return 'utf16le';
-  // UTF-16BE BOM: FE FF（iconv-lite 对 utf16be 支持不稳定，明确报错更安全）
-  if (buf[0] === 0xfe && buf[1] === 0xff) return 'utf16be';
-  return null;
-}
+/**
+ * 解析策略返回值
+ *
+ * - `['sh600000.csv', ...]` 或 `{ picks: [...] }`
+ * - picks 元素也可以是 `{ file, weight?, score? }`
+ * - `{ weights: { file: weight } }`（可与 picks 同时给；只给 weights 时按其键作为 picks）
+ * - `{ long: [...], short: [...] }`（多空：两边各自按上面的数组格式解析；权重在各自一边内部分配）
+ *
+ * 返回 { picks: string[], weights: object|null, scores: object|null, short: 同结构|null }（多空时 picks 为多头）
+ */
+function parseStrategyPicks(out, periodKey) {
+  if (out && !Array.isArray(out) && (out.long !== undefined || out.short !== undefined)) {
+    for (const side of ['long', 'short']) {
+      if (out[side] !== undefined && !Array.isArray(out[side])) {
+        throw new Error(`策略返回值不合法：${side} 必须是数组。\nperiodKey=${periodKey}`);
+      }
+    }
+    const long = parseStrategyPicks(out.long || [], periodKey);
+    const short = parseStrategyPicks(out.short || [], periodKey);
+    const longSet = new Set(long.picks);
+    const both = short.picks.filter((f) => longSet.has(f));
+    if (both.length) throw new Error(`同一只股票不能同时出现在 long 和 short 里：${both.slice(0, 5).join(',')}\nperiodKey=${periodKey}`);
+    return { ...long, short };
+  }
+
+  let list;
+  if (Array.isArray(out)) list = out;
+  else if (out && Array.isArray(out.picks)) list = out.picks;
+  else if (out && out.weights && typeof out.weights === 'object' && !Array.isArray(out.weights)) list = Object.keys(out.weights);
+  else {
+    throw new Error(`策略返回值不合法：必须返回数组，或返回 { picks: [] } / { weights: {} } / { long: [], short: [] }。\nperiodKey=${periodKey}`);
+  }
 
-function decodeCsvBuffer(buf, encoding) {
-  const encRaw = String(encoding || DEFAULT_ENCODING).trim().toLowerCase();
-  const enc = encRaw === 'auto' ? (detectEncodingFromBom(buf) || DEFAULT_ENCODING) : encRaw;
+  const toWeight = (x, file) => {
+    const w = Number(x);
+    if (!Number.isFinite(w) || w < 0) throw new Error(`策略返回的权重必须是非负数：${file} => ${x}\nperiodKey=${periodKey}`);
+    return w;
+  };
 
-  if (enc === 'utf16be') {
-    throw new Error('检测到 UTF-16BE BOM（FE FF），当前不支持；请先转码为 UTF-8 或 GBK。');
+  const picks = [];
+  let weights = null;
+  let scores = null;
+  for (const x of list) {
+    const isObj = x && typeof x === 'object';
+    const file = String(isObj ? x.file : x).trim();
+    if (!file || (isObj && x.file === undefined)) continue;
+    picks.push(file);
+    if (isObj && x.weight !== undefined) {
+      if (!weights) weights = {};
+      weights[file] = toWeight(x.weight, file);
+    }
+    if (isObj && x.score !== undefined && Number.isFinite(Number(x.score))) {
+      if (!scores) scores = {};
+      scores[file] = Number(x.score);
+    }
   }
 
-  if (!iconv.encodingExists(enc)) {
-    throw new Error(`不支持的编码：${encoding}`);
+  if (out && !Array.isArray(out) && out.weights && typeof out.weights === 'object') {
+    if (!weights) weights = {};
+    for (const [file, w] of Object.entries(out.weights)) weights[String(file).trim()] = toWeight(w, file);
+  }
+  if (weights) {
+    const missing = picks.filter((f) => !(f in weights));
+    if (missing.length) {
+      throw new Error(`策略给了权重时每只入选股票都必须有权重，缺少：${missing.slice(0, 5).join(',')}\nperiodKey=${periodKey}`);
+    }
   }
 
-  // 对带 BOM 的文本，先去掉 BOM，避免把 BOM 当作数据的一部分。
-  let sliceStart = 0;
-  if (enc === 'utf8' && buf.length >= 3 && buf[0] === 0xef && buf[1] === 0xbb && buf[2] === 0xbf) sliceStart = 3;
-  if (enc === 'utf16le' && buf.length >= 2 && buf[0] === 0xff && buf[1] === 0xfe) sliceStart = 2;
-  const body = sliceStart ? buf.subarray(sliceStart) : buf;
+  return { picks, weights, scores, short: null };
+}
 
-  return iconv.decode(body, enc);
+// `--exec-price=open` 买卖同价；`--exec-price=open,close` 分别指定买入/卖出
+function parseExecPrice(raw) {
+  const parts = String(raw || DEFAULT_EXEC_PRICE).split(',').map((x) => x.trim().toLowerCase()).filter(Boolean);
+  if (!parts.length || parts.length > 2 || !parts.every((x) => EXEC_PRICES.includes(x))) {
+    throw new Error(`--exec-price 仅支持 ${EXEC_PRICES.join('/')}，可写成 BUY 或 BUY,SELL；收到：${raw}`);
+  }
+  return { buyPrice: parts[0], sellPrice: parts[parts.length - 1] };
 }
 
-function parseYmdInt(dateLike) {
-  if (dateLike === undefined || dateLike === null) return Number.NaN;
-  const s = String(dateLike).trim();
-  const m = s.match(/^(\d{4})[/-]?(\d{2})[/-]?(\d{2})/);
-  if (!m) return Number.NaN;
-  return Number(m[1] + m[2] + m[3]);
+// `--cash-rate=0.015` / `--cash-rate=1.5%` 为常数；其余按 CSV 路径读取（相对路径基于项目根目录）
+function resolveCashRate(raw, projectRoot) {
+  const s = String(raw || '').trim();
+  if (!s) return { cashRate: 0, cashRatePath: '' };
+  if (/^-?\d+(\.\d+)?%?$/.test(s)) {
+    const x = s.endsWith('%') ? Number(s.slice(0, -1)) / 100 : Number(s);
+    if (!(x > -1)) throw new Error(`--cash-rate 无效：${raw}`);
+    return { cashRate: x, cashRatePath: '' };
+  }
+  const cashRatePath = path.isAbsolute(s) ? s : path.join(projectRoot, s);
+  return { cashRate: loadCashRateTable(cashRatePath), cashRatePath };
 }
 
-function parseNumber(v) {
-  if (v === undefined || v === null) return Number.NaN;
-  const s = String(v).trim();
-  if (s === '') return Number.NaN;
-  const n = Number(s);
-  return Number.isFinite(n) ? n : Number.NaN;
+function cashRateNote(cashRate, cashRatePath) {
+  if (!cashRatePath && cashRate === 0) return '- 现金利息：未启用（闲置现金不计息）。';
+  const src = cashRatePath ? `按利率表 ${cashRatePath} 逐日生效（首个日期之前按 0）` : `年化 ${(cashRate * 100).toFixed(2)}%`;
+  return `- 现金利息：${src}；按上一交易日收盘后的现金余额 × 年化利率 × 自然日数/365 计入净值，资金曲线、最大回撤与 KPI 均含利息。`;
 }
 
 function formatNum(x) {
@@ -384,6 +852,12 @@ function renderProgress(processed, total, startedAtMs) {
   process.stdout.write(`\r${line}`);
 }
 
+function execPriceLabel(kind) {
+  if (kind === 'open') return '开盘复权价';
+  if (kind === 'vwap') return '成交均价(成交额/成交量，按复权因子调整)';
+  return '收盘复权价';
+}
+
 function labelMetaKeyZh(key) {
   const map = {
     generated_at: '生成时间',
@@ -391,19 +865,68 @@ function labelMetaKeyZh(key) {
     data_dir: '数据目录',
     files_total: '文件数',
     encoding: '编码',
+    data_format: '数据格式',
+    column_map: '列映射',
+    calendar: '交易日历',
+    series_cache: '解析缓存',
+    workers: '解析线程数',
+    strict: '严格校验',
+    jump_tolerance: '跳变容差',
     mode: '模式',
     start: '开始日期',
     end: '结束日期',
     capital: '初始资金',
     fee_bps: '佣金(bp)',
     stamp_bps: '印花税(bp)',
+    fee_schedule: '费率表',
+    slippage_bps: '滑点(bp)',
+    impact_bps: '冲击系数(bp)',
+    max_participation: '成交额参与率上限',
+    capacity: '容量分析资金档位',
+    capacity_participation: '容量分析参与率阈值',
+    fill_mode: '成交口径',
+    exec_price: '成交价(买,卖)',
+    lot: '每手股数',
+    round_lot: '整手买入',
+    rebalance: '换仓模式',
+    weighting: '权重方案',
+    max_weight: '单票权重上限',
+    min_weight: '单票权重下限',
+    vol_lookback: '波动率回看天数',
+    vol_estimator: '波动率估计口径',
+    ewma_lambda: 'EWMA 衰减因子',
+    vol_target: '目标波动率(年化)',
+    max_leverage: '敞口倍数上限',
+    weight_normalize: '策略权重归一化',
+    stop_loss: '止损',
+    take_profit: '止盈',
+    trailing_stop: '移动止损',
+    max_holding_days: '最长持有交易日',
+    exit_trigger: '离场触发口径',
+    freed_cash: '离场资金去向',
+    rebalance_band: '调仓不交易区间',
     strategy: '回测策略',
     strategy_file: '策略文件',
     strategy_params: '策略参数(JSON)',
     freq: '交易频率',
+    cycle_offset: '周期起始偏移(交易日)',
+    tranches: '分批数',
+    gross_exposure: '总敞口(多+空)',
+    net_exposure: '净敞口(多-空)',
+    borrow_rate: '融券年化费率',
+    cash_rate: '现金年化收益率',
+    leverage: '融资杠杆',
+    financing_rate: '融资年化利率',
+    maintenance_ratio: '维持担保比例',
+    missing_sell: '卖出日缺价处理',
+    benchmark: '基准文件',
+    industry: '行业数据',
+    industry_max_weight: '单行业权重上限',
+    industry_max_count: '单行业最多只数',
     ma: '均线参数',
     exclude_st: '排除ST',
     pick_limit: '每周期选股上限',
+    execution: '成交时点',
   };
   return map[key] || '';
 }
@@ -421,6 +944,73 @@ function labelSummaryKeyZh(key) {
     picks_total: '选股总数(累计)',
     picks_avg_per_period: '平均每周期选股数',
     period_win_rate: '周期胜率(按周期)',
+    blocked_buy_limit_up: '一字涨停未买入',
+    blocked_buy_suspended: '停牌未买入',
+    blocked_sell_limit_down: '跌停延迟卖出',
+    blocked_sell_suspended: '停牌延迟卖出',
+    blocked_delisted: '卖不出后退市离场',
+    cost_commission: '佣金',
+    cost_stamp_duty: '印花税',
+    cost_transfer_fee: '过户费',
+    cost_total: '交易成本合计',
+    liquidity_buy_capped: '参与率截断买单',
+    liquidity_sell_capped: '参与率截断卖单',
+    liquidity_unfilled_buy_value: '未成交买入金额(累计)',
+    impact_cost: '滑点+冲击成本',
+    idle_cash_ratio_avg: '平均闲置现金比例',
+    idle_cash_ratio_max: '最大闲置现金比例',
+    picks_dropped_unaffordable: '买不起一手被剔除',
+    tranches: '分批数',
+    tranche_return_min: '分批最低收益率',
+    tranche_return_max: '分批最高收益率',
+    turnover_avg: '平均单期换手率',
+    turnover_total: '累计换手率',
+    positions_new: '新开仓(累计)',
+    positions_held: '持有不动(累计)',
+    positions_resized: '调整仓位(累计)',
+    positions_closed: '清仓(累计)',
+    exit_stop_loss: '止损离场',
+    exit_trailing_stop: '移动止损离场',
+    exit_take_profit: '止盈离场',
+    exit_max_holding: '到期离场',
+    book_pnl_long: '多头账本盈亏',
+    book_pnl_short: '空头账本盈亏(含融券费用)',
+    borrow_cost: '融券费用',
+    long_exposure_avg: '平均多头敞口',
+    short_exposure_avg: '平均空头敞口',
+    liquidity_unfilled_short_value: '未成交卖空金额(累计)',
+    signal_entries: '入场信号数',
+    signal_exits: '离场信号数',
+    signal_stocks: '有入场信号的股票数',
+    trades_force_exit_eof: '区间末强平笔数',
+    solo_return_avg: '单票回测平均收益率',
+    solo_win_stocks: '单票回测盈利股票数',
+    cash_interest: '现金利息',
+    financing_cost: '融资利息',
+    margin_calls: '强平次数(维持担保比例)',
+    leverage_avg: '平均杠杆(买入后)',
+    vol_target: '目标波动率(年化)',
+    vol_realized: '实际波动率(年化)',
+    vol_forecast_avg: '平均预估波动率',
+    exposure_avg: '平均目标敞口(倍)',
+    missing_sell_delisted: '退市离场笔数(最后有效价)',
+    missing_sell_frozen: '停牌冻结持仓数',
+    missing_sell_frozen_open: '期末仍冻结持仓数',
+    missing_sell_pnl: '缺价持仓已实现盈亏',
+    industry_count: '持仓涉及行业数',
+    industry_top_weight_avg: '平均最大行业权重',
+    capacity_threshold_capital: '容量上限(参与率越界资金)',
+    capacity_participation: '容量分析参与率阈值',
+    benchmark_window: '基准对比区间',
+    portfolio_window_return: '对比区间组合收益率',
+    benchmark_return: '基准收益率',
+    excess_return: '超额收益(组合-基准)',
+    alpha: 'Alpha(年化)',
+    beta: 'Beta',
+    tracking_error: '跟踪误差(年化)',
+    information_ratio: '信息比率',
+    up_capture: '上行捕获率',
+    down_capture: '下行捕获率',
   };
   return map[key] || '';
 }
@@ -437,6 +1027,8 @@ function formatMetaValue(key, value) {
 
   if (key === 'mode') {
     if (raw === 'backtest') return '回测(backtest)';
+    if (raw === 'signal') return '信号回测(signal)';
+    if (raw === 'validate') return '数据校验(validate)';
   }
 
   if (key === 'strategy') {
@@ -448,9 +1040,27 @@ function formatMetaValue(key, value) {
     if (raw === 'W') return '周频(W)';
     if (raw === 'M') return '月频(M)';
     if (raw === 'Q') return '季频(Q)';
+    const m = raw.match(/^(\d+)D$/);
+    if (m) return `每 ${m[1]} 个交易日(${raw})`;
+  }
+
+  if (key === 'execution') {
+    if (raw === 'close') return '信号当日收盘(close)';
+    if (raw === 'next_close') return '信号次日收盘(next_close)';
+  }
+
+  if (key === 'fill_mode') {
+    if (raw === 'ideal') return '理想化成交(ideal)';
+    if (raw === 'realistic') return '涨跌停/停牌约束(realistic)';
+  }
+
+  if (key === 'max_participation') {
+    const x = Number(value);
+    if (raw && Number.isFinite(x)) return `${(x * 100).toFixed(2)}%`;
+    return '不限';
   }
 
-  if (key === 'fee_bps' || key === 'stamp_bps') {
+  if (key === 'fee_bps' || key === 'stamp_bps' || key === 'slippage_bps' || key === 'impact_bps') {
     const bps = Number(value);
     if (Number.isFinite(bps)) return `${bps} bp（${(bps / 100).toFixed(2)}%）`;
   }
@@ -460,7 +1070,7 @@ function formatMetaValue(key, value) {
     if (Number.isFinite(x)) return `${formatMoney(x)} 元`;
   }
 
-  if (key === 'exclude_st') {
+  if (key === 'exclude_st' || key === 'round_lot' || key === 'rebalance' || key === 'weight_normalize') {
     return parseBool(value) ? '是' : '否';
   }
 
@@ -483,9 +1093,22 @@ function downsampleSeries(series, maxPoints) {
   return out;
 }
 
-function renderEquityCurveSvg(equityCurve, { initialCapital = null } = {}) {
+const CHART_SERIES_COLORS = ['#f59e0b', '#10b981', '#ef4444', '#8b5cf6', '#06b6d4', '#ec4899', '#84cc16', '#64748b'];
+
+// series：叠加的细线 [{ label, curve: [{ date, equity }] }]，按日期对齐到主曲线，tooltip 一并显示
+function renderEquityCurveSvg(equityCurve, { initialCapital = null, series = [] } = {}) {
   const pts = downsampleSeries(equityCurve, 900);
-  const values = pts.map((p) => p.equity).filter((x) => Number.isFinite(x));
+  const extras = (Array.isArray(series) ? series : []).map((x, i) => {
+    const byDate = new Map((x.curve || []).map((p) => [p.date, p.equity]));
+    return {
+      label: String(x.label || ''),
+      color: CHART_SERIES_COLORS[i % CHART_SERIES_COLORS.length],
+      values: pts.map((p) => (byDate.has(p.date) && Number.isFinite(byDate.get(p.date)) ? byDate.get(p.date) : null)),
+    };
+  });
+  const values = pts.map((p) => p.equity)
+    .concat(...extras.map((x) => x.values))
+    .filter((x) => Number.isFinite(x));
   if (!values.length) return '<div class="hint">无净值数据</div>';
   const min = Math.min(...values);
   const max = Math.max(...values);
@@ -507,8 +1130,24 @@ function renderEquityCurveSvg(equityCurve, { initialCapital = null } = {}) {
     return `${toX(idx).toFixed(2)},${toY(v).toFixed(2)}`;
   }).join(' ');
 
+  const extraLines = extras.map((x) => {
+    const linePts = [];
+    x.values.forEach((v, idx) => {
+      if (Number.isFinite(v)) linePts.push(`${toX(idx).toFixed(2)},${toY(v).toFixed(2)}`);
+    });
+    return `<polyline fill="none" stroke="${x.color}" stroke-width="1.2" stroke-opacity="0.85" points="${linePts.join(' ')}"></polyline>`;
+  }).join('');
+  const legendHtml = extras.length
+    ? `<div class="hint">${[{ label: '组合', color: 'var(--accent)' }, ...extras].map((x) => `<span style="color:${x.color};">━</span> ${htmlEscape(x.label)}`).join('&nbsp;&nbsp;')}</div>`
+    : '';
+
   const last = pts[pts.length - 1];
-  const data = pts.map((p) => ({ d: p.date, e: Number.isFinite(p.equity) ? p.equity : null }));
+  const data = pts.map((p, idx) => ({
+    d: p.date,
+    e: Number.isFinite(p.equity) ? p.equity : null,
+    x: extras.map((x) => x.values[idx]),
+  }));
+  const extraLabelsJson = JSON.stringify(extras.map((x) => x.label));
   const dataJson = JSON.stringify(data);
   const initial = Number.isFinite(initialCapital) ? initialCapital : null;
 
@@ -529,6 +1168,7 @@ function renderEquityCurveSvg(equityCurve, { initialCapital = null } = {}) {
   });
   return `
     <div class="hint">区间：${htmlEscape(formatYmd(pts[0].date))} → ${htmlEscape(formatYmd(last.date))}；末值：${htmlEscape(formatMoney(last.equity))}</div>
+    ${legendHtml}
     <div class="chart-wrap" id="equity-chart-wrap">
       <svg id="equity-chart" viewBox="0 0 ${w} ${h}" width="100%" height="${h}" role="img" aria-label="equity curve">
         <rect x="0" y="0" width="${w}" height="${h}" fill="var(--chart-bg)"></rect>
@@ -547,6 +1187,7 @@ function renderEquityCurveSvg(equityCurve, { initialCapital = null } = {}) {
 
         <line x1="${padL}" y1="${padT}" x2="${padL}" y2="${h - padB}" stroke="var(--axis)" stroke-width="1"></line>
         <line x1="${padL}" y1="${h - padB}" x2="${w - padR}" y2="${h - padB}" stroke="var(--axis)" stroke-width="1"></line>
+        ${extraLines}
         <polyline fill="none" stroke="var(--accent)" stroke-width="2" points="${points}"></polyline>
         <line id="equity-hover-line" x1="0" y1="${padT}" x2="0" y2="${h - padB}" stroke="var(--hover)" stroke-width="1" visibility="hidden"></line>
         <circle id="equity-hover-dot" cx="0" cy="0" r="3.5" fill="var(--accent)" stroke="var(--chart-bg)" stroke-width="1.2" visibility="hidden"></circle>
@@ -556,6 +1197,7 @@ function renderEquityCurveSvg(equityCurve, { initialCapital = null } = {}) {
     <script>
     (() => {
       const data = ${dataJson};
+      const extraLabels = ${extraLabelsJson};
       if (!data || !data.length) return;
       const initial = ${initial === null ? 'null' : String(initial)};
 
@@ -616,9 +1258,11 @@ function renderEquityCurveSvg(equityCurve, { initialCapital = null } = {}) {
 
         const ret = initial ? (p.e / initial - 1) : null;
         const retHtml = (ret === null || !Number.isFinite(ret)) ? '' : ('<div>收益：' + (ret * 100).toFixed(2) + '%</div>');
+        const extraHtml = extraLabels.map((label, i) => (Number.isFinite(p.x[i]) ? '<div>' + label + '：' + fmtMoney(p.x[i]) + '</div>' : '')).join('');
         tooltip.innerHTML = '<div><b>' + fmtDate(p.d) + '</b></div>'
           + '<div>资产：' + fmtMoney(p.e) + '</div>'
-          + retHtml;
+          + retHtml
+          + extraHtml;
         tooltip.style.display = 'block';
 
         const wrapRect = wrap.getBoundingClientRect();
@@ -653,91 +1297,96 @@ function renderEquityCurveSvg(equityCurve, { initialCapital = null } = {}) {
   `;
 }
 
-function renderBacktestReportHtml({ title, meta, strategy, overview, amounts, summary, equityCurveSvg, notes }) {
-  const metaItems = Object.entries(meta).map(([k, v]) => ({
-    kHtml: renderKeyWithZhLabel(k, labelMetaKeyZh(k)),
-    v: formatMetaValue(k, v),
-    isNum: false,
-  }));
+// 容量分析图：横轴为初始资金（对数刻度），收益率（左轴）与夏普（右轴）两条线；虚线标出参与率越界的资金
+function renderCapacityChartSvg(rows, { thresholdCapital = Number.NaN } = {}) {
+  const pts = rows.filter((x) => x.capital > 0);
+  if (!pts.length) return '';
+  const w = 1080;
+  const h = 240;
+  const padL = 84;
+  const padR = 64;
+  const padT = 12;
+  const padB = 34;
+  const innerW = w - padL - padR;
+  const innerH = h - padT - padB;
 
-  const summaryItems = Object.entries(summary).map(([k, v]) => ({
-    kHtml: renderKeyWithZhLabel(k, labelSummaryKeyZh(k)),
-    v: String(v),
-    isNum: true,
+  const lx = pts.map((x) => Math.log10(x.capital));
+  const xMin = Math.min(...lx);
+  const xRange = Math.max(...lx) - xMin || 1;
+  const toX = (capital) => padL + (innerW * (Math.log10(capital) - xMin)) / xRange;
+  const axis = (values) => {
+    const xs = values.filter((v) => Number.isFinite(v));
+    const lo = xs.length ? Math.min(0, ...xs) : 0;
+    const hi = xs.length ? Math.max(...xs) : 1;
+    const range = hi - lo || 1;
+    return { lo, range, toY: (v) => padT + innerH * (1 - (v - lo) / range) };
+  };
+  const ret = axis(pts.map((x) => x.totalReturn));
+  const sharpe = axis(pts.map((x) => x.sharpe));
+  const line = (key, ax, color) => {
+    const xy = pts.filter((x) => Number.isFinite(x[key])).map((x) => [toX(x.capital), ax.toY(x[key])]);
+    return `<polyline fill="none" stroke="${color}" stroke-width="2" points="${xy.map(([x, y]) => `${x.toFixed(2)},${y.toFixed(2)}`).join(' ')}"></polyline>`
+      + xy.map(([x, y]) => `<circle cx="${x.toFixed(2)}" cy="${y.toFixed(2)}" r="3" fill="${color}"></circle>`).join('');
+  };
+  const yTicks = [0, 0.5, 1].map((k) => ({
+    y: padT + innerH * (1 - k),
+    ret: ret.lo + k * ret.range,
+    sharpe: sharpe.lo + k * sharpe.range,
   }));
+  const showThreshold = Number.isFinite(thresholdCapital)
+    && thresholdCapital >= pts[0].capital && thresholdCapital <= pts[pts.length - 1].capital;
 
-  const kpis = Array.isArray(overview) ? overview : [];
-  const kpiHtml = `
-    <div class="kpi-grid">
-      ${kpis.map((x) => `
-        <div class="kpi-item">
-          <div class="kpi-k">${htmlEscape(x.k)}</div>
-          <div class="kpi-v">${htmlEscape(x.v)}</div>
-          ${x.sub ? `<div class="kpi-sub">${htmlEscape(x.sub)}</div>` : ''}
-        </div>
-      `).join('')}
+  return `
+    <div class="hint"><span style="color:var(--accent);">━</span> 收益率（左轴）&nbsp;&nbsp;<span style="color:#f59e0b;">━</span> 夏普（右轴）${showThreshold ? '&nbsp;&nbsp;<span style="color:#dc2626;">┆</span> 参与率越界' : ''}</div>
+    <div class="chart-wrap">
+      <svg viewBox="0 0 ${w} ${h}" width="100%" height="${h}" role="img" aria-label="capacity curve">
+        <rect x="0" y="0" width="${w}" height="${h}" fill="var(--chart-bg)"></rect>
+        ${yTicks.map((tk) => `
+          <line x1="${padL}" y1="${tk.y.toFixed(2)}" x2="${w - padR}" y2="${tk.y.toFixed(2)}" stroke="var(--grid)" stroke-width="1"></line>
+          <text x="${padL - 8}" y="${(tk.y + 4).toFixed(2)}" text-anchor="end" fill="var(--tickText)" font-size="11">${(tk.ret * 100).toFixed(1)}%</text>
+          <text x="${w - padR + 8}" y="${(tk.y + 4).toFixed(2)}" fill="var(--tickText)" font-size="11">${tk.sharpe.toFixed(2)}</text>
+        `).join('')}
+        ${pts.map((x) => `
+          <text x="${toX(x.capital).toFixed(2)}" y="${h - 12}" text-anchor="middle" fill="var(--tickText)" font-size="11">${htmlEscape(formatCapital(x.capital))}</text>
+        `).join('')}
+        <line x1="${padL}" y1="${padT}" x2="${padL}" y2="${h - padB}" stroke="var(--axis)" stroke-width="1"></line>
+        <line x1="${padL}" y1="${h - padB}" x2="${w - padR}" y2="${h - padB}" stroke="var(--axis)" stroke-width="1"></line>
+        ${showThreshold ? `<line x1="${toX(thresholdCapital).toFixed(2)}" y1="${padT}" x2="${toX(thresholdCapital).toFixed(2)}" y2="${h - padB}" stroke="#dc2626" stroke-width="1" stroke-dasharray="4 3"></line>` : ''}
+        ${line('totalReturn', ret, 'var(--accent)')}
+        ${line('sharpe', sharpe, '#f59e0b')}
+      </svg>
     </div>
   `;
+}
 
-  const a = amounts || {};
-  const moneyDrawdownItems = [
-    { kHtml: htmlEscape('最大回撤金额'), v: Number.isFinite(a.maxDrawdownAmount) ? `-${formatMoney(a.maxDrawdownAmount)} 元` : 'NaN', isNum: true },
-    { kHtml: htmlEscape('回撤峰值(资产)'), v: Number.isFinite(a.maxDrawdownPeakEquity) ? `${formatMoney(a.maxDrawdownPeakEquity)} 元` : 'NaN', isNum: true },
-    { kHtml: htmlEscape('回撤谷底(资产)'), v: Number.isFinite(a.maxDrawdownTroughEquity) ? `${formatMoney(a.maxDrawdownTroughEquity)} 元` : 'NaN', isNum: true },
-    { kHtml: htmlEscape('回撤区间'), v: a.maxDrawdownPeakDate && a.maxDrawdownTroughDate ? `${formatYmd(String(a.maxDrawdownPeakDate))} → ${formatYmd(String(a.maxDrawdownTroughDate))}` : '-', isNum: false },
-  ];
-  const moneyPeakItems = [
-    { kHtml: htmlEscape('最高净值(资产)'), v: Number.isFinite(a.maxEquity) ? `${formatMoney(a.maxEquity)} 元` : 'NaN', isNum: true },
-    { kHtml: htmlEscape('最大收益(元)'), v: Number.isFinite(a.maxPnl) ? `${a.maxPnl >= 0 ? '+' : ''}${formatMoney(a.maxPnl)} 元` : 'NaN', isNum: true },
-    { kHtml: htmlEscape('最大收益率'), v: Number.isFinite(a.maxReturn) ? `${(a.maxReturn * 100).toFixed(2)}%` : 'NaN', isNum: false },
-    { kHtml: htmlEscape('发生日期'), v: a.maxEquityDate ? formatYmd(String(a.maxEquityDate)) : '-', isNum: false },
-  ];
+// 资金档位的简写：≥1 亿写“x亿”，≥1 万写“x万”
+function formatCapital(x) {
+  if (!Number.isFinite(x)) return 'NaN';
+  const trim = (v) => String(Number(v.toFixed(2)));
+  if (x >= 1e8) return `${trim(x / 1e8)}亿`;
+  if (x >= 1e4) return `${trim(x / 1e4)}万`;
+  return trim(x);
+}
 
-  const renderKvGrid = (items) => `
-    <dl class="kv-grid">
-      ${items.map((it) => `
-        <div class="kv">
-          <dt class="kv-k">${it.kHtml}</dt>
-          <dd class="kv-v${it.isNum ? ' num' : ''}">${htmlEscape(it.v)}</dd>
-        </div>
-      `).join('')}
-    </dl>
+function renderDataTableHtml(table) {
+  const t = table || {};
+  const columns = Array.isArray(t.columns) ? t.columns : [];
+  const rows = Array.isArray(t.rows) ? t.rows : [];
+  if (!columns.length || !rows.length) return '';
+  return `
+    <div class="table-wrap">
+      <table class="data-table">
+        <thead><tr>${columns.map((c) => `<th${c.isNum ? ' class="num"' : ''}>${htmlEscape(c.label)}</th>`).join('')}</tr></thead>
+        <tbody>
+          ${rows.map((r) => `<tr>${columns.map((c) => `<td${c.isNum ? ' class="num"' : ''}>${htmlEscape(r[c.key] === undefined ? '' : r[c.key])}</td>`).join('')}</tr>`).join('')}
+        </tbody>
+      </table>
+    </div>
   `;
+}
 
-  const meaningful = (s) => {
-    const x = String(s || '');
-    if (!x) return false;
-    if (x === 'NaN' || x === 'NaN%' || x === 'null' || x === 'undefined') return false;
-    return !x.includes('NaN');
-  };
-  const freqLabel = (() => {
-    const f = meta && meta.freq ? String(meta.freq).toUpperCase() : '';
-    if (f === 'D') return '日度';
-    if (f === 'W') return '周度';
-    if (f === 'M') return '月度';
-    if (f === 'Q') return '季度';
-    return '周期';
-  })();
-  const headlineParts = [];
-  if (summary && meaningful(summary.portfolio_total_return)) headlineParts.push(`总收益率 ${summary.portfolio_total_return}`);
-  if (summary && meaningful(summary.portfolio_max_dd)) headlineParts.push(`最大回撤 ${summary.portfolio_max_dd}`);
-  if (summary && meaningful(summary.period_win_rate)) headlineParts.push(`${freqLabel}胜率 ${summary.period_win_rate}`);
-  if (summary && meaningful(summary.portfolio_trades)) headlineParts.push(`交易 ${summary.portfolio_trades} 次`);
-  const headline = headlineParts.length ? `结论：${headlineParts.join('；')}。` : '';
-
-  const sublineParts = [];
-  if (meta && meaningful(meta.generated_at)) sublineParts.push(`生成时间：${formatMetaValue('generated_at', meta.generated_at)}`);
-  if (meta && meaningful(meta.start) && meaningful(meta.end)) sublineParts.push(`区间：${formatMetaValue('start', meta.start)} → ${formatMetaValue('end', meta.end)}`);
-  if (meta && meaningful(meta.files_total)) sublineParts.push(`文件数：${meta.files_total}`);
-  const subline = sublineParts.join(' ｜ ');
-
-  return `<!doctype html>
-<html lang="zh-CN">
-  <head>
-    <meta charset="utf-8" />
-    <meta name="viewport" content="width=device-width, initial-scale=1" />
-    <title>${htmlEscape(title)}</title>
-    <style>
+// 报告页面共用样式（回测报告与数据校验报告）
+const REPORT_STYLE_HTML = `<style>
       :root {
         --bg: #f6f7fb;
         --card: #ffffff;
@@ -808,6 +1457,12 @@ function renderBacktestReportHtml({ title, meta, strategy, overview, amounts, su
       details.card > summary::-webkit-details-marker { display: none; }
       details.card .details-body { padding: 0 16px 16px; }
 
+      .table-wrap { max-height: 420px; overflow: auto; border: 1px solid var(--line); border-radius: 12px; }
+      .data-table { width: 100%; border-collapse: collapse; font-size: 12px; }
+      .data-table th, .data-table td { padding: 6px 10px; border-bottom: 1px solid var(--line); text-align: left; white-space: nowrap; }
+      .data-table th { position: sticky; top: 0; background: #f9fafb; color: var(--muted); font-weight: 600; }
+      .data-table .num { text-align: right; font-variant-numeric: tabular-nums; }
+
       .notes { white-space: pre-wrap; color: rgba(17,24,39,0.68); font-size: 12px; line-height: 1.55; margin: 0; }
 
       .chart-wrap { position: relative; }
@@ -826,7 +1481,100 @@ function renderBacktestReportHtml({ title, meta, strategy, overview, amounts, su
         pointer-events: none;
         backdrop-filter: blur(6px);
       }
-    </style>
+    </style>`;
+
+function renderBacktestReportHtml({ title, meta, strategy, overview, amounts, summary, equityCurveSvg, periodTable, periodTableTitle = '周期明细', trancheTable, industryTable, positionTable, capacity, notes }) {
+  const metaItems = Object.entries(meta).map(([k, v]) => ({
+    kHtml: renderKeyWithZhLabel(k, labelMetaKeyZh(k)),
+    v: formatMetaValue(k, v),
+    isNum: false,
+  }));
+
+  const summaryItems = Object.entries(summary).map(([k, v]) => ({
+    kHtml: renderKeyWithZhLabel(k, labelSummaryKeyZh(k)),
+    v: String(v),
+    isNum: true,
+  }));
+
+  const kpis = Array.isArray(overview) ? overview : [];
+  const kpiHtml = `
+    <div class="kpi-grid">
+      ${kpis.map((x) => `
+        <div class="kpi-item">
+          <div class="kpi-k">${htmlEscape(x.k)}</div>
+          <div class="kpi-v">${htmlEscape(x.v)}</div>
+          ${x.sub ? `<div class="kpi-sub">${htmlEscape(x.sub)}</div>` : ''}
+        </div>
+      `).join('')}
+    </div>
+  `;
+
+  const a = amounts || {};
+  const moneyDrawdownItems = [
+    { kHtml: htmlEscape('最大回撤金额'), v: Number.isFinite(a.maxDrawdownAmount) ? `-${formatMoney(a.maxDrawdownAmount)} 元` : 'NaN', isNum: true },
+    { kHtml: htmlEscape('回撤峰值(资产)'), v: Number.isFinite(a.maxDrawdownPeakEquity) ? `${formatMoney(a.maxDrawdownPeakEquity)} 元` : 'NaN', isNum: true },
+    { kHtml: htmlEscape('回撤谷底(资产)'), v: Number.isFinite(a.maxDrawdownTroughEquity) ? `${formatMoney(a.maxDrawdownTroughEquity)} 元` : 'NaN', isNum: true },
+    { kHtml: htmlEscape('回撤区间'), v: a.maxDrawdownPeakDate && a.maxDrawdownTroughDate ? `${formatYmd(String(a.maxDrawdownPeakDate))} → ${formatYmd(String(a.maxDrawdownTroughDate))}` : '-', isNum: false },
+  ];
+  const moneyPeakItems = [
+    { kHtml: htmlEscape('最高净值(资产)'), v: Number.isFinite(a.maxEquity) ? `${formatMoney(a.maxEquity)} 元` : 'NaN', isNum: true },
+    { kHtml: htmlEscape('最大收益(元)'), v: Number.isFinite(a.maxPnl) ? `${a.maxPnl >= 0 ? '+' : ''}${formatMoney(a.maxPnl)} 元` : 'NaN', isNum: true },
+    { kHtml: htmlEscape('最大收益率'), v: Number.isFinite(a.maxReturn) ? `${(a.maxReturn * 100).toFixed(2)}%` : 'NaN', isNum: false },
+    { kHtml: htmlEscape('发生日期'), v: a.maxEquityDate ? formatYmd(String(a.maxEquityDate)) : '-', isNum: false },
+  ];
+
+  const renderKvGrid = (items) => `
+    <dl class="kv-grid">
+      ${items.map((it) => `
+        <div class="kv">
+          <dt class="kv-k">${it.kHtml}</dt>
+          <dd class="kv-v${it.isNum ? ' num' : ''}">${htmlEscape(it.v)}</dd>
+        </div>
+      `).join('')}
+    </dl>
+  `;
+
+  const meaningful = (s) => {
+    const x = String(s || '');
+    if (!x) return false;
+    if (x === 'NaN' || x === 'NaN%' || x === 'null' || x === 'undefined') return false;
+    return !x.includes('NaN');
+  };
+  const freqLabel = (() => {
+    const f = meta && meta.freq ? String(meta.freq).toUpperCase() : '';
+    if (f === 'D') return '日度';
+    if (f === 'W') return '周度';
+    if (f === 'M') return '月度';
+    if (f === 'Q') return '季度';
+    const m = f.match(/^(\d+)D$/);
+    if (m) return `${m[1]}日`;
+    return '周期';
+  })();
+  const headlineParts = [];
+  if (summary && meaningful(summary.portfolio_total_return)) headlineParts.push(`总收益率 ${summary.portfolio_total_return}`);
+  if (summary && meaningful(summary.portfolio_max_dd)) headlineParts.push(`最大回撤 ${summary.portfolio_max_dd}`);
+  if (summary && meaningful(summary.period_win_rate)) headlineParts.push(`${freqLabel}胜率 ${summary.period_win_rate}`);
+  if (summary && meaningful(summary.portfolio_trades)) headlineParts.push(`交易 ${summary.portfolio_trades} 次`);
+  const headline = headlineParts.length ? `结论：${headlineParts.join('；')}。` : '';
+
+  const sublineParts = [];
+  if (meta && meaningful(meta.generated_at)) sublineParts.push(`生成时间：${formatMetaValue('generated_at', meta.generated_at)}`);
+  if (meta && meaningful(meta.start) && meaningful(meta.end)) sublineParts.push(`区间：${formatMetaValue('start', meta.start)} → ${formatMetaValue('end', meta.end)}`);
+  if (meta && meaningful(meta.files_total)) sublineParts.push(`文件数：${meta.files_total}`);
+  const subline = sublineParts.join(' ｜ ');
+  const periodTableHtml = renderDataTableHtml(periodTable);
+  const trancheTableHtml = renderDataTableHtml(trancheTable);
+  const industryTableHtml = renderDataTableHtml(industryTable);
+  const positionTableHtml = renderDataTableHtml(positionTable);
+  const capacityTableHtml = capacity ? renderDataTableHtml(capacity.table) : '';
+
+  return `<!doctype html>
+<html lang="zh-CN">
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <title>${htmlEscape(title)}</title>
+    ${REPORT_STYLE_HTML}
   </head>
   <body>
     <div class="wrap">
@@ -872,23 +1620,943 @@ function renderBacktestReportHtml({ title, meta, strategy, overview, amounts, su
         </section>
       </div>
 
-      <details class="card" style="margin-top:16px;">
-        <summary>运行信息</summary>
+      ${trancheTableHtml ? `
+      <details class="card" style="margin-top:16px;" open>
+        <summary>分批明细</summary>
         <div class="details-body">
-          ${renderKvGrid(metaItems)}
+          ${trancheTableHtml}
         </div>
       </details>
+      ` : ''}
 
-      <section class="card">
-        <div class="card-title"><h2>口径说明</h2><div class="hint" style="margin:0;">避免误解：你看到的收益/胜率/回撤具体怎么算</div></div>
-        <pre class="notes">${htmlEscape(notes)}</pre>
+      ${capacityTableHtml ? `
+      <section class="card" style="margin-top:16px;">
+        <div class="card-title"><h2>容量分析</h2><div class="hint" style="margin:0;">${htmlEscape(capacity.hint)}</div></div>
+        ${capacity.chartSvg}
+        ${capacityTableHtml}
+      </section>
+      ` : ''}
+
+      ${industryTableHtml ? `
+      <details class="card" style="margin-top:16px;">
+        <summary>行业权重（买入日成交后）</summary>
+        <div class="details-body">
+          ${industryTableHtml}
+        </div>
+      </details>
+      ` : ''}
+
+      ${periodTableHtml ? `
+      <details class="card" style="margin-top:16px;">
+        <summary>${htmlEscape(periodTableTitle)}</summary>
+        <div class="details-body">
+          ${periodTableHtml}
+        </div>
+      </details>
+      ` : ''}
+
+      ${positionTableHtml ? `
+      <details class="card" style="margin-top:16px;">
+        <summary>换仓明细</summary>
+        <div class="details-body">
+          ${positionTableHtml}
+        </div>
+      </details>
+      ` : ''}
+
+      <details class="card" style="margin-top:16px;">
+        <summary>运行信息</summary>
+        <div class="details-body">
+          ${renderKvGrid(metaItems)}
+        </div>
+      </details>
+
+      <section class="card">
+        <div class="card-title"><h2>口径说明</h2><div class="hint" style="margin:0;">避免误解：你看到的收益/胜率/回撤具体怎么算</div></div>
+        <pre class="notes">${htmlEscape(notes)}</pre>
+      </section>
+    </div>
+  </body>
+</html>`;
+}
+
+/**
+ * 数据校验报告（--mode=validate）
+ *
+ * overview：KPI 卡片；issueTable：按问题类型汇总；fileTable：每个文件每类问题一行（只列有问题的文件）
+ */
+function renderValidationReportHtml({ title, subtitle, meta, overview, issueTable, fileTable, notes }) {
+  const metaItems = Object.entries(meta).map(([k, v]) => ({
+    kHtml: renderKeyWithZhLabel(k, labelMetaKeyZh(k)),
+    v: formatMetaValue(k, v),
+  }));
+  const issueTableHtml = renderDataTableHtml(issueTable);
+  const fileTableHtml = renderDataTableHtml(fileTable);
+
+  return `<!doctype html>
+<html lang="zh-CN">
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <title>${htmlEscape(title)}</title>
+    ${REPORT_STYLE_HTML}
+  </head>
+  <body>
+    <div class="wrap">
+      <header class="page-header">
+        <div>
+          <h1>${htmlEscape(title)}</h1>
+          <div class="sub">${htmlEscape(subtitle)}</div>
+        </div>
+      </header>
+
+      <section class="card">
+        <div class="card-title"><h2>校验结果</h2><div class="hint" style="margin:0;">错误会让回测结果失真（--strict 时拒绝回测）；警告需要人工确认</div></div>
+        <div class="kpi-grid">
+          ${overview.map((x) => `
+            <div class="kpi-item">
+              <div class="kpi-k">${htmlEscape(x.k)}</div>
+              <div class="kpi-v">${htmlEscape(x.v)}</div>
+              ${x.sub ? `<div class="kpi-sub">${htmlEscape(x.sub)}</div>` : ''}
+            </div>
+          `).join('')}
+        </div>
+      </section>
+
+      <section class="card">
+        <div class="card-title"><h2>问题类型</h2></div>
+        ${issueTableHtml || '<div class="hint">没有发现问题。</div>'}
+      </section>
+
+      ${fileTableHtml ? `
+      <section class="card">
+        <div class="card-title"><h2>问题明细（按文件）</h2><div class="hint" style="margin:0;">每类问题最多列 5 个示例；行号为数据行号（表头为第 1 行）</div></div>
+        ${fileTableHtml}
+      </section>
+      ` : ''}
+
+      <details class="card" style="margin-top:16px;">
+        <summary>运行信息</summary>
+        <div class="details-body">
+          <dl class="kv-grid">
+            ${metaItems.map((it) => `
+              <div class="kv">
+                <dt class="kv-k">${it.kHtml}</dt>
+                <dd class="kv-v">${htmlEscape(it.v)}</dd>
+              </div>
+            `).join('')}
+          </dl>
+        </div>
+      </details>
+
+      <section class="card">
+        <div class="card-title"><h2>检查口径</h2></div>
+        <pre class="notes">${htmlEscape(notes)}</pre>
       </section>
     </div>
   </body>
 </html>`;
 }
 
-function main() {
+// 报告顶部 KPI 与金额明细（周期回测与信号回测共用）；tradesSub 为“胜率 / 交易次数”下方的说明
+function buildEquityOverview(portfolio, initialCapital, { tradesSub = '' } = {}) {
+  const curve = Array.isArray(portfolio.equityCurve) ? portfolio.equityCurve : [];
+  const dd = computeMaxDrawdown(curve);
+
+  let maxEquity = Number.NEGATIVE_INFINITY;
+  let maxEquityDate = null;
+  for (const p of curve) {
+    if (!p || !Number.isFinite(p.equity)) continue;
+    if (p.equity > maxEquity) {
+      maxEquity = p.equity;
+      maxEquityDate = p.date;
+    }
+  }
+
+  const finalEquity = portfolio.finalEquity;
+  const totalPnl = Number.isFinite(finalEquity) ? (finalEquity - initialCapital) : Number.NaN;
+  const maxReturn = Number.isFinite(maxEquity) && Number.isFinite(initialCapital) && initialCapital > 0
+    ? (maxEquity / initialCapital - 1)
+    : Number.NaN;
+  const maxPnl = Number.isFinite(maxEquity) ? (maxEquity - initialCapital) : Number.NaN;
+  const trades = Array.isArray(portfolio.trades) ? portfolio.trades : [];
+
+  const overview = [
+    { k: '初始资金', v: `${formatMoney(initialCapital)} 元` },
+    {
+      k: '最终资金',
+      v: Number.isFinite(finalEquity) ? `${formatMoney(finalEquity)} 元` : 'NaN',
+      sub: Number.isFinite(portfolio.totalReturn) && Number.isFinite(totalPnl)
+        ? `总收益：${totalPnl >= 0 ? '+' : ''}${formatMoney(totalPnl)} 元（${(portfolio.totalReturn * 100).toFixed(2)}%）`
+        : '',
+    },
+    {
+      k: '最大回撤',
+      v: Number.isFinite(dd.maxDrawdown)
+        ? `${(dd.maxDrawdown * 100).toFixed(2)}%`
+        : (Number.isFinite(portfolio.maxDrawdown) ? `${(portfolio.maxDrawdown * 100).toFixed(2)}%` : 'NaN'),
+      sub: dd.maxDrawdownPeakDate && dd.maxDrawdownTroughDate
+        ? `回撤区间：${formatYmd(String(dd.maxDrawdownPeakDate))} → ${formatYmd(String(dd.maxDrawdownTroughDate))}`
+        : '',
+    },
+    {
+      k: '最高净值 / 最大收益',
+      v: Number.isFinite(maxReturn) ? `${(maxReturn * 100).toFixed(2)}%` : 'NaN',
+      sub: maxEquityDate ? `发生日期：${formatYmd(String(maxEquityDate))}` : '',
+    },
+    {
+      k: '胜率 / 交易次数',
+      v: trades.length > 0 && Number.isFinite(portfolio.winRate) ? `${(portfolio.winRate * 100).toFixed(2)}%` : (trades.length > 0 ? 'NaN' : '无交易'),
+      sub: tradesSub || `交易次数：${trades.length}`,
+    },
+  ];
+  const fin = portfolio.financing;
+  if (fin && (fin.cashInterest || fin.financingCost || fin.marginCalls)) {
+    const net = fin.cashInterest - fin.financingCost;
+    overview.push({
+      k: '利息收支',
+      v: `${net >= 0 ? '+' : ''}${formatMoney(net)} 元`,
+      sub: `现金利息 ${formatMoney(fin.cashInterest)}；融资利息 ${formatMoney(fin.financingCost)}；强平 ${fin.marginCalls} 次`,
+    });
+  }
+
+  const amounts = {
+    maxDrawdownAmount: dd.maxDrawdownAmount,
+    maxDrawdownPeakEquity: dd.maxDrawdownPeakEquity,
+    maxDrawdownPeakDate: dd.maxDrawdownPeakDate,
+    maxDrawdownTroughEquity: dd.maxDrawdownTroughEquity,
+    maxDrawdownTroughDate: dd.maxDrawdownTroughDate,
+    maxEquity,
+    maxEquityDate,
+    maxReturn,
+    maxPnl,
+  };
+
+  return { overview, amounts };
+}
+
+// 基准对比：图上的基准/超额曲线、KPI 卡片、summary 字段与说明（未指定 --benchmark 时各项为空）
+function buildBenchmarkSection(benchmark, curve, initialCapital) {
+  if (!benchmark) return { series: [], overview: [], summary: {}, notes: [] };
+  const { benchmarkCurve, excessCurve } = buildBenchmarkCurves(curve, benchmark, initialCapital);
+  if (!benchmarkCurve.length) throw new Error(`基准 ${benchmark.file} 在回测区间内没有有效收盘价`);
+  const st = computeBenchmarkStats(curve, benchmarkCurve);
+  const pct = (x) => (Number.isFinite(x) ? (x * 100).toFixed(2) + '%' : 'NaN');
+  const num = (x) => (Number.isFinite(x) ? x.toFixed(2) : 'NaN');
+  const missingDays = curve.length - benchmarkCurve.length;
+  const windowText = st.fromYmd === null ? '' : `${formatYmd(st.fromYmd)} ~ ${formatYmd(st.toYmd)}`;
+
+  return {
+    series: [
+      { label: `基准（${benchmark.name}）`, curve: benchmarkCurve },
+      { label: '超额（组合/基准）', curve: excessCurve },
+    ],
+    overview: [{
+      k: missingDays > 0 ? `超额收益（${windowText}）` : '超额收益',
+      v: pct(st.excessReturn),
+      sub: `${missingDays > 0 ? '同区间组合' : '组合'} ${pct(st.portfolioReturn)}，基准 ${benchmark.name} ${pct(st.benchmarkReturn)}；alpha ${pct(st.alpha)}；beta ${num(st.beta)}`,
+    }],
+    summary: {
+      benchmark_window: windowText,
+      portfolio_window_return: pct(st.portfolioReturn),
+      benchmark_return: pct(st.benchmarkReturn),
+      excess_return: pct(st.excessReturn),
+      alpha: pct(st.alpha),
+      beta: num(st.beta),
+      tracking_error: pct(st.trackingError),
+      information_ratio: num(st.informationRatio),
+      up_capture: pct(st.upCapture),
+      down_capture: pct(st.downCapture),
+    },
+    notes: [
+      `- 基准（${benchmark.file}）：按交易日对齐（基准缺当日记录时沿用前一收盘价${missingDays > 0 ? `；区间开头有 ${missingDays} 个交易日基准无数据，不参与对比，超额收益与超额曲线从基准首日起算、组合以当日净值为起点` : ''}），以区间内首个有效收盘价为基点折算到初始资金；超额曲线 = 初始资金 × 组合净值 / 基准净值。alpha/beta/跟踪误差/信息比率按 ${st.days} 个日收益率计算并按 252 个交易日年化（无风险利率按 0）；上行/下行捕获 = 基准上涨/下跌日组合日均收益 / 基准日均收益。`,
+    ],
+  };
+}
+
+const INDUSTRY_TABLE_MAX_COLUMNS = 12;
+
+// 行业权重随时间变化：每个买入日成交后各行业占净值比例；列按平均权重从高到低，超出的行业合并为“其他”
+function buildIndustryWeightTable(periodStats, { showTranche = false } = {}) {
+  const rows = periodStats.filter((x) => x.industryWeights);
+  if (!rows.length) return null;
+  const totals = new Map();
+  for (const x of rows) {
+    for (const [k, w] of Object.entries(x.industryWeights)) totals.set(k, (totals.get(k) || 0) + Math.abs(w));
+  }
+  const ranked = Array.from(totals.keys()).sort((a, b) => totals.get(b) - totals.get(a) || a.localeCompare(b, 'zh-CN'));
+  const shown = ranked.slice(0, INDUSTRY_TABLE_MAX_COLUMNS);
+  const hasOther = ranked.length > shown.length;
+  const pct = (x) => (Number.isFinite(x) && x !== 0 ? (x * 100).toFixed(2) + '%' : '');
+
+  return {
+    columns: [
+      ...(showTranche ? [{ key: 'tranche', label: '分批' }] : []),
+      { key: 'periodKey', label: '周期' },
+      { key: 'buy', label: '买入日' },
+      ...shown.map((k, i) => ({ key: `i${i}`, label: k, isNum: true })),
+      ...(hasOther ? [{ key: 'other', label: '其他', isNum: true }] : []),
+    ],
+    rows: rows.map((x) => {
+      const row = {
+        tranche: x.tranche === undefined ? '' : String(x.tranche + 1),
+        periodKey: x.periodKey,
+        buy: formatYmd(x.buyYmd),
+      };
+      shown.forEach((k, i) => { row[`i${i}`] = pct(x.industryWeights[k]); });
+      if (hasOther) {
+        row.other = pct(Object.entries(x.industryWeights).reduce((acc, [k, w]) => acc + (shown.includes(k) ? 0 : w), 0));
+      }
+      return row;
+    }),
+  };
+}
+
+const POSITION_CATEGORY_LABELS = { new: '新开', held: '持有', resized: '调整', closed: '清仓' };
+
+// 换仓明细：按日期列出每笔持仓变动（新开/持有/调整/清仓），加仓与减仓分买卖两行
+function buildPositionLogTable(positionLog, { showTranche = false } = {}) {
+  const rows = (Array.isArray(positionLog) ? positionLog : [])
+    .slice()
+    .sort((a, b) => a.date - b.date || (a.tranche || 0) - (b.tranche || 0));
+  if (!rows.length) return null;
+  return {
+    columns: [
+      ...(showTranche ? [{ key: 'tranche', label: '分批' }] : []),
+      { key: 'periodKey', label: '周期' },
+      { key: 'date', label: '日期' },
+      { key: 'file', label: '股票' },
+      { key: 'category', label: '类别' },
+      { key: 'side', label: '方向' },
+      { key: 'shares', label: '股数(复权)', isNum: true },
+      { key: 'price', label: '价格(复权)', isNum: true },
+      { key: 'value', label: '金额', isNum: true },
+      { key: 'reason', label: '原因' },
+    ],
+    rows: rows.map((x) => ({
+      tranche: x.tranche === undefined ? '' : String(x.tranche + 1),
+      periodKey: x.periodKey,
+      date: formatYmd(x.date),
+      file: x.file,
+      category: POSITION_CATEGORY_LABELS[x.category] || x.category,
+      side: x.side === 'buy' ? '买入' : (x.side === 'sell' ? '卖出' : ''),
+      shares: Number.isFinite(x.shares) ? x.shares.toFixed(2) : 'NaN',
+      price: Number.isFinite(x.price) ? x.price.toFixed(3) : 'NaN',
+      value: formatMoney(x.value),
+      reason: x.reason || '',
+    })),
+  };
+}
+
+// 加载策略文件（CommonJS）；加载失败时带上原始堆栈
+function requireStrategyFile(strategyPath) {
+  try {
+    // eslint-disable-next-line global-require, import/no-dynamic-require
+    return require(strategyPath);
+  } catch (e) {
+    throw new Error(`加载策略失败：${strategyPath}\n${e && e.stack ? e.stack : String(e)}`);
+  }
+}
+
+// 报告里的缓存情况：关闭，或本次命中 / 重新解析的文件数
+function seriesCacheLabel(cache) {
+  if (!cache) return '关闭';
+  return `命中 ${cache.stats.hits}，重新解析 ${cache.stats.misses}`;
+}
+
+/**
+ * 逐个读取数据目录下的个股数据（fileList 顺序即 seriesList 顺序），返回 Promise<{ seriesList, seriesByFile, parseIssues }>
+ *
+ * parseIssues：Map(file -> { empty, error, badCells })，只收有问题的文件（空文件、解析失败、有无法解析的单元格）；
+ * 解析失败默认直接抛错，collectFailures=true 时记下错误继续读其余文件（--mode=validate 用）。
+ * cache 为 src/seriesCache.js 的实例时先查本地缓存，未命中（或已过期）再解析并写回；null 表示每次都解析。
+ * workers > 1 时未命中的文件交给解析线程池（src/csvWorkerPool.js）并行解析，先完成的先计入进度，结果仍按 fileList 顺序归位。
+ * 行业：指定了 industryTable（parseIndustryTable 的结果）时按映射展开（不在映射里的票为 null），否则取 CSV 的 `行业` 列；都没有时 s.industry 为 null。
+ * dataSource（main 里按 --data-format / --column-map 准备）：columnMap 传给解析器；preloaded 不为 null 时（宽表 / NDJSON 已按票归并）
+ * 直接取其中的结果，不再读文件、不走缓存和线程池。列映射里的自定义列挂在 s 上（s[字段名]）。
+ */
+// 解析、缓存与线程池之间的数值列是 Float64Array；交给策略与引擎的序列统一换成普通数组，策略里的 Array.isArray 判断照常成立
+function plainColumns(columns) {
+  return Object.fromEntries(Object.entries(columns).map(([k, v]) => [k, ArrayBuffer.isView(v) ? Array.from(v) : v]));
+}
+
+async function loadSeries(dataDir, fileList, { encoding, quiet, startedAt, industryTable = null, cache = null, workers = 1, collectFailures = false, dataSource }) {
+  const { columnMap, preloaded } = dataSource;
+  const totalFiles = fileList.length;
+  let processedFiles = 0;
+  const tick = () => {
+    processedFiles += 1;
+    if (!quiet) renderProgress(processedFiles, totalFiles, startedAt);
+  };
+
+  const entries = new Array(totalFiles).fill(null);
+  const misses = [];
+  fileList.forEach((f, i) => {
+    if (preloaded) return;
+    const fullPath = path.join(dataDir, f);
+    const stat = cache ? fs.statSync(fullPath) : null;
+    const hit = cache ? cache.get(fullPath, stat) : null;
+    if (hit) {
+      entries[i] = hit;
+      tick();
+    } else {
+      misses.push({ i, f, fullPath, stat });
+    }
+  });
+
+  const failures = new Array(totalFiles).fill(null);
+  const store = ({ i, fullPath, stat }, entry) => {
+    entries[i] = entry;
+    if (entry && cache) cache.put(fullPath, stat, entry);
+    tick();
+  };
+  const fail = ({ i }, e) => {
+    if (!collectFailures) throw e;
+    failures[i] = e && e.message ? e.message : String(e);
+    tick();
+  };
+  if (preloaded) {
+    fileList.forEach((f, i) => {
+      if (preloaded.failures.has(f)) fail({ i }, new Error(preloaded.failures.get(f)));
+      else store({ i }, preloaded.entries.get(f) || null);
+    });
+  }
+  const poolSize = Math.min(workers, misses.length);
+  if (poolSize > 1) {
+    const pool = createCsvWorkerPool({ size: poolSize, encoding, columnMap });
+    try {
+      await Promise.all(misses.map((m) => pool.parse(m.fullPath, m.f).then((entry) => store(m, entry), (e) => fail(m, e))));
+    } finally {
+      await pool.close();
+    }
+  } else {
+    for (const m of misses) {
+      let entry;
+      try {
+        entry = parseSeriesCsv(fs.readFileSync(m.fullPath), m.f, encoding, columnMap);
+      } catch (e) {
+        fail(m, e);
+        continue;
+      }
+      store(m, entry);
+    }
+  }
+
+  const seriesList = [];
+  const seriesByFile = new Map();
+  const parseIssues = new Map();
+  fileList.forEach((f, i) => {
+    const entry = entries[i];
+    if (failures[i]) parseIssues.set(f, { error: failures[i] });
+    if (!entry) {
+      if (!failures[i]) parseIssues.set(f, { empty: true });
+      return;
+    }
+    if (entry.badCells && Object.keys(entry.badCells).length) parseIssues.set(f, { badCells: entry.badCells });
+    const { columns } = entry;
+    let industry = entry.industry;
+    if (industryTable) industry = industryTable.has(f) ? expandIndustry(columns.datesYmd, industryTable.get(f)) : null;
+    const adjFactor = Array.from(adjustmentFactors(columns.closeAdj, columns.close));
+    const s = {
+      file: f,
+      stockCode: entry.stockCode,
+      stockName: entry.stockName,
+      stockNameByDay: entry.stockNameByDay,
+      ...plainColumns(columns),
+      ...plainColumns(entry.extra),
+      adjFactor,
+      exRightsYmd: exRightsDates(columns.datesYmd, adjFactor, columns.close, columns.preClose),
+      industry,
+    };
+    seriesList.push(s);
+    seriesByFile.set(f, s);
+  });
+
+  if (!quiet) process.stdout.write('\n');
+  if (!quiet && cache) {
+    console.log(`缓存：命中 ${cache.stats.hits}，重新解析 ${cache.stats.misses}${cache.stats.errors ? `，写入失败 ${cache.stats.errors}` : ''}（${cache.cacheDir}）`);
+  }
+
+  return { seriesList, seriesByFile, parseIssues };
+}
+
+// `--strict`：数据有错误级问题时拒绝回测；报错里只列前 10 个文件，完整清单用 --mode=validate
+function assertStrictData(fileList, seriesByFile, parseIssues, jumpTolerance) {
+  const { files, totals } = validateDataset({ fileList, seriesByFile, parseIssues, jumpTolerance });
+  if (!totals.errorFiles) return;
+  const failed = files.filter((f) => f.errors);
+  const lines = failed.slice(0, 10).map((f) => {
+    const x = f.issues.find((i) => i.level === 'error');
+    return `  ${f.file}：${x.label}（${x.count} 处${x.samples.length ? `，如 ${x.samples[0]}` : ''}）`;
+  });
+  if (failed.length > lines.length) lines.push(`  ……另有 ${failed.length - lines.length} 个文件`);
+  throw new Error(`--strict：${failed.length} 个文件未通过数据校验，拒绝回测（完整报告：--mode=validate）\n${lines.join('\n')}`);
+}
+
+// `--industry=PATH`：行业映射 CSV（编码同 --encoding；相对路径基于项目根目录）
+function loadIndustryTable(raw, projectRoot, encoding) {
+  const s = String(raw || '').trim();
+  if (!s) return { industryTable: null, industryPath: '' };
+  const industryPath = path.isAbsolute(s) ? s : path.join(projectRoot, s);
+  if (!fs.existsSync(industryPath)) throw new Error(`找不到行业映射文件：${industryPath}`);
+  return { industryTable: parseIndustryTable(decodeCsvBuffer(fs.readFileSync(industryPath), encoding), industryPath), industryPath };
+}
+
+// `--benchmark=FILE`：不带目录时优先在数据目录里找，其次按项目根目录解析
+function resolveBenchmarkPath(raw, { projectRoot, dataDir }) {
+  const s = String(raw || '').trim();
+  if (!s) return '';
+  if (path.isAbsolute(s)) return s;
+  const inDataDir = path.join(dataDir, s);
+  if (fs.existsSync(inDataDir)) return inDataDir;
+  return path.join(projectRoot, s);
+}
+
+/**
+ * 读取基准（指数）文件：一个文件一个指数，每行一个交易日；`.ndjson` / `.jsonl` 按 JSON Lines，其余按 CSV
+ *
+ * 列名同个股并经 --column-map 映射（--data-format=wide-csv 时也是这种一只一个文件的写法）；取 `交易日期` 与 `收盘价_复权`（没有该列时用 `收盘价`），
+ * 按日期升序返回 { file, name, datesYmd, close }。
+ */
+function loadBenchmark(filePath, { encoding, columnMap = null }) {
+  if (!fs.existsSync(filePath)) throw new Error(`找不到基准文件：${filePath}`);
+  const records = readRecordFile(filePath, { encoding, columnMap });
+  if (!records.length) throw new Error(`基准文件没有数据行：${filePath}`);
+  const dateCol = sourceColumnOf(columnMap, '交易日期');
+  const adjCol = sourceColumnOf(columnMap, '收盘价_复权');
+  const [closeStd, closeCol] = adjCol in records[0] ? ['收盘价_复权', adjCol] : ['收盘价', sourceColumnOf(columnMap, '收盘价')];
+  for (const [std, col] of [['交易日期', dateCol], [closeStd, closeCol]]) {
+    if (!(col in records[0])) {
+      const label = col === std ? col : `${std}（映射为 ${col}）`;
+      throw new Error(`基准文件 ${filePath} 缺少必要列：${label}（encoding=${encoding}；若列名乱码，尝试 --encoding=auto 或 --encoding=utf8；列名不同时用 --column-map 映射）`);
+    }
+  }
+
+  const nameCol = sourceColumnOf(columnMap, '股票名称');
+  const rows = records
+    .map((r) => ({ ymd: parseYmdInt(r[dateCol]), close: parseNumber(r[closeCol]) }))
+    .filter((r) => Number.isFinite(r.ymd))
+    .sort((a, b) => a.ymd - b.ymd);
+  return {
+    file: path.basename(filePath),
+    name: String(records[0][nameCol] || records[0]['指数名称'] || path.basename(filePath, path.extname(filePath))),
+    datesYmd: rows.map((r) => r.ymd),
+    close: rows.map((r) => r.close),
+  };
+}
+
+// 全市场交易日：按数据出现的日期去重（只取 [startYmd, endYmd]）
+function buildMarketDates(seriesList, startYmd, endYmd) {
+  const dateSet = new Set();
+  for (const s of seriesList) {
+    for (const ymd of s.datesYmd) {
+      if (!Number.isFinite(ymd) || ymd < startYmd || ymd > endYmd) continue;
+      dateSet.add(ymd);
+    }
+  }
+  return Array.from(dateSet).sort((a, b) => a - b);
+}
+
+// `--calendar=PATH`：交易日历文件（编码同 --encoding；相对路径基于项目根目录）
+function loadTradingCalendar(raw, projectRoot, encoding) {
+  const s = String(raw || '').trim();
+  if (!s) return { calendar: null, calendarPath: '' };
+  const calendarPath = path.isAbsolute(s) ? s : path.join(projectRoot, s);
+  if (!fs.existsSync(calendarPath)) throw new Error(`找不到交易日历文件：${calendarPath}`);
+  return { calendar: parseTradingCalendar(decodeCsvBuffer(fs.readFileSync(calendarPath), encoding), calendarPath), calendarPath };
+}
+
+/**
+ * 回测用的交易日序列与日历检查结果
+ *
+ * 没有 --calendar 时同 buildMarketDates；有日历时取日历里落在 [startYmd, endYmd] 与数据首末日期之间的交易日
+ * （数据开始前 / 结束后的交易日不算缺数据），并对照数据给出不一致的提示（同时打印到 stderr）。
+ * 返回 { marketDates, calendarNote }，calendarNote 为空表示没有日历或完全一致。
+ */
+function resolveMarketDates(seriesList, startYmd, endYmd, { calendar, calendarPath }) {
+  const dataDates = buildMarketDates(seriesList, startYmd, endYmd);
+  if (!calendar || !dataDates.length) return { marketDates: dataDates, calendarNote: '' };
+  const from = dataDates[0];
+  const to = dataDates[dataDates.length - 1];
+  const marketDates = calendar.filter((ymd) => ymd >= from && ymd <= to);
+  if (!marketDates.length) throw new Error(`交易日历 ${calendarPath} 与数据日期（${from}~${to}）没有交集`);
+  const mismatch = describeCalendarMismatch(compareCalendar(calendar, seriesList, from, to));
+  if (mismatch) console.warn(`警告：交易日历：${mismatch}`);
+  return { marketDates, calendarNote: mismatch };
+}
+
+// 策略返回的信号数组：长度必须与 datesYmd 一致，元素按真假值转成布尔
+function toSignalArray(out, s, name) {
+  if (out && typeof out === 'object' && !Array.isArray(out) && ('long' in out || 'short' in out)) {
+    throw new Error(`${name} 返回了多空名单 { long, short }：signal 模式仅做多（simulateLongOnly/simulatePortfolioEqualWeight），多空请用周期回测 --mode=backtest；file=${s.file}`);
+  }
+  if (!out || typeof out.length !== 'number' || typeof out === 'string') {
+    throw new Error(`${name} 必须返回数组：file=${s.file}，收到：${typeof out}`);
+  }
+  if (out.length !== s.datesYmd.length) {
+    throw new Error(`${name} 返回的数组长度必须与 datesYmd 一致：file=${s.file}，${out.length} != ${s.datesYmd.length}`);
+  }
+  return Array.from(out, (x) => Boolean(x));
+}
+
+/**
+ * `--mode=signal`：按个股买卖信号回测
+ *
+ * 策略文件导出 entrySignal(s, ctx) / exitSignal(s, ctx)，各返回与 s.datesYmd 等长的布尔数组（第 i 天收盘后的信号）。
+ * - 组合：buildExecutionEvents 生成买卖事件，simulatePortfolioEqualWeight 撮合
+ *   （同日先卖后买；同日新入场的票均分当时全部现金；整手；已持仓的票忽略入场信号；区间末强平）
+ * - 个股：simulateLongOnly 对每只有入场信号的票单独全仓回测，列在“个股明细”，用来区分信号本身与资金分配的影响
+ */
+async function runSignalMode(args, { projectRoot, dataDir, dataSource, tradingCalendar, fileList, startYmd, endYmd, startedAt, benchmark, benchmarkPath, seriesCache }) {
+  if (!EXECUTIONS.includes(args.execution)) {
+    throw new Error(`--execution 仅支持 ${EXECUTIONS.join('/')}；收到：${args.execution}`);
+  }
+  const strategyFile = args.strategyFile === DEFAULT_STRATEGY_FILE ? DEFAULT_SIGNAL_STRATEGY_FILE : args.strategyFile;
+  const strategyPath = path.isAbsolute(strategyFile) ? strategyFile : path.join(projectRoot, strategyFile);
+  if (!fs.existsSync(strategyPath)) {
+    throw new Error(`找不到策略文件：${strategyPath}（signal 模式默认读取 ${DEFAULT_SIGNAL_STRATEGY_FILE}；可用 --strategy-file=PATH 指定）`);
+  }
+  const loaded = requireStrategyFile(strategyPath);
+  const entrySignalFn = loaded && loaded.entrySignal;
+  const exitSignalFn = loaded && loaded.exitSignal;
+  if (typeof entrySignalFn !== 'function' || typeof exitSignalFn !== 'function') {
+    throw new Error('signal 模式的策略文件必须导出 entrySignal 与 exitSignal 两个函数：module.exports = { entrySignal, exitSignal }');
+  }
+
+  const feeSchedulePath = args.feeSchedule
+    ? (path.isAbsolute(args.feeSchedule) ? args.feeSchedule : path.join(projectRoot, args.feeSchedule))
+    : '';
+  const feeSchedule = feeSchedulePath ? loadFeeSchedule(feeSchedulePath) : null;
+  if (args.leverage > 1) throw new Error('signal 模式暂不支持 --leverage（融资仅用于仅做多的周期回测）');
+  if (args.volTarget !== null) throw new Error('signal 模式暂不支持 --vol-target（波动率目标仅用于仅做多的周期回测）');
+  const { cashRate, cashRatePath } = resolveCashRate(args.cashRate, projectRoot);
+  const customStrategyParams = parseJsonObject(args.strategyParamsRaw, '--strategy-params');
+  const maPeriods = String(args.ma || '5,10,20')
+    .split(',')
+    .map((x) => Number(String(x).trim()))
+    .filter((x) => Number.isFinite(x) && x > 0)
+    .slice(0, 3);
+  if (maPeriods.length !== 3) throw new Error(`--ma 解析失败，示例：--ma=5,10,20；收到：${args.ma}`);
+
+  const { industryTable } = loadIndustryTable(args.industry, projectRoot, args.encoding);
+  const { seriesList, seriesByFile, parseIssues } = await loadSeries(dataDir, fileList, {
+    encoding: args.encoding,
+    quiet: args.quiet,
+    startedAt,
+    industryTable,
+    cache: seriesCache,
+    workers: args.workers,
+    dataSource,
+  });
+  if (args.strict) assertStrictData(fileList, seriesByFile, parseIssues, args.jumpTolerance);
+  // signal 模式按各持仓自己的交易日盯市，交易日历只用来检查数据
+  const { calendarNote } = resolveMarketDates(seriesList, startYmd, endYmd, tradingCalendar);
+
+  const ctx = {
+    startYmd,
+    endYmd,
+    execution: args.execution,
+    params: { ...customStrategyParams, maPeriods, excludeSt: args.excludeSt },
+    ind: indicators,
+    cache: new Map(),
+    util: { upperBound, indexOfDate, isColumn, nameAsOf, isStAsOf },
+  };
+  const callSignal = (fn, name, s) => {
+    try {
+      return toSignalArray(fn(s, ctx), s, name);
+    } catch (e) {
+      throw new Error(`策略 ${name} 执行失败：file=${s.file}\n${e && e.stack ? e.stack : String(e)}`);
+    }
+  };
+  const countInRange = (s, signal) => signal.reduce((acc, x, i) => acc + (x && s.datesYmd[i] >= startYmd && s.datesYmd[i] <= endYmd ? 1 : 0), 0);
+
+  const events = [];
+  const perStock = [];
+  for (const s of seriesList) {
+    const entrySignal = callSignal(entrySignalFn, 'entrySignal', s);
+    const exitSignal = callSignal(exitSignalFn, 'exitSignal', s);
+    const entries = countInRange(s, entrySignal);
+    if (!entries) continue;
+    const input = { file: s.file, datesYmd: s.datesYmd, closeAdj: s.closeAdj, close: s.close, entrySignal, exitSignal };
+    events.push(...buildExecutionEvents(input, { startYmd, endYmd, execution: args.execution }));
+    const solo = simulateLongOnly(input, {
+      startYmd,
+      endYmd,
+      initialCapital: args.capital,
+      execution: args.execution,
+      lot: args.lot,
+      feeBps: args.feeBps,
+      stampBps: args.stampBps,
+      cashRate,
+    });
+    perStock.push({ s, entries, exits: countInRange(s, exitSignal), solo });
+  }
+
+  const portfolio = simulatePortfolioEqualWeight({ seriesByFile, events }, {
+    startYmd,
+    endYmd,
+    initialCapital: args.capital,
+    lot: args.lot,
+    feeBps: args.feeBps,
+    stampBps: args.stampBps,
+    feeSchedule,
+    cashRate,
+  });
+
+  const tradeAgg = new Map(); // file -> { trades, pnl }
+  for (const t of portfolio.trades) {
+    if (!tradeAgg.has(t.file)) tradeAgg.set(t.file, { trades: 0, pnl: 0 });
+    const a = tradeAgg.get(t.file);
+    a.trades += 1;
+    if (Number.isFinite(t.pnl)) a.pnl += t.pnl;
+  }
+  perStock.sort((a, b) => {
+    const pa = tradeAgg.has(a.s.file) ? tradeAgg.get(a.s.file).pnl : 0;
+    const pb = tradeAgg.has(b.s.file) ? tradeAgg.get(b.s.file).pnl : 0;
+    return pb - pa || a.s.file.localeCompare(b.s.file, 'en');
+  });
+
+  const formatPct = (x) => (Number.isFinite(x) ? (x * 100).toFixed(2) + '%' : 'NaN');
+  const soloReturns = perStock.map((x) => x.solo.totalReturn).filter((x) => Number.isFinite(x));
+  const soloReturnAvg = soloReturns.length ? soloReturns.reduce((acc, x) => acc + x, 0) / soloReturns.length : Number.NaN;
+  const curve = Array.isArray(portfolio.equityCurve) ? portfolio.equityCurve : [];
+  const initialCapital = args.capital;
+  const { overview, amounts } = buildEquityOverview(portfolio, initialCapital);
+  const bench = buildBenchmarkSection(benchmark, curve, initialCapital);
+  overview.push(...bench.overview);
+  const equityCurveSvg = curve.length ? renderEquityCurveSvg(curve, { initialCapital, series: bench.series }) : '';
+  const executionLabel = args.execution === 'close' ? '信号当日收盘复权价' : '信号次日收盘复权价';
+
+  const now = new Date();
+  const ts = timestampBeijingYmdHmsUnderscore(now);
+  const reportPath = path.join(projectRoot, `量化分析结果+${ts}.html`);
+  const elapsedSec = Math.round((Date.now() - startedAt) / 1000);
+  const notes = [
+    `- 回测流程：策略对每只股票给出 entrySignal/exitSignal（第 i 个交易日收盘后的信号），按${executionLabel}成交；同一天先处理卖出再处理买入；仅做多；持仓每日按收盘复权价盯市。`,
+    `- 资金分配：同一天新入场的票均分当时全部现金，按 ${args.lot} 股整手向下取整（含费用超出现金时逐手减少）；已持仓的票忽略入场信号；现金不足一手的入场信号放弃。`,
+    `- 区间末：仍持有的票在其区间内最后一个有效交易日按收盘复权价强平（reason=force_exit_eof）。`,
+    `- 信号口径：execution=close 时信号日与成交日相同，策略在第 i 天只能用当日收盘及更早的数据；next_close 留出一个交易日的执行延迟。`,
+    ...(tradingCalendar.calendar ? [`- 交易日历：${tradingCalendar.calendarPath}，只用于检查数据日期（signal 模式按各持仓自己的交易日盯市）；${calendarNote || '与数据日期一致'}。`] : []),
+    `- 个股明细：每只有入场信号的票用 simulateLongOnly 单独全仓回测（初始资金同组合；只按 fee_bps/stamp_bps 计费，不读费率表），用于区分信号质量与资金分配的影响。`,
+    `- 自定义策略参数：${Object.keys(customStrategyParams).length ? JSON.stringify(customStrategyParams) : '无'}`,
+    feeSchedule
+      ? `- 费用：按费率表 ${feeSchedulePath} 逐笔计算（交易所取文件名前缀 sh/sz/bj）；fee_bps/stamp_bps 不生效。`
+      : `- 费用：fee_bps=${args.feeBps}；印花税（卖出）：stamp_bps=${args.stampBps}。`,
+    cashRateNote(cashRate, cashRatePath),
+    ...bench.notes,
+    `- 不适用的参数：signal 模式不支持 --freq/--exec-price/--fill-mode/--weighting/冲击成本/离场规则等周期回测参数，传入也不生效。`,
+  ].join('\n');
+
+  const html = renderBacktestReportHtml({
+    title: `量化分析结果+${ts}`,
+    meta: {
+      generated_at: formatBeijingGeneratedAt(now),
+      elapsed_seconds: String(elapsedSec),
+      data_dir: dataDir,
+      files_total: String(seriesList.length),
+      encoding: String(args.encoding),
+      data_format: args.dataFormat,
+      column_map: dataSource.columnMapPath,
+      calendar: tradingCalendar.calendarPath,
+      series_cache: seriesCacheLabel(seriesCache),
+      workers: String(args.workers),
+      strict: args.strict ? '1' : '0',
+      mode: 'signal',
+      start: args.start,
+      end: args.end,
+      capital: String(args.capital),
+      fee_bps: String(args.feeBps),
+      stamp_bps: String(args.stampBps),
+      fee_schedule: feeSchedulePath,
+      execution: args.execution,
+      cash_rate: cashRatePath || (cashRate ? String(cashRate) : ''),
+      benchmark: benchmarkPath,
+      lot: String(args.lot),
+      strategy_file: strategyPath,
+      strategy_params: Object.keys(customStrategyParams).length ? JSON.stringify(customStrategyParams) : '',
+    },
+    strategy: `信号回测：entrySignal 触发买入、exitSignal 触发卖出（${executionLabel}成交）；信号来自 ${path.basename(strategyPath)}；仅做多，整手买入。`,
+    overview,
+    amounts,
+    summary: {
+      files: String(seriesList.length),
+      portfolio_final_equity: Number.isFinite(portfolio.finalEquity) ? formatMoney(portfolio.finalEquity) : 'NaN',
+      portfolio_total_return: formatPct(portfolio.totalReturn),
+      portfolio_max_dd: formatPct(portfolio.maxDrawdown),
+      portfolio_trades: String(portfolio.trades.length),
+      portfolio_win_rate: formatPct(portfolio.winRate),
+      signal_entries: String(perStock.reduce((acc, x) => acc + x.entries, 0)),
+      signal_exits: String(perStock.reduce((acc, x) => acc + x.exits, 0)),
+      signal_stocks: String(perStock.length),
+      trades_force_exit_eof: String(portfolio.trades.filter((t) => t.reason === 'force_exit_eof').length),
+      cost_commission: formatMoney(portfolio.costs.commission),
+      cost_stamp_duty: formatMoney(portfolio.costs.stampDuty),
+      cost_transfer_fee: formatMoney(portfolio.costs.transferFee),
+      cost_total: formatMoney(portfolio.costs.commission + portfolio.costs.stampDuty + portfolio.costs.transferFee),
+      ...(cashRatePath || cashRate ? { cash_interest: formatMoney(portfolio.financing.cashInterest) } : {}),
+      ...bench.summary,
+      solo_return_avg: formatPct(soloReturnAvg),
+      solo_win_stocks: String(soloReturns.filter((x) => x > 0).length),
+    },
+    periodTableTitle: '个股明细',
+    periodTable: {
+      columns: [
+        { key: 'file', label: '文件' },
+        { key: 'name', label: '股票名称' },
+        { key: 'entries', label: '入场信号', isNum: true },
+        { key: 'exits', label: '离场信号', isNum: true },
+        { key: 'trades', label: '组合成交笔数', isNum: true },
+        { key: 'pnl', label: '组合盈亏', isNum: true },
+        { key: 'soloTrades', label: '单票交易次数', isNum: true },
+        { key: 'soloRet', label: '单票收益率', isNum: true },
+        { key: 'soloDd', label: '单票最大回撤', isNum: true },
+      ],
+      rows: perStock.map(({ s, entries, exits, solo }) => {
+        const a = tradeAgg.get(s.file) || { trades: 0, pnl: 0 };
+        return {
+          file: s.file,
+          name: s.stockName,
+          entries: String(entries),
+          exits: String(exits),
+          trades: String(a.trades),
+          pnl: formatMoney(a.pnl),
+          soloTrades: String(solo.trades.length),
+          soloRet: formatPct(solo.totalReturn),
+          soloDd: formatPct(solo.maxDrawdown),
+        };
+      }),
+    },
+    equityCurveSvg: equityCurveSvg || null,
+    notes,
+  });
+
+  fs.writeFileSync(reportPath, html, 'utf8');
+  console.log(`已生成报告：${reportPath}`);
+}
+
+/**
+ * --mode=validate：按数据契约（docs/data-contract.md）逐文件检查，输出 HTML 与 JSON 报告
+ *
+ * - 检查整个文件，不受 --start/--end 影响；解析失败的文件也记入报告，不中断
+ * - --strict 时有错误级问题则退出码为 1（便于在更新数据的脚本里拦截）
+ */
+async function runValidateMode(args, { projectRoot, dataDir, dataSource, tradingCalendar, fileList, startedAt, seriesCache }) {
+  const { seriesByFile, parseIssues } = await loadSeries(dataDir, fileList, {
+    encoding: args.encoding,
+    quiet: args.quiet,
+    startedAt,
+    cache: seriesCache,
+    workers: args.workers,
+    collectFailures: true,
+    dataSource,
+  });
+  const result = validateDataset({ fileList, seriesByFile, parseIssues, calendar: tradingCalendar.calendar, jumpTolerance: args.jumpTolerance });
+  const { totals } = result;
+
+  const now = new Date();
+  const ts = timestampBeijingYmdHmsUnderscore(now);
+  const htmlPath = path.join(projectRoot, `量化数据校验+${ts}.html`);
+  const jsonPath = path.join(projectRoot, `量化数据校验+${ts}.json`);
+  const meta = {
+    generated_at: formatBeijingGeneratedAt(now),
+    elapsed_seconds: String(Math.round((Date.now() - startedAt) / 1000)),
+    data_dir: dataDir,
+    files_total: String(fileList.length),
+    encoding: String(args.encoding),
+    data_format: args.dataFormat,
+    column_map: dataSource.columnMapPath,
+    calendar: tradingCalendar.calendarPath,
+    series_cache: seriesCacheLabel(seriesCache),
+    workers: String(args.workers),
+    strict: args.strict ? '1' : '0',
+    mode: 'validate',
+    jump_tolerance: String(args.jumpTolerance),
+  };
+
+  const codes = Object.entries(totals.byCode).sort(([, a], [, b]) => (a.level === b.level ? b.files - a.files : a.level === 'error' ? -1 : 1));
+  const levelLabel = (level) => (level === 'error' ? '错误' : '警告');
+  const html = renderValidationReportHtml({
+    title: `量化数据校验+${ts}`,
+    subtitle: `数据目录：${dataDir} ｜ 文件数：${totals.files} ｜ 市场日历：${result.calendarDays} 个交易日`,
+    meta,
+    overview: [
+      { k: '通过', v: String(totals.files - totals.errorFiles - totals.warningFiles), sub: '没有任何问题的文件' },
+      { k: '有错误', v: String(totals.errorFiles), sub: `共 ${totals.errors} 项错误；--strict 时拒绝回测` },
+      { k: '仅有警告', v: String(totals.warningFiles), sub: `共 ${totals.warnings} 项警告（含有错误的文件）` },
+    ],
+    issueTable: {
+      columns: [
+        { key: 'level', label: '级别' },
+        { key: 'label', label: '问题' },
+        { key: 'code', label: '代码' },
+        { key: 'files', label: '文件数', isNum: true },
+        { key: 'count', label: '次数', isNum: true },
+      ],
+      rows: codes.map(([code, x]) => ({ level: levelLabel(x.level), label: x.label, code, files: String(x.files), count: String(x.count) })),
+    },
+    fileTable: {
+      columns: [
+        { key: 'file', label: '文件' },
+        { key: 'name', label: '股票名称' },
+        { key: 'range', label: '日期范围' },
+        { key: 'level', label: '级别' },
+        { key: 'label', label: '问题' },
+        { key: 'count', label: '次数', isNum: true },
+        { key: 'samples', label: '示例' },
+      ],
+      rows: result.files.flatMap((f) => f.issues.map((x) => ({
+        file: f.file,
+        name: f.stockName,
+        range: f.firstYmd ? `${f.firstYmd}~${f.lastYmd}（${f.rows} 行）` : '',
+        level: levelLabel(x.level),
+        label: x.label,
+        count: String(x.count),
+        samples: x.samples.join('；'),
+      }))),
+    },
+    notes: [
+      '- 错误：交易日期无法解析 / 未升序 / 重复；价格列（复权与原始 开高低收）非空但不是数字；收盘价_复权 ≤ 0；文件为空或缺少必要列。',
+      '- 警告：成交量、成交额、市值、涨跌幅等非价格列无法解析；收盘价_复权 为空；复权价跳变与涨跌幅不符；相对市场日历缺少交易日或多出日期。',
+      `- 跳变：相邻两条有效记录的复权收盘价收益率与当日 涨跌幅 相差超过 ${(args.jumpTolerance * 100).toFixed(2)} 个百分点（--jump-tolerance）；没有 涨跌幅 时只标出超过 ±30% 的收益率。通常是复权因子断档或数据源拼接错误。`,
+      `- 市场日历：${tradingCalendar.calendar ? `交易日历文件 ${tradingCalendar.calendarPath}（--calendar）` : '所有文件出现过的交易日（文件数 ≥ 3 时只取至少 2 个文件都有的日期；可用 --calendar 指定交易日历）'}；缺少交易日只统计该文件首末日期之间，停牌也会出现在这里，需人工确认。`,
+      '- 日期乱序或重复的文件跳过跳变与日历检查。检查整个文件，不受 --start/--end 影响。',
+      `- JSON 报告：${path.basename(jsonPath)}（同目录；结构见 docs/report.md）。`,
+    ].join('\n'),
+  });
+
+  fs.writeFileSync(htmlPath, html, 'utf8');
+  fs.writeFileSync(jsonPath, `${JSON.stringify({ meta, calendarDays: result.calendarDays, totals, files: result.files }, null, 2)}\n`, 'utf8');
+  console.log(`数据校验：${totals.files} 个文件，${totals.errorFiles} 个有错误，${totals.warningFiles} 个仅有警告`);
+  console.log(`已生成报告：${htmlPath}`);
+  console.log(`已生成 JSON：${jsonPath}`);
+  if (args.strict && totals.errorFiles) process.exitCode = 1;
+}
+
+/**
+ * --mode=update：合并新增日线进数据目录（只支持一只票一个 CSV 的数据目录）
+ *
+ * 改写过的文件不论是否 --no-cache 都删除其解析缓存：缓存只凭文件大小与 mtime 判断是否过期，mtime 精度粗的文件系统上同样大小的改写可能命中旧缓存。
+ */
+function runUpdateMode(args, { projectRoot, dataDir, columnMap }) {
+  if (args.dataFormat !== 'csv') throw new Error(`--mode=update 只支持 --data-format=csv 的数据目录；收到 data-format=${args.dataFormat}`);
+  if (!args.updateDir) throw new Error('--mode=update 需要 --update-dir=PATH（新增日线所在目录）');
+  const updateDir = path.resolve(args.updateDir);
+  if (!fs.existsSync(updateDir)) throw new Error(`找不到更新目录：${updateDir}`);
+  if (updateDir === dataDir) throw new Error(`--update-dir 不能与数据目录相同：${updateDir}`);
+
+  const result = updateDataDir({
+    dataDir,
+    updateDir,
+    encoding: args.encoding,
+    updateEncoding: args.updateEncoding || args.encoding,
+    columnMap,
+    cache: createSeriesCache({ cacheDir: path.join(projectRoot, '.cache', 'series'), encoding: args.encoding }),
+    replaceRows: args.updateReplace,
+  });
+  console.log(formatUpdateSummary(result, { dataDir, updateDir }));
+}
+
+async function main() {
   const args = parseArgs(process.argv.slice(2));
 
   const startYmd = Number(args.start);
@@ -901,19 +2569,71 @@ function main() {
   const dataDir = args.dataDir ? path.resolve(args.dataDir) : path.join(projectRoot, 'stock');
   if (!fs.existsSync(dataDir)) throw new Error(`找不到数据目录：${dataDir}`);
 
-  let fileList = fs.readdirSync(dataDir).filter((f) => f.toLowerCase().endsWith('.csv'));
+  if (!isDataFormat(args.dataFormat)) throw new Error(`--data-format 仅支持 ${DATA_FORMATS.join('/')}；收到：${args.dataFormat}`);
+  // 宽表 / NDJSON 要读完全部源文件才能按票归并，不走解析缓存和线程池
+  const pivoted = args.dataFormat !== 'csv';
+  if (pivoted && args.workers > 1) throw new Error(`--workers 只适用于 --data-format=csv；收到 data-format=${args.dataFormat}`);
+  const columnMapPath = args.columnMap ? (path.isAbsolute(args.columnMap) ? args.columnMap : path.join(projectRoot, args.columnMap)) : '';
+  const columnMap = columnMapPath ? loadColumnMap(columnMapPath) : null;
+  const tradingCalendar = loadTradingCalendar(args.calendar, projectRoot, args.encoding);
+
+  if (args.mode === 'update') {
+    runUpdateMode(args, { projectRoot, dataDir, columnMap });
+    return;
+  }
+
+  const startedAt = Date.now();
+
   // 固定顺序：避免不同文件系统/环境导致遍历顺序不一致，保证结果可复现。
-  fileList.sort((a, b) => a.localeCompare(b, 'en'));
+  let sourceFiles = listSourceFiles(dataDir, args.dataFormat);
+  const benchmarkPath = resolveBenchmarkPath(args.benchmark, { projectRoot, dataDir });
+  const benchmark = benchmarkPath ? loadBenchmark(benchmarkPath, { encoding: args.encoding, columnMap }) : null;
+  // 基准文件放在数据目录里时不当作个股
+  if (benchmarkPath && path.dirname(benchmarkPath) === dataDir) sourceFiles = sourceFiles.filter((f) => f !== path.basename(benchmarkPath));
+
+  let preloaded = null;
+  let fileList = sourceFiles;
+  if (pivoted) {
+    let readFiles = 0;
+    preloaded = readPivotedSource(dataDir, sourceFiles, {
+      format: args.dataFormat,
+      encoding: args.encoding,
+      columnMap,
+      collectFailures: args.mode === 'validate',
+      onFile: () => {
+        readFiles += 1;
+        if (!args.quiet) renderProgress(readFiles, sourceFiles.length, startedAt);
+      },
+    });
+    if (!args.quiet) process.stdout.write('\n');
+    // 此后 fileList 是票的标识（`sz000001.csv`），读取失败的源文件也列进来，由 --mode=validate 报告
+    fileList = [...preloaded.entries.keys(), ...preloaded.failures.keys()].sort((a, b) => a.localeCompare(b, 'en'));
+  }
   if (args.files) {
     const set = new Set(args.files);
     fileList = fileList.filter((f) => set.has(f));
   }
   if (args.limit) fileList = fileList.slice(0, args.limit);
-
-  const startedAt = Date.now();
-
+  const dataSource = { columnMap, columnMapPath, preloaded };
+  const seriesCache = args.cache && !pivoted
+    ? createSeriesCache({
+      cacheDir: path.join(projectRoot, '.cache', 'series'),
+      encoding: args.encoding,
+      columnMapKey: columnMap ? columnMap.key : '',
+      rebuild: args.rebuildCache,
+    })
+    : null;
+
+  if (args.mode === 'signal') {
+    await runSignalMode(args, { projectRoot, dataDir, dataSource, tradingCalendar, fileList, startYmd, endYmd, startedAt, benchmark, benchmarkPath, seriesCache });
+    return;
+  }
+  if (args.mode === 'validate') {
+    await runValidateMode(args, { projectRoot, dataDir, dataSource, tradingCalendar, fileList, startedAt, seriesCache });
+    return;
+  }
   if (args.mode !== 'backtest') {
-    throw new Error(`已移除统计(stats)报告逻辑；当前仅支持 --mode=backtest（收到：${args.mode}）`);
+    throw new Error(`已移除统计(stats)报告逻辑；当前仅支持 --mode=backtest|signal|validate|update（收到：${args.mode}）`);
   }
 
   {
@@ -921,9 +2641,67 @@ function main() {
       throw new Error(`当前仅支持 --strategy=file；收到：${args.strategy}`);
     }
     const freq = String(args.freq || '').toUpperCase();
-    if (!['D', 'W', 'M', 'Q'].includes(freq)) {
-      throw new Error(`--freq 仅支持 D/W/M/Q；收到：${args.freq}`);
+    if (!isValidFreq(freq)) {
+      throw new Error(`--freq 仅支持 D/W/M/Q 或 ND（每 N 个交易日，如 5D）；收到：${args.freq}`);
+    }
+    const cycleDays = parseTradingDayCycle(freq);
+    if (cycleDays === null && args.cycleOffset > 0) throw new Error(`--cycle-offset 只适用于交易日周期（--freq=D 或 ND）；收到 freq=${freq}`);
+    if (args.tranches > 1 && (cycleDays === null || args.tranches > cycleDays)) {
+      throw new Error(`--tranches 需要交易日周期且不超过周期天数（如 --freq=20D --tranches=4）；收到 freq=${freq}, tranches=${args.tranches}`);
+    }
+    if (args.fillMode !== 'ideal' && args.fillMode !== 'realistic') {
+      throw new Error(`--fill-mode 仅支持 ideal/realistic；收到：${args.fillMode}`);
+    }
+    if (!MISSING_SELL_MODES.includes(args.missingSell)) {
+      throw new Error(`--missing-sell 仅支持 ${MISSING_SELL_MODES.join('/')}；收到：${args.missingSell}`);
     }
+    const carryMissing = args.missingSell === 'carry';
+    const { buyPrice, sellPrice } = parseExecPrice(args.execPrice);
+    if (!WEIGHTING_SCHEMES.includes(args.weighting)) {
+      throw new Error(`--weighting 仅支持 ${WEIGHTING_SCHEMES.join('/')}；收到：${args.weighting}`);
+    }
+    if (!VOL_ESTIMATORS.includes(args.volEstimator)) {
+      throw new Error(`--vol-estimator 仅支持 ${VOL_ESTIMATORS.join('/')}；收到：${args.volEstimator}`);
+    }
+    const volTargeted = args.volTarget !== null;
+    if (volTargeted && args.leverage > 1) {
+      throw new Error('--vol-target 与 --leverage 不能同时使用：波动率目标模式的杠杆上限请用 --max-leverage');
+    }
+    const weighting = createWeighting({
+      scheme: args.weighting,
+      volLookback: args.volLookback,
+      maxWeight: args.maxWeight,
+      minWeight: args.minWeight,
+      normalize: args.weightNormalize,
+      industryMaxWeight: args.industryMaxWeight,
+      industryMaxCount: args.industryMaxCount,
+      volEstimator: args.volEstimator,
+      ewmaLambda: args.ewmaLambda,
+      volTarget: args.volTarget,
+      maxLeverage: args.maxLeverage,
+    });
+    const industryLimited = args.industryMaxWeight < 1 || args.industryMaxCount !== null;
+    const { industryTable, industryPath } = loadIndustryTable(args.industry, projectRoot, args.encoding);
+    const feeSchedulePath = args.feeSchedule
+      ? (path.isAbsolute(args.feeSchedule) ? args.feeSchedule : path.join(projectRoot, args.feeSchedule))
+      : '';
+    const feeSchedule = feeSchedulePath ? loadFeeSchedule(feeSchedulePath) : null;
+    const { cashRate, cashRatePath } = resolveCashRate(args.cashRate, projectRoot);
+    // 波动率目标模式下引擎的杠杆上限取 max-leverage；上限超过 1 时同样按融资计息并检查维持担保比例
+    const engineLeverage = volTargeted ? Math.max(1, args.maxLeverage) : args.leverage;
+    const levered = engineLeverage > 1;
+    const costModelEnabled = args.slippageBps > 0 || args.impactBps > 0 || args.maxParticipation !== null;
+    const capacityLevels = parseCapacityLevels(args.capacity, args.capital);
+    const capacityParticipation = args.capacityParticipation !== null
+      ? args.capacityParticipation
+      : (args.maxParticipation !== null ? args.maxParticipation : DEFAULT_CAPACITY_PARTICIPATION);
+    const costModel = costModelEnabled
+      ? createCostModel({
+        slippageBps: args.slippageBps,
+        impactBps: args.impactBps,
+        maxParticipation: args.maxParticipation,
+      })
+      : null;
 
     const maPeriods = String(args.ma || '5,10,20')
       .split(',')
@@ -934,94 +2712,26 @@ function main() {
       throw new Error(`--ma 解析失败，示例：--ma=5,10,20；收到：${args.ma}`);
     }
 
-    const seriesList = [];
-    const seriesByFile = new Map();
-
-    const totalFiles = fileList.length;
-    let processedFiles = 0;
-
-    for (const f of fileList) {
-      processedFiles += 1;
-      if (!args.quiet) renderProgress(processedFiles, totalFiles, startedAt);
-
-      const fullPath = path.join(dataDir, f);
-      const buf = fs.readFileSync(fullPath);
-      const text = decodeCsvBuffer(buf, args.encoding);
-
-      const records = parse(text, {
-        columns: true,
-        skip_empty_lines: true,
-        trim: true,
-        relax_column_count: true,
-      });
-
-      if (!records.length) continue;
-      for (const col of ['股票名称', '交易日期', '收盘价_复权']) {
-        if (!(col in records[0])) {
-          throw new Error(`文件 ${f} 缺少必要列：${col}（encoding=${args.encoding}；若列名乱码，尝试 --encoding=auto 或 --encoding=utf8）`);
-        }
-      }
-
-      const n = records.length;
-      const dates = new Array(n);
-      const closeAdj = new Array(n);
-      const openAdj = new Array(n);
-      const highAdj = new Array(n);
-      const lowAdj = new Array(n);
-      const volume = new Array(n);
-      const amount = new Array(n);
-      const marketCapFloat = new Array(n);
-      const marketCapTotal = new Array(n);
-      const changePct = new Array(n);
-
-      for (let i = 0; i < n; i += 1) {
-        const r = records[i];
-        dates[i] = parseYmdInt(r['交易日期']);
-        closeAdj[i] = parseNumber(r['收盘价_复权']);
-        openAdj[i] = parseNumber(r['开盘价_复权']);
-        highAdj[i] = parseNumber(r['最高价_复权']);
-        lowAdj[i] = parseNumber(r['最低价_复权']);
-        volume[i] = parseNumber(r['成交量']);
-        amount[i] = parseNumber(r['成交额']);
-        marketCapFloat[i] = parseNumber(r['流通市值']);
-        marketCapTotal[i] = parseNumber(r['总市值']);
-        changePct[i] = parseNumber(r['涨跌幅']);
-      }
-
-      const stockCode = String(records[0]['股票代码'] || '');
-      const stockName = String(records[0]['股票名称'] || '');
-      const s = {
-        file: f,
-        stockCode,
-        stockName,
-        datesYmd: dates,
-        closeAdj,
-        openAdj,
-        highAdj,
-        lowAdj,
-        volume,
-        amount,
-        marketCapFloat,
-        marketCapTotal,
-        changePct,
-      };
-      seriesList.push(s);
-      seriesByFile.set(f, s);
-    }
-
-    if (!args.quiet) process.stdout.write('\n');
-
-    // 构建全市场交易日（按数据出现的日期去重）
-    const dateSet = new Set();
-    for (const s of seriesList) {
-      for (const ymd of s.datesYmd) {
-        if (!Number.isFinite(ymd) || ymd < startYmd || ymd > endYmd) continue;
-        dateSet.add(ymd);
-      }
+    const { seriesList, seriesByFile, parseIssues } = await loadSeries(dataDir, fileList, {
+      encoding: args.encoding,
+      quiet: args.quiet,
+      startedAt,
+      industryTable,
+      cache: seriesCache,
+      workers: args.workers,
+      dataSource,
+    });
+    if (args.strict) assertStrictData(fileList, seriesByFile, parseIssues, args.jumpTolerance);
+    const hasIndustry = seriesList.some((s) => s.industry);
+    if (industryLimited && !hasIndustry) {
+      throw new Error('--industry-max-weight/--industry-max-count 需要行业数据：用 --industry=PATH 指定映射文件，或在个股 CSV 里提供 `行业` 列');
     }
-    const marketDates = Array.from(dateSet).sort((a, b) => a - b);
+    const { marketDates, calendarNote } = resolveMarketDates(seriesList, startYmd, endYmd, tradingCalendar);
 
-    const periodPlans = buildPeriodPlans(marketDates, freq);
+    // 分批：第 j 批从 cycleOffset + round(j*N/K) 个交易日开始，各自按同样的周期轮动
+    const trancheOffsets = Array.from({ length: args.tranches }, (_, j) => args.cycleOffset + Math.round((j * (cycleDays || 0)) / args.tranches));
+    const planSets = trancheOffsets.map((offset) => buildPeriodPlans(marketDates, freq, { offset }));
+    const periodPlans = planSets.flat();
     const marketIndex = new Map();
     for (let i = 0; i < marketDates.length; i += 1) marketIndex.set(marketDates[i], i);
 
@@ -1032,13 +2742,7 @@ function main() {
       throw new Error(`找不到策略文件：${strategyPath}（默认读取 ${DEFAULT_STRATEGY_FILE}；可用 --strategy-file=PATH 指定）`);
     }
 
-    let loaded;
-    try {
-      // eslint-disable-next-line global-require, import/no-dynamic-require
-      loaded = require(strategyPath);
-    } catch (e) {
-      throw new Error(`加载策略失败：${strategyPath}\n${e && e.stack ? e.stack : String(e)}`);
-    }
+    const loaded = requireStrategyFile(strategyPath);
 
     const strategyFn = typeof loaded === 'function' ? loaded : (loaded && loaded.strategy);
     if (typeof strategyFn !== 'function') {
@@ -1055,9 +2759,40 @@ function main() {
       pickLimit: args.pickLimit,
     };
 
+    // 离场规则：命令行优先，其次 --strategy-params 里的同名参数（stopLoss/takeProfit/trailingStop/maxHoldingDays/exitTrigger/freedCash）
+    const exitParam = (key) => (args[key] !== null && args[key] !== '' ? args[key] : customStrategyParams[key]);
+    const exitNumber = (key) => {
+      const v = exitParam(key);
+      if (v === undefined || v === null || v === '') return null;
+      const x = Number(v);
+      if (!Number.isFinite(x)) throw new Error(`离场参数 ${key} 必须是数字：${v}`);
+      return x;
+    };
+    const exitTrigger = String(exitParam('exitTrigger') || 'intraday').toLowerCase();
+    const freedCash = String(exitParam('freedCash') || 'cash').toLowerCase();
+    if (!EXIT_TRIGGERS.includes(exitTrigger)) throw new Error(`--exit-trigger 仅支持 ${EXIT_TRIGGERS.join('/')}；收到：${exitTrigger}`);
+    if (!FREED_CASH_POLICIES.includes(freedCash)) throw new Error(`--freed-cash 仅支持 ${FREED_CASH_POLICIES.join('/')}；收到：${freedCash}`);
+    const exitRules = createExitRules({
+      stopLoss: exitNumber('stopLoss'),
+      takeProfit: exitNumber('takeProfit'),
+      trailingStop: exitNumber('trailingStop'),
+      maxHoldingDays: exitNumber('maxHoldingDays'),
+      trigger: exitTrigger,
+      freedCash,
+    });
+
     let picksTotal = 0;
+    let weightsFromStrategy = false;
+    let longShort = false; // 任一周期策略返回了 { long, short } 即按多空回测
+    const parsedByWindow = new Map(); // `${buyYmd}-${sellYmd}` -> 策略结果（分批之间买卖日相同的周期只调用一次策略）
 
     for (const p of periodPlans) {
+      const windowKey = `${p.buyYmd}-${p.sellYmd}`;
+      if (parsedByWindow.has(windowKey)) {
+        Object.assign(p, parsedByWindow.get(windowKey));
+        picksTotal += p.picks.length + (p.short ? p.short.picks.length : 0);
+        continue;
+      }
       const buyIdx = marketIndex.get(p.buyYmd);
       const asOfYmd = (buyIdx !== undefined && buyIdx > 0) ? marketDates[buyIdx - 1] : null;
       const ctx = {
@@ -1071,7 +2806,7 @@ function main() {
         params: strategyParams,
         ind: indicators,
         cache,
-        util: { upperBound, indexOfDate },
+        util: { upperBound, indexOfDate, isColumn, nameAsOf, isStAsOf },
       };
 
       let out;
@@ -1081,33 +2816,105 @@ function main() {
         throw new Error(`策略执行失败：periodKey=${p.periodKey}, buy=${p.buyYmd}, sell=${p.sellYmd}\n${e && e.stack ? e.stack : String(e)}`);
       }
 
-      let picks = [];
-      if (Array.isArray(out)) picks = out;
-      else if (out && Array.isArray(out.picks)) picks = out.picks;
-      else {
-        throw new Error(`策略返回值不合法：必须返回数组，或返回 { picks: [] }。\nperiodKey=${p.periodKey}`);
+      const parsed = parseStrategyPicks(out, p.periodKey);
+      // pick-limit 在多空时对两边分别生效
+      const limitPicks = (list) => {
+        const picks = list.filter((file) => validFiles.has(file));
+        return args.pickLimit && picks.length > args.pickLimit ? picks.slice(0, args.pickLimit) : picks;
+      };
+      p.picks = limitPicks(parsed.picks);
+      p.weights = parsed.weights;
+      if (parsed.weights) weightsFromStrategy = true;
+      p.scores = parsed.scores;
+      p.short = parsed.short ? { ...parsed.short, picks: limitPicks(parsed.short.picks) } : null;
+      if (p.short) {
+        longShort = true;
+        if (p.short.weights) weightsFromStrategy = true;
       }
+      parsedByWindow.set(windowKey, { picks: p.picks, weights: p.weights, scores: p.scores, short: p.short });
+      picksTotal += p.picks.length + (p.short ? p.short.picks.length : 0);
+    }
 
-      picks = picks
-        .map((x) => String(x).trim())
-        .filter(Boolean)
-        .filter((file) => validFiles.has(file));
-
-      if (args.pickLimit && picks.length > args.pickLimit) picks = picks.slice(0, args.pickLimit);
-      p.picks = picks;
-      picksTotal += picks.length;
+    if (longShort) {
+      if (args.rebalance) throw new Error('多空模式（策略返回 { long, short }）暂不支持 --rebalance');
+      if (exitRules.enabled) throw new Error('多空模式（策略返回 { long, short }）暂不支持离场规则（止损/止盈/移动止损/最长持有）');
+      if (levered) throw new Error('多空模式（策略返回 { long, short }）不支持 --leverage；杠杆请用 --gross-exposure/--net-exposure');
+      if (volTargeted) throw new Error('多空模式（策略返回 { long, short }）暂不支持 --vol-target');
+      if (capacityLevels.length) throw new Error('多空模式（策略返回 { long, short }）暂不支持 --capacity');
+      if (carryMissing) throw new Error('多空模式（策略返回 { long, short }）暂不支持 --missing-sell=carry');
+      if (Math.abs(args.netExposure) > args.grossExposure) {
+        throw new Error(`--net-exposure 的绝对值不能超过 --gross-exposure：net=${args.netExposure}, gross=${args.grossExposure}`);
+      }
+      // 只返回数组的周期视为只有多头
+      for (const p of periodPlans) {
+        p.long = { picks: p.picks, weights: p.weights, scores: p.scores };
+        if (!p.short) p.short = { picks: [], weights: null, scores: null };
+      }
     }
 
-    const portfolio = simulatePortfolioPeriodicIdeal(
-      { seriesByFile, marketDatesAsc: marketDates, periodPlans },
-      {
-        startYmd,
-        endYmd,
-        initialCapital: args.capital,
-        feeBps: args.feeBps,
-        stampBps: args.stampBps,
-      },
-    );
+    const engineOptions = {
+      startYmd,
+      endYmd,
+      initialCapital: args.capital / args.tranches,
+      feeBps: args.feeBps,
+      stampBps: args.stampBps,
+      fillMode: args.fillMode,
+      lot: args.lot,
+      roundLot: args.roundLot,
+      buyPrice,
+      sellPrice,
+      costModel,
+      feeSchedule,
+      weighting,
+      cashRate,
+      financingRate: args.financingRate,
+      trackIndustry: hasIndustry,
+    };
+    // 按 planSets 逐批回测；overrides 覆盖引擎参数（容量分析换初始资金与参与率上限时用）
+    const runTranches = (overrides = {}) => planSets.map((plans) => (longShort
+      ? simulatePortfolioLongShortPeriodic(
+        { seriesByFile, marketDatesAsc: marketDates, periodPlans: plans },
+        {
+          ...engineOptions,
+          grossExposure: args.grossExposure,
+          netExposure: args.netExposure,
+          borrowRate: args.borrowRate,
+          ...overrides,
+        },
+      )
+      : simulatePortfolioPeriodicIdeal(
+        { seriesByFile, marketDatesAsc: marketDates, periodPlans: plans },
+        {
+          ...engineOptions,
+          rebalance: args.rebalance,
+          rebalanceBand: args.rebalanceBand,
+          exitRules: exitRules.enabled ? exitRules : null,
+          leverage: engineLeverage,
+          maintenanceRatio: args.maintenanceRatio,
+          missingSell: args.missingSell,
+          ...overrides,
+        },
+      )));
+    const trancheResults = runTranches();
+    const portfolio = trancheResults.length > 1 ? combinePortfolioResults(trancheResults, args.capital) : trancheResults[0];
+
+    // 容量分析：同一组选股按各档初始资金重放，每笔委托不超过当日成交额的阈值比例（冲击成本参数沿用本次回测）
+    let capacity = null;
+    if (capacityLevels.length) {
+      const capacityCostModel = createCostModel({
+        slippageBps: args.slippageBps,
+        impactBps: args.impactBps,
+        maxParticipation: capacityParticipation,
+      });
+      capacity = analyzeCapacity({
+        levels: capacityLevels,
+        threshold: capacityParticipation,
+        run: (capital) => {
+          const results = runTranches({ initialCapital: capital / args.tranches, costModel: capacityCostModel, trackParticipation: true });
+          return results.length > 1 ? combinePortfolioResults(results, capital) : results[0];
+        },
+      });
+    }
 
     const periodAgg = new Map(); // periodKey -> { trades, pnl }
     for (const t of portfolio.trades) {
@@ -1124,52 +2931,134 @@ function main() {
     const periodWinRate = periodsTraded ? periodWinPeriods / periodsTraded : Number.NaN;
     const picksAvgPerPeriod = periodsTotal ? picksTotal / periodsTotal : Number.NaN;
 
-    const curve = Array.isArray(portfolio.equityCurve) ? portfolio.equityCurve : [];
-    const dd = computeMaxDrawdown(curve);
-
-    let maxEquity = Number.NEGATIVE_INFINITY;
-    let maxEquityDate = null;
-    let minEquity = Number.POSITIVE_INFINITY;
-    let minEquityDate = null;
-    for (const p of curve) {
-      if (!p || !Number.isFinite(p.equity)) continue;
-      if (p.equity > maxEquity) {
-        maxEquity = p.equity;
-        maxEquityDate = p.date;
-      }
-      if (p.equity < minEquity) {
-        minEquity = p.equity;
-        minEquityDate = p.date;
-      }
-    }
+    const periodStats = Array.isArray(portfolio.periodStats) ? portfolio.periodStats : [];
+    const idleRatios = periodStats.map((x) => x.idleCashRatio).filter((x) => Number.isFinite(x));
+    const idleCashRatioAvg = idleRatios.length ? idleRatios.reduce((acc, x) => acc + x, 0) / idleRatios.length : Number.NaN;
+    const idleCashRatioMax = idleRatios.length ? Math.max(...idleRatios) : Number.NaN;
+    const picksDroppedUnaffordable = periodStats.reduce((acc, x) => acc + (x.droppedUnaffordable || 0), 0);
+    const turnovers = periodStats.map((x) => x.turnover).filter((x) => Number.isFinite(x));
+    const turnoverTotal = turnovers.reduce((acc, x) => acc + x, 0);
+    const turnoverAvg = turnovers.length ? turnoverTotal / turnovers.length : Number.NaN;
+    const sumStat = (key) => periodStats.reduce((acc, x) => acc + (x[key] || 0), 0);
+    const industryStats = periodStats.filter((x) => x.industryWeights);
+    const industryNames = new Set(industryStats.flatMap((x) => Object.keys(x.industryWeights)));
+    const industryTopWeights = industryStats.map((x) => Math.max(...Object.values(x.industryWeights))).filter((x) => Number.isFinite(x));
+    const industryTopWeightAvg = industryTopWeights.length ? industryTopWeights.reduce((acc, x) => acc + x, 0) / industryTopWeights.length : Number.NaN;
+    const avgStat = (key) => {
+      const xs = periodStats.map((x) => x[key]).filter((x) => Number.isFinite(x));
+      return xs.length ? xs.reduce((acc, x) => acc + x, 0) / xs.length : Number.NaN;
+    };
+    const formatPct = (x) => (Number.isFinite(x) ? (x * 100).toFixed(2) + '%' : 'NaN');
 
+    const curve = Array.isArray(portfolio.equityCurve) ? portfolio.equityCurve : [];
     const initialCapital = args.capital;
-    const finalEquity = portfolio.finalEquity;
-    const totalPnl = Number.isFinite(finalEquity) ? (finalEquity - initialCapital) : Number.NaN;
-    const maxReturn = Number.isFinite(maxEquity) && Number.isFinite(initialCapital) && initialCapital > 0
-      ? (maxEquity / initialCapital - 1)
-      : Number.NaN;
-    const maxPnl = Number.isFinite(maxEquity) ? (maxEquity - initialCapital) : Number.NaN;
+    const { overview, amounts } = buildEquityOverview(portfolio, initialCapital, {
+      tradesSub: `交易次数：${portfolio.trades.length}；周期胜率：${Number.isFinite(periodWinRate) ? (periodWinRate * 100).toFixed(2) + '%' : 'NaN'}`,
+    });
+    const bench = buildBenchmarkSection(benchmark, curve, initialCapital);
+    overview.push(...bench.overview);
+    const volRealized = realizedVolatility(curve);
+    // 每期实际波动率：买入日到卖出日之间（含两端）所在批次资金曲线的日收益率
+    const periodVolOf = (x) => realizedVolatility(x.tranche === undefined ? curve : trancheResults[x.tranche].equityCurve, x.buyYmd, x.sellYmd);
+    if (volTargeted) {
+      overview.push({
+        k: '实际波动率 / 目标',
+        v: `${formatPct(volRealized)} / ${formatPct(args.volTarget)}`,
+        sub: `平均预估波动率 ${formatPct(avgStat('volForecast'))}；平均目标敞口 ${Number.isFinite(avgStat('targetExposure')) ? avgStat('targetExposure').toFixed(2) : 'NaN'} 倍`,
+      });
+    }
 
     const now = new Date();
     const ts = timestampBeijingYmdHmsUnderscore(now);
     const reportName = `量化分析结果+${ts}.html`;
     const reportPath = path.join(projectRoot, reportName);
 
-    const equityCurveSvg = curve.length ? renderEquityCurveSvg(curve, { initialCapital: initialCapital }) : '';
+    // 各批曲线按 ×K 折算到与组合相同的初始资金，便于比较起始日不同带来的差异
+    const trancheSeries = trancheResults.length > 1
+      ? trancheResults.map((r, j) => ({
+        label: `分批${j + 1}（第 ${trancheOffsets[j] + 1} 个交易日起，×${args.tranches}）`,
+        curve: r.equityCurve.map((x) => ({ date: x.date, equity: x.equity * args.tranches })),
+      }))
+      : [];
+    // 多空：两边账本曲线 = 初始资金 + 该书累计盈亏（融券费用计入空头）；两者盈亏之和即组合盈亏
+    const bookSeries = longShort && portfolio.bookCurves
+      ? [
+        { label: '多头账本', curve: portfolio.bookCurves.long },
+        { label: '空头账本', curve: portfolio.bookCurves.short },
+      ]
+      : [];
+    const equityCurveSvg = curve.length
+      ? renderEquityCurveSvg(curve, { initialCapital: initialCapital, series: [...bench.series, ...bookSeries, ...trancheSeries] })
+      : '';
 
     const elapsedSec = Math.round((Date.now() - startedAt) / 1000);
     const notes = [
-      `- 回测流程：按 freq=${freq} 切分自然周期；周期首个交易日买入（收盘复权价成交），周期最后一个交易日卖出（收盘复权价成交）；仅做多。`,
+      `- 回测流程：按 freq=${freq} 切分${cycleDays === null ? '自然周期' : `周期（每 ${cycleDays} 个交易日一期，从区间第 ${args.cycleOffset + 1} 个交易日开始）`}；周期首个交易日买入（${execPriceLabel(buyPrice)}成交），周期最后一个交易日卖出（${execPriceLabel(sellPrice)}成交）；${longShort ? '多空（空头卖出开仓、买入平仓）' : '仅做多'}；持仓每日按收盘复权价盯市。`,
+      tradingCalendar.calendar
+        ? `- 交易日：按交易日历 ${tradingCalendar.calendarPath} 切分周期与逐日盯市（数据首末日期之间共 ${marketDates.length} 个交易日；日历之外的数据日期不单独排期与盯市，并入其后第一个交易日；没有数据的交易日沿用前一日价格）；${calendarNote || '与数据日期一致'}。`
+        : `- 交易日：所有数据文件出现过的日期的并集（只跑部分文件时可能漏掉交易日，可用 --calendar 指定交易日历）。`,
+      ...(longShort ? [`- 多空（策略返回 { long, short }）：每个买入日按净值分配两边目标市值，多头 ${formatPct((args.grossExposure + args.netExposure) / 2)}、空头 ${formatPct((args.grossExposure - args.netExposure) / 2)}（gross=${args.grossExposure}，net=${args.netExposure}），各自在书内按权重方案分配；卖空所得计入现金，空头按市值计为负债；融券费用按年化 ${formatPct(args.borrowRate)} × 自然日/365 每日计提；不模拟融资、保证金与融券标的限制。图中多头/空头账本曲线 = 初始资金 + 该书累计盈亏。`] : []),
+      ...(trancheResults.length > 1 ? [`- 分批（tranches=${args.tranches}）：资金均分为 ${args.tranches} 个子组合，起始日分别为区间第 ${trancheOffsets.map((x) => x + 1).join('/')} 个交易日，各自独立轮动；组合曲线为各批相加，图中各批曲线按 ×${args.tranches} 折算到相同初始资金。`] : []),
       `- 信号口径：策略只能使用 asOfYmd（买入日前一交易日）及更早的数据生成信号，避免未来函数。`,
       `- 策略来源：从策略文件加载 strategy(ctx) 决定每个周期要买哪些股票（用 file 作为主键）。`,
-      `- 缺价处理：若某票在买入日或卖出日缺少收盘复权价（NaN/<=0/不存在该日记录），该票本周期整期跳过（不建仓）。`,
-      `- 理想化成交：不考虑涨跌停/停牌导致的成交失败；不限制整手/最小成交单位（可无限可分）。`,
+      hasIndustry
+        ? `- 行业：${industryPath ? `按映射文件 ${industryPath}（按生效日期逐日展开）` : '取个股 CSV 的 `行业` 列'}；约束与统计都用买入日前一条记录的行业，没有行业的票归为“未分类”；${industryLimited ? [
+          args.industryMaxCount !== null ? `每个行业最多 ${args.industryMaxCount} 只（按入选顺序保留靠前的）` : '',
+          args.industryMaxWeight < 1 ? `单个行业权重不超过 ${formatPct(args.industryMaxWeight)}（超出部分按比例分给其他行业的票，都触顶时留作现金）` : '',
+        ].filter(Boolean).join('；') : '不设行业约束'}；“行业权重”卡片列出每个买入日成交后各行业持仓占净值比例${longShort ? '（多空为多头 − 空头的净敞口）' : ''}。`
+        : `- 行业：未提供行业数据（--industry 或 CSV 的 \`行业\` 列），不做行业约束与统计。`,
+      `- 权重：${weightsFromStrategy ? `策略返回的权重（${args.weightNormalize ? '在可买的票之间归一化' : '按占净值比例原样使用'}）` : `weighting=${args.weighting}`}；${args.maxWeight < 1 ? `单票上限 ${formatPct(args.maxWeight)}（超出部分分给其余票）` : '单票不设上限'}；${args.minWeight > 0 ? `低于 ${formatPct(args.minWeight)} 的票剔除` : '不设下限'}。`,
+      carryMissing
+        ? `- 缺价处理（missing_sell=carry）：买入日缺少成交价的票本周期跳过；卖出日缺价的照常买入。到卖出日${args.fillMode === 'realistic' ? '停牌或' : ''}没有成交价时：之后还有可卖记录的视为停牌，持仓冻结（按停牌前收盘价盯市、不参与调仓），复牌首日收盘卖出（reason=period_exit_delayed），期间可跨入后续周期；之后再无可卖记录的视为退市，当日按最后有效收盘价离场（reason=delisted）。`
+        : `- 缺价处理：若某票在买入日或卖出日缺少成交价（NaN/<=0/不存在该日记录），该票本周期整期跳过（不建仓）。`,
+      args.fillMode === 'realistic'
+        ? `- 成交约束（fill_mode=realistic）：买入日停牌或一字涨停则不买；卖出日停牌或收盘跌停则继续持有，至首个可卖交易日收盘卖出（reason=period_exit_delayed）${carryMissing ? '' : '，之后再无可卖记录的（退市 / 数据截止）按最后有效收盘价离场（reason=delisted）'}；涨跌停幅度按板块（主板 10%、ST 5%、创业板/科创板 20%、北交所 30%）。${longShort ? '空头方向相反：开空按卖出判断（停牌/跌停卖不出），平空按买入判断（停牌/一字涨停买不回，顺延）；受阻计数按买卖方向合并统计。' : ''}`
+        : `- 理想化成交：不考虑涨跌停/停牌导致的成交失败。`,
+      args.roundLot
+        ? `- 整手：每只按均分预算（含佣金）向下取整到 ${args.lot} 股（按实际价格计，即复权价 ÷ 复权因子）；一手都买不起的票剔除后对其余票重新均分；余额按距均分预算缺口从大到小逐只补一手，剩余为闲置现金。`
+        : `- 不限制整手/最小成交单位（可无限可分），现金全部投入。`,
+      args.rebalance
+        ? `- 换仓模式（rebalance=1）：sellYmd 收盘按下一期名单卖出落选持仓（reason=period_exit），仍在名单里的持仓保留到下一期买入日收盘，与新票一起按目标权重买卖差额（偏离不超过净值的 ${(args.rebalanceBand * 100).toFixed(2)}% 不调整；减仓 reason=rebalance_trim）；最后一期照常在 sellYmd 清仓。交易明细的 category 区分清仓（closed）与减仓（resized），“换仓明细”卡片按新开/持有/调整/清仓列出每笔持仓变动（含加仓买入）。`
+        : `- 每期全部清仓后重新买入（同一只票连续入选也会卖出再买回）。`,
+      exitRules.enabled
+        ? `- 离场规则：${[
+          exitRules.stopLoss !== null ? `止损 ${formatPct(exitRules.stopLoss)}（reason=stop_loss）` : '',
+          exitRules.trailingStop !== null ? `移动止损 ${formatPct(exitRules.trailingStop)}（自买入以来最高价回撤，reason=trailing_stop）` : '',
+          exitRules.takeProfit !== null ? `止盈 ${formatPct(exitRules.takeProfit)}（reason=take_profit）` : '',
+          exitRules.maxHoldingDays !== null ? `最长持有 ${exitRules.maxHoldingDays} 个交易日（reason=max_holding）` : '',
+        ].filter(Boolean).join('；')}。${exitRules.trigger === 'close' ? '只看收盘复权价，触发即按收盘价成交' : '按当日最高/最低复权价触价，按触发价成交，跳空越过时按开盘价成交；同日止损止盈都触及按止损处理'}；买入当日不检查；释放的现金${exitRules.freedCash === 'reallocate' ? '当日收盘按市值比例加仓其余持仓' : '留作现金到下一个买入日'}。`
+        : `- 离场规则：未启用（持有到周期卖出日）。`,
+      longShort
+        ? `- 换手率：（上个买入日以来多空两边的平仓金额 + 本期开仓金额）/ 2 / 调仓后净值。`
+        : `- 换手率：（上个买入日以来的卖出与期中加仓金额 + 本期买入金额）/ 2 / 调仓后净值。`,
       `- 示例参数：ma=${maPeriods.join(',')}；exclude_st=${args.excludeSt ? '1' : '0'}；pick_limit=${args.pickLimit || '不限'}。`,
       `- 自定义策略参数：${Object.keys(customStrategyParams).length ? JSON.stringify(customStrategyParams) : '无'}`,
-      `- 费用：fee_bps=${args.feeBps}；印花税（卖出）：stamp_bps=${args.stampBps}。`,
+      feeSchedule
+        ? `- 费用：按费率表 ${feeSchedulePath} 逐笔计算（交易所取文件名前缀 sh/sz/bj；佣金含最低收费，印花税/过户费按成交日生效的规则）；fee_bps/stamp_bps 不生效。`
+        : `- 费用：fee_bps=${args.feeBps}；印花税（卖出）：stamp_bps=${args.stampBps}。`,
+      costModelEnabled
+        ? `- 冲击成本：成交价按 slippage_bps=${args.slippageBps} + impact_bps=${args.impactBps}×√(委托金额/当日成交额) 不利偏移；${args.maxParticipation !== null ? `单笔委托不超过当日成交额的 ${(args.maxParticipation * 100).toFixed(2)}%，超出部分买单留作现金、卖单顺延到下一交易日继续卖（reason=period_exit_delayed）` : '不限参与率'}。`
+        : `- 冲击成本：未启用（无滑点、不限参与率）。`,
+      cashRateNote(cashRate, cashRatePath),
+      ...(volTargeted ? [`- 波动率目标（vol_target=${formatPct(args.volTarget)}）：每个买入日用买入日前 ${args.volLookback} 个交易日的日收益率（${args.volEstimator === 'ewma' ? `EWMA，lambda=${args.ewmaLambda}` : '样本协方差'}）估计本期目标权重下的组合年化波动率 σ，总敞口 = 净值 × min(目标 / σ, ${args.maxLeverage})${args.maxLeverage > 1 ? '，超过 1 倍的部分为融资' : '，不足 1 倍的部分留作现金'}；σ 估计不出时按 ${Math.min(1, args.maxLeverage)} 倍。实际波动率 = 资金曲线日收益率标准差 × √252。`] : []),
+      levered
+        ? `- 融资（${volTargeted ? `波动率目标，上限 ${engineLeverage} 倍` : `leverage=${args.leverage}`}）：每个买入日按买入前净值的 ${volTargeted ? '目标敞口' : args.leverage} 倍建仓，超出现金的部分为融资负债（现金为负），按年化 ${formatPct(args.financingRate)} × 自然日数/365 计息；每日收盘计算维持担保比例 = 持仓市值 / 融资负债，低于 ${args.maintenanceRatio} 时当日收盘按收盘价全部强平（reason=margin_call${args.fillMode === 'realistic' ? '；停牌/收盘跌停的顺延到首个可卖日' : ''}），之后到下一个买入日再按当时净值建仓。闲置现金比例为负表示融资占用。`
+        : `- 融资：未启用（leverage=1）。`,
+      ...bench.notes,
+      ...(capacity ? [`- 容量分析：按 ${capacity.rows.map((x) => formatCapital(x.capital)).join(' / ')} 的初始资金重放同一组周期选股（策略只调用一次，权重、离场规则、费用与冲击成本参数同上），每笔委托不超过当日成交额的 ${formatPct(capacity.threshold)}，超出部分买单留作现金、卖单顺延；参与率 = 委托金额（截断前）/ 当日成交额，成交额缺失的委托不计；“最差周期参与率”取各周期最大值中的最大者。容量上限为最差周期参与率超过阈值时的资金：越界档与上一档之间线性插值，全部档位未越界（或首档即越界）时按参与率与资金成正比外推。夏普按日收益率 × √252 年化（无风险利率按 0）。`] : []),
     ].join('\n');
 
+    const capacityThresholdText = capacity && Number.isFinite(capacity.thresholdCapital)
+      ? `${formatMoney(capacity.thresholdCapital)}（${capacity.thresholdMethod === 'interpolated' ? '插值' : '外推'}）`
+      : 'NaN';
+    if (capacity) {
+      overview.push({
+        k: '容量上限（参与率越界资金）',
+        v: capacityThresholdText,
+        sub: `阈值：单笔不超过当日成交额的 ${formatPct(capacity.threshold)}；共 ${capacity.rows.length} 档资金`,
+      });
+    }
+
     const html = renderBacktestReportHtml({
       title: `量化分析结果+${ts}`,
       meta: {
@@ -1178,61 +3067,70 @@ function main() {
         data_dir: dataDir,
         files_total: String(seriesList.length),
         encoding: String(args.encoding),
+        data_format: args.dataFormat,
+        column_map: dataSource.columnMapPath,
+        calendar: tradingCalendar.calendarPath,
+        series_cache: seriesCacheLabel(seriesCache),
+        workers: String(args.workers),
+        strict: args.strict ? '1' : '0',
         mode: 'backtest',
         start: args.start,
         end: args.end,
         capital: String(args.capital),
         fee_bps: String(args.feeBps),
         stamp_bps: String(args.stampBps),
+        fee_schedule: feeSchedulePath,
+        slippage_bps: String(args.slippageBps),
+        impact_bps: String(args.impactBps),
+        max_participation: args.maxParticipation === null ? '' : String(args.maxParticipation),
+        capacity: capacity ? capacity.rows.map((x) => String(x.capital)).join(',') : '',
+        capacity_participation: capacity ? String(capacity.threshold) : '',
+        fill_mode: args.fillMode,
+        exec_price: `${buyPrice},${sellPrice}`,
+        lot: String(args.lot),
+        round_lot: String(args.roundLot),
+        weighting: args.weighting,
+        max_weight: args.maxWeight < 1 ? String(args.maxWeight) : '',
+        min_weight: args.minWeight > 0 ? String(args.minWeight) : '',
+        industry: industryPath || (hasIndustry ? '行业' : ''),
+        industry_max_weight: args.industryMaxWeight < 1 ? String(args.industryMaxWeight) : '',
+        industry_max_count: args.industryMaxCount === null ? '' : String(args.industryMaxCount),
+        vol_lookback: args.weighting === 'inv-vol' || args.weighting === 'erc' || volTargeted ? String(args.volLookback) : '',
+        vol_estimator: args.weighting === 'inv-vol' || args.weighting === 'erc' || volTargeted ? args.volEstimator : '',
+        ewma_lambda: args.volEstimator === 'ewma' ? String(args.ewmaLambda) : '',
+        vol_target: volTargeted ? String(args.volTarget) : '',
+        max_leverage: volTargeted ? String(args.maxLeverage) : '',
+        weight_normalize: String(args.weightNormalize),
+        stop_loss: exitRules.stopLoss === null ? '' : String(exitRules.stopLoss),
+        take_profit: exitRules.takeProfit === null ? '' : String(exitRules.takeProfit),
+        trailing_stop: exitRules.trailingStop === null ? '' : String(exitRules.trailingStop),
+        max_holding_days: exitRules.maxHoldingDays === null ? '' : String(exitRules.maxHoldingDays),
+        exit_trigger: exitRules.enabled ? exitRules.trigger : '',
+        freed_cash: exitRules.enabled ? exitRules.freedCash : '',
+        rebalance: String(args.rebalance),
+        rebalance_band: args.rebalance ? String(args.rebalanceBand) : '',
+        missing_sell: args.missingSell,
         strategy: String(args.strategy),
         strategy_file: strategyPath,
         strategy_params: Object.keys(customStrategyParams).length ? JSON.stringify(customStrategyParams) : '',
         freq: freq,
+        cycle_offset: cycleDays === null ? '' : String(args.cycleOffset),
+        tranches: String(args.tranches),
+        gross_exposure: longShort ? String(args.grossExposure) : '',
+        net_exposure: longShort ? String(args.netExposure) : '',
+        borrow_rate: longShort ? String(args.borrowRate) : '',
+        cash_rate: cashRatePath || (cashRate ? String(cashRate) : ''),
+        leverage: levered ? String(engineLeverage) : '',
+        financing_rate: levered ? String(args.financingRate) : '',
+        maintenance_ratio: levered ? String(args.maintenanceRatio) : '',
+        benchmark: benchmarkPath,
         ma: String(args.ma),
         exclude_st: String(args.excludeSt),
         pick_limit: args.pickLimit === null ? '' : String(args.pickLimit),
       },
-      strategy: '周期轮动：周期开始买入、周期结束卖出；选股逻辑来自 strategy.js；仅做多（理想化成交）。',
-      overview: [
-        { k: '初始资金', v: `${formatMoney(initialCapital)} 元` },
-        {
-          k: '最终资金',
-          v: Number.isFinite(finalEquity) ? `${formatMoney(finalEquity)} 元` : 'NaN',
-          sub: Number.isFinite(portfolio.totalReturn) && Number.isFinite(totalPnl)
-            ? `总收益：${totalPnl >= 0 ? '+' : ''}${formatMoney(totalPnl)} 元（${(portfolio.totalReturn * 100).toFixed(2)}%）`
-            : '',
-        },
-        {
-          k: '最大回撤',
-          v: Number.isFinite(dd.maxDrawdown)
-            ? `${(dd.maxDrawdown * 100).toFixed(2)}%`
-            : (Number.isFinite(portfolio.maxDrawdown) ? `${(portfolio.maxDrawdown * 100).toFixed(2)}%` : 'NaN'),
-          sub: dd.maxDrawdownPeakDate && dd.maxDrawdownTroughDate
-            ? `回撤区间：${formatYmd(String(dd.maxDrawdownPeakDate))} → ${formatYmd(String(dd.maxDrawdownTroughDate))}`
-            : '',
-        },
-        {
-          k: '最高净值 / 最大收益',
-          v: Number.isFinite(maxReturn) ? `${(maxReturn * 100).toFixed(2)}%` : 'NaN',
-          sub: maxEquityDate ? `发生日期：${formatYmd(String(maxEquityDate))}` : '',
-        },
-        {
-          k: '胜率 / 交易次数',
-          v: portfolio.trades.length > 0 && Number.isFinite(portfolio.winRate) ? `${(portfolio.winRate * 100).toFixed(2)}%` : (portfolio.trades.length > 0 ? 'NaN' : '无交易'),
-          sub: `交易次数：${portfolio.trades.length}；周期胜率：${Number.isFinite(periodWinRate) ? (periodWinRate * 100).toFixed(2) + '%' : 'NaN'}`,
-        },
-      ],
-      amounts: {
-        maxDrawdownAmount: dd.maxDrawdownAmount,
-        maxDrawdownPeakEquity: dd.maxDrawdownPeakEquity,
-        maxDrawdownPeakDate: dd.maxDrawdownPeakDate,
-        maxDrawdownTroughEquity: dd.maxDrawdownTroughEquity,
-        maxDrawdownTroughDate: dd.maxDrawdownTroughDate,
-        maxEquity,
-        maxEquityDate,
-        maxReturn,
-        maxPnl,
-      },
+      strategy: `周期轮动：周期开始买入、周期结束卖出；选股逻辑来自 strategy.js；${longShort ? '多空' : '仅做多'}（${args.fillMode === 'realistic' ? '涨跌停/停牌约束' : '理想化成交'}）。`,
+      overview,
+      amounts,
       summary: {
         files: String(seriesList.length),
         portfolio_final_equity: Number.isFinite(portfolio.finalEquity) ? formatMoney(portfolio.finalEquity) : 'NaN',
@@ -1245,6 +3143,193 @@ function main() {
         picks_total: String(picksTotal),
         picks_avg_per_period: Number.isFinite(picksAvgPerPeriod) ? picksAvgPerPeriod.toFixed(2) : 'NaN',
         period_win_rate: Number.isFinite(periodWinRate) ? (periodWinRate * 100).toFixed(2) + '%' : 'NaN',
+        ...(args.fillMode === 'realistic' ? {
+          blocked_buy_limit_up: String(portfolio.blocked.buyLimitUp),
+          blocked_buy_suspended: String(portfolio.blocked.buySuspended),
+          blocked_sell_limit_down: String(portfolio.blocked.sellLimitDown),
+          blocked_sell_suspended: String(portfolio.blocked.sellSuspended),
+          blocked_delisted: String(portfolio.blocked.delisted),
+        } : {}),
+        cost_commission: formatMoney(portfolio.costs.commission),
+        cost_stamp_duty: formatMoney(portfolio.costs.stampDuty),
+        cost_transfer_fee: formatMoney(portfolio.costs.transferFee),
+        cost_total: formatMoney(portfolio.costs.commission + portfolio.costs.stampDuty + portfolio.costs.transferFee + portfolio.liquidity.impactCost),
+        ...(costModelEnabled ? {
+          liquidity_buy_capped: String(portfolio.liquidity.buyCapped),
+          liquidity_sell_capped: String(portfolio.liquidity.sellCapped),
+          liquidity_unfilled_buy_value: formatMoney(portfolio.liquidity.unfilledBuyValue),
+          impact_cost: formatMoney(portfolio.liquidity.impactCost),
+        } : {}),
+        ...(longShort ? {
+          book_pnl_long: formatMoney(portfolio.bookPnl.long),
+          book_pnl_short: formatMoney(portfolio.bookPnl.short),
+          borrow_cost: formatMoney(portfolio.borrowCost),
+          long_exposure_avg: formatPct(avgStat('longExposure')),
+          short_exposure_avg: formatPct(avgStat('shortExposure')),
+          ...(costModelEnabled ? { liquidity_unfilled_short_value: formatMoney(portfolio.liquidity.unfilledShortValue) } : {}),
+        } : {}),
+        idle_cash_ratio_avg: formatPct(idleCashRatioAvg),
+        idle_cash_ratio_max: formatPct(idleCashRatioMax),
+        ...(args.roundLot ? { picks_dropped_unaffordable: String(picksDroppedUnaffordable) } : {}),
+        ...(cashRatePath || cashRate ? { cash_interest: formatMoney(portfolio.financing.cashInterest) } : {}),
+        ...(levered ? {
+          financing_cost: formatMoney(portfolio.financing.financingCost),
+          margin_calls: String(portfolio.financing.marginCalls),
+          leverage_avg: Number.isFinite(avgStat('leverage')) ? avgStat('leverage').toFixed(2) : 'NaN',
+        } : {}),
+        ...(volTargeted ? {
+          vol_target: formatPct(args.volTarget),
+          vol_realized: formatPct(volRealized),
+          vol_forecast_avg: formatPct(avgStat('volForecast')),
+          exposure_avg: Number.isFinite(avgStat('targetExposure')) ? avgStat('targetExposure').toFixed(2) : 'NaN',
+        } : {}),
+        ...(carryMissing ? {
+          missing_sell_delisted: String(portfolio.missing.delisted),
+          missing_sell_frozen: String(portfolio.missing.frozen),
+          missing_sell_frozen_open: portfolio.missing.frozenOpen
+            ? `${portfolio.missing.frozenOpen}（市值 ${formatMoney(portfolio.missing.frozenOpenValue)}）`
+            : '0',
+          missing_sell_pnl: formatMoney(portfolio.missing.pnl),
+        } : {}),
+        ...bench.summary,
+        ...(industryStats.length ? {
+          industry_count: String(industryNames.size),
+          industry_top_weight_avg: formatPct(industryTopWeightAvg),
+        } : {}),
+        ...(exitRules.enabled ? {
+          exit_stop_loss: String(portfolio.exits.stopLoss),
+          exit_trailing_stop: String(portfolio.exits.trailingStop),
+          exit_take_profit: String(portfolio.exits.takeProfit),
+          exit_max_holding: String(portfolio.exits.maxHolding),
+        } : {}),
+        turnover_avg: formatPct(turnoverAvg),
+        turnover_total: formatPct(turnoverTotal),
+        ...(trancheResults.length > 1 ? {
+          tranches: String(trancheResults.length),
+          tranche_return_min: formatPct(Math.min(...trancheResults.map((r) => r.totalReturn))),
+          tranche_return_max: formatPct(Math.max(...trancheResults.map((r) => r.totalReturn))),
+        } : {}),
+        ...(capacity ? {
+          capacity_threshold_capital: capacityThresholdText,
+          capacity_participation: formatPct(capacity.threshold),
+        } : {}),
+        ...(args.rebalance ? {
+          positions_new: String(sumStat('newPositions')),
+          positions_held: String(sumStat('held')),
+          positions_resized: String(sumStat('resized')),
+          positions_closed: String(sumStat('closed')),
+        } : {}),
+      },
+      trancheTable: trancheResults.length > 1 ? {
+        columns: [
+          { key: 'tranche', label: '分批' },
+          { key: 'start', label: '起始交易日' },
+          { key: 'finalEquity', label: '期末资金', isNum: true },
+          { key: 'ret', label: '收益率', isNum: true },
+          { key: 'maxDd', label: '最大回撤', isNum: true },
+          { key: 'trades', label: '交易次数', isNum: true },
+        ],
+        rows: trancheResults.map((r, j) => ({
+          tranche: String(j + 1),
+          start: marketDates[trancheOffsets[j]] ? formatYmd(marketDates[trancheOffsets[j]]) : '',
+          finalEquity: formatMoney(r.finalEquity),
+          ret: formatPct(r.totalReturn),
+          maxDd: formatPct(r.maxDrawdown),
+          trades: String(r.trades.length),
+        })),
+      } : null,
+      industryTable: buildIndustryWeightTable(periodStats, { showTranche: trancheResults.length > 1 }),
+      positionTable: args.rebalance ? buildPositionLogTable(portfolio.positionLog, { showTranche: trancheResults.length > 1 }) : null,
+      capacity: capacity ? {
+        hint: `同一组选股在不同资金规模下的表现；单笔委托不超过当日成交额的 ${formatPct(capacity.threshold)}`,
+        chartSvg: renderCapacityChartSvg(capacity.rows, { thresholdCapital: capacity.thresholdCapital }),
+        table: {
+          columns: [
+            { key: 'capital', label: '初始资金', isNum: true },
+            { key: 'finalEquity', label: '期末资金', isNum: true },
+            { key: 'ret', label: '收益率', isNum: true },
+            { key: 'sharpe', label: '夏普', isNum: true },
+            { key: 'maxDd', label: '最大回撤', isNum: true },
+            { key: 'trades', label: '交易次数', isNum: true },
+            { key: 'unfilled', label: '累计未成交买入金额', isNum: true },
+            { key: 'worst', label: '最差周期参与率', isNum: true },
+            { key: 'worstPeriod', label: '最差周期' },
+          ],
+          rows: capacity.rows.map((x) => ({
+            capital: formatMoney(x.capital),
+            finalEquity: formatMoney(x.finalEquity),
+            ret: formatPct(x.totalReturn),
+            sharpe: Number.isFinite(x.sharpe) ? x.sharpe.toFixed(2) : 'NaN',
+            maxDd: formatPct(x.maxDrawdown),
+            trades: String(x.trades),
+            unfilled: formatMoney(x.unfilledBuyValue),
+            worst: `${formatPct(x.worstParticipation)}${x.worstParticipation > capacity.threshold ? '（越界）' : ''}`,
+            worstPeriod: x.worstPeriodKey,
+          })),
+        },
+      } : null,
+      periodTable: {
+        columns: [
+          ...(trancheResults.length > 1 ? [{ key: 'tranche', label: '分批' }] : []),
+          { key: 'periodKey', label: '周期' },
+          { key: 'buy', label: '买入日' },
+          { key: 'sell', label: '卖出日' },
+          ...(longShort ? [
+            { key: 'longPicks', label: '多头选股', isNum: true },
+            { key: 'longFilled', label: '多头成交', isNum: true },
+            { key: 'shortPicks', label: '空头选股', isNum: true },
+            { key: 'shortFilled', label: '空头成交', isNum: true },
+          ] : [
+            { key: 'picks', label: '选股数', isNum: true },
+            { key: 'filled', label: '成交数', isNum: true },
+          ]),
+          ...(args.rebalance ? [
+            { key: 'newPositions', label: '新开', isNum: true },
+            { key: 'held', label: '持有', isNum: true },
+            { key: 'resized', label: '调整', isNum: true },
+            { key: 'closed', label: '清仓', isNum: true },
+          ] : []),
+          ...(args.roundLot ? [{ key: 'dropped', label: '买不起剔除', isNum: true }] : []),
+          ...(costModelEnabled ? [{ key: 'unfilled', label: '未成交买入金额', isNum: true }] : []),
+          { key: 'turnover', label: '换手率', isNum: true },
+          ...(longShort ? [
+            { key: 'longExposure', label: '多头敞口', isNum: true },
+            { key: 'shortExposure', label: '空头敞口', isNum: true },
+          ] : []),
+          { key: 'idle', label: '闲置现金比例', isNum: true },
+          ...(levered ? [{ key: 'leverage', label: '杠杆', isNum: true }] : []),
+          ...(volTargeted ? [
+            { key: 'exposure', label: '目标敞口', isNum: true },
+            { key: 'volForecast', label: '预估波动率', isNum: true },
+            { key: 'volRealized', label: '实际波动率', isNum: true },
+          ] : []),
+        ],
+        rows: periodStats.map((x) => ({
+          tranche: x.tranche === undefined ? '' : String(x.tranche + 1),
+          periodKey: x.periodKey,
+          buy: formatYmd(x.buyYmd),
+          sell: formatYmd(x.sellYmd),
+          picks: String(x.picks),
+          filled: String(x.filled),
+          newPositions: String(x.newPositions),
+          held: String(x.held),
+          resized: String(x.resized),
+          closed: String(x.closed),
+          dropped: String(x.droppedUnaffordable),
+          unfilled: formatMoney(x.unfilledBuyValue),
+          turnover: formatPct(x.turnover),
+          idle: formatPct(x.idleCashRatio),
+          longPicks: String(x.longPicks),
+          longFilled: String(x.longFilled),
+          shortPicks: String(x.shortPicks),
+          shortFilled: String(x.shortFilled),
+          longExposure: formatPct(x.longExposure),
+          shortExposure: formatPct(x.shortExposure),
+          leverage: Number.isFinite(x.leverage) ? x.leverage.toFixed(2) : 'NaN',
+          exposure: Number.isFinite(x.targetExposure) ? x.targetExposure.toFixed(2) : 'NaN',
+          volForecast: formatPct(x.volForecast),
+          volRealized: volTargeted ? formatPct(periodVolOf(x)) : '',
+        })),
       },
       equityCurveSvg: equityCurveSvg || null,
       notes,
@@ -1257,10 +3342,8 @@ function main() {
 }
 
 if (require.main === module) {
-  try {
-    main();
-  } catch (e) {
+  main().catch((e) => {
     console.error(e && e.stack ? e.stack : String(e));
     process.exitCode = 1;
-  }
+  });
 }
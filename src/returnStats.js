@@ -0,0 +1,53 @@
+const { TRADING_DAYS_PER_YEAR } = require('./dateUtils');
+
+function mean(list) {
+  return list.length ? list.reduce((acc, x) => acc + x, 0) / list.length : Number.NaN;
+}
+
+// 样本协方差（去均值，除以 n-1）；少于 2 个样本返回 NaN
+function covariance(a, b) {
+  if (a.length < 2) return Number.NaN;
+  const ma = mean(a);
+  const mb = mean(b);
+  let acc = 0;
+  for (let i = 0; i < a.length; i += 1) acc += (a[i] - ma) * (b[i] - mb);
+  return acc / (a.length - 1);
+}
+
+// 样本标准差；少于 2 个样本返回 NaN
+function stdev(list) {
+  return Math.sqrt(covariance(list, list));
+}
+
+// 资金曲线 [{ date, equity }] 在 [fromYmd, toYmd] 内的日收益率（跳过非有限值；前一天净值不为正时不计）
+function dailyReturns(curve, fromYmd = -Infinity, toYmd = Infinity) {
+  const rets = [];
+  let prev = null;
+  for (const p of curve) {
+    if (p.date < fromYmd || p.date > toYmd || !Number.isFinite(p.equity)) continue;
+    if (prev !== null && prev > 0) rets.push(p.equity / prev - 1);
+    prev = p.equity;
+  }
+  return rets;
+}
+
+// 资金曲线在 [fromYmd, toYmd] 内的日收益率标准差 × √252（少于 2 个收益率时为 NaN）
+function realizedVolatility(curve, fromYmd = -Infinity, toYmd = Infinity) {
+  return stdev(dailyReturns(curve, fromYmd, toYmd)) * Math.sqrt(TRADING_DAYS_PER_YEAR);
+}
+
+// 资金曲线日收益率的年化夏普（无风险利率按 0）；少于 2 个收益率或波动为 0 时为 NaN
+function sharpeRatio(curve) {
+  const rets = dailyReturns(curve);
+  const sd = stdev(rets);
+  return sd > 0 ? (mean(rets) / sd) * Math.sqrt(TRADING_DAYS_PER_YEAR) : Number.NaN;
+}
+
+module.exports = {
+  mean,
+  covariance,
+  stdev,
+  dailyReturns,
+  realizedVolatility,
+  sharpeRatio,
+};
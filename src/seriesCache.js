@@ -0,0 +1,157 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const crypto = require('node:crypto');
+
+// 解析口径（列、取值规则）变化时加 1，旧缓存自动失效
+const SERIES_LOADER_VERSION = 4;
+const MAGIC = 'QSC1';
+
+// 缓存的数值列（均为 Float64Array，缺失为 NaN）；顺序即文件里的存放顺序
+const NUMERIC_COLUMNS = [
+  'datesYmd',
+  'closeAdj',
+  'openAdj',
+  'highAdj',
+  'lowAdj',
+  'open',
+  'high',
+  'low',
+  'close',
+  'preClose',
+  'volume',
+  'amount',
+  'marketCapFloat',
+  'marketCapTotal',
+  'changePct',
+];
+
+/**
+ * 解析后个股数据的本地二进制缓存（每个 CSV 一个文件）
+ *
+ * - 文件名为数据文件绝对路径的 sha1；头部 JSON 记录 路径/大小/mtime/编码/列映射/解析器版本/字节序，任一不符即视为过期
+ * - 布局：`QSC1` + uint32LE 头部长度 + 头部 JSON（UTF-8）+ 补齐到 8 字节 + 各数值列的 Float64 原始字节（标准列在前，数值型自定义列在后；文本型自定义列放在头部）
+ * - 只缓存 CSV 本身的内容（含逐日 `股票名称`、`行业` 列的原始字符串与无法解析的单元格 badCells）；`--industry` 映射由调用方读取后再展开
+ * - rebuild=true 时忽略已有缓存、重新解析并覆盖
+ *
+ * get(fullPath, stat) 命中返回 { stockCode, stockName, stockNameByDay, industry, columns, extra, badCells }，否则返回 null；
+ * put(fullPath, stat, entry) 写入同结构的数据（写临时文件后改名，中途失败不留半截文件）；
+ * invalidate(fullPath) 删除该文件的缓存（--mode=update 改写数据文件后调用）。
+ */
+function createSeriesCache({ cacheDir, encoding, columnMapKey = '', rebuild = false }) {
+  const stats = { hits: 0, misses: 0, writes: 0, errors: 0 };
+  let dirReady = false;
+
+  const keyOf = (fullPath, stat) => ({
+    version: SERIES_LOADER_VERSION,
+    endianness: os.endianness(),
+    path: path.resolve(fullPath),
+    size: stat.size,
+    mtimeMs: stat.mtimeMs,
+    encoding: String(encoding),
+    columnMap: columnMapKey,
+  });
+  const cachePathOf = (fullPath) => path.join(
+    cacheDir,
+    `${crypto.createHash('sha1').update(path.resolve(fullPath)).digest('hex')}.bin`,
+  );
+  const sameKey = (a, b) => Object.keys(a).every((k) => a[k] === b[k]);
+
+  return {
+    cacheDir,
+    stats,
+
+    get(fullPath, stat) {
+      if (rebuild) {
+        stats.misses += 1;
+        return null;
+      }
+      let buf;
+      try {
+        buf = fs.readFileSync(cachePathOf(fullPath));
+      } catch {
+        stats.misses += 1;
+        return null;
+      }
+      const key = keyOf(fullPath, stat);
+      try {
+        if (buf.toString('latin1', 0, 4) !== MAGIC) throw new Error('bad magic');
+        const headerLen = buf.readUInt32LE(4);
+        const header = JSON.parse(buf.toString('utf8', 8, 8 + headerLen));
+        if (!header || !header.key || !sameKey(key, header.key)) {
+          stats.misses += 1;
+          return null;
+        }
+        // Float64Array 要求 8 字节对齐；readFileSync 的 Buffer 可能来自共享池，不对齐时复制一份
+        const data = buf.byteOffset % 8 === 0 ? buf : Buffer.from(buf);
+        let offset = Math.ceil((8 + headerLen) / 8) * 8;
+        const { n } = header;
+        const readColumn = () => {
+          const col = new Float64Array(data.buffer, data.byteOffset + offset, n);
+          offset += n * 8;
+          return col;
+        };
+        const columns = {};
+        for (const name of NUMERIC_COLUMNS) columns[name] = readColumn();
+        const extra = { ...header.extraText };
+        for (const name of header.extraNumeric || []) extra[name] = readColumn();
+        stats.hits += 1;
+        return { stockCode: header.stockCode, stockName: header.stockName, stockNameByDay: header.stockNameByDay, industry: header.industry, columns, extra, badCells: header.badCells || {} };
+      } catch {
+        // 损坏的缓存当作未命中，之后会被覆盖
+        stats.misses += 1;
+        return null;
+      }
+    },
+
+    put(fullPath, stat, { stockCode, stockName, stockNameByDay, industry, columns, extra = {}, badCells = {} }) {
+      const n = columns.datesYmd.length;
+      const extraNumeric = Object.keys(extra).filter((name) => extra[name] instanceof Float64Array);
+      const extraText = {};
+      for (const [name, values] of Object.entries(extra)) if (!(values instanceof Float64Array)) extraText[name] = values;
+      const header = Buffer.from(JSON.stringify({ key: keyOf(fullPath, stat), n, stockCode, stockName, stockNameByDay, industry, extraNumeric, extraText, badCells }), 'utf8');
+      const dataOffset = Math.ceil((8 + header.length) / 8) * 8;
+      const out = Buffer.alloc(dataOffset + (NUMERIC_COLUMNS.length + extraNumeric.length) * n * 8);
+      out.write(MAGIC, 0, 'latin1');
+      out.writeUInt32LE(header.length, 4);
+      header.copy(out, 8);
+      let offset = dataOffset;
+      for (const col of [...NUMERIC_COLUMNS.map((name) => columns[name]), ...extraNumeric.map((name) => extra[name])]) {
+        Buffer.from(col.buffer, col.byteOffset, n * 8).copy(out, offset);
+        offset += n * 8;
+      }
+
+      const target = cachePathOf(fullPath);
+      const tmp = `${target}.${process.pid}.tmp`;
+      try {
+        if (!dirReady) {
+          fs.mkdirSync(cacheDir, { recursive: true });
+          dirReady = true;
+        }
+        fs.writeFileSync(tmp, out);
+        fs.renameSync(tmp, target);
+        stats.writes += 1;
+      } catch {
+        // 缓存写不进去（只读目录、磁盘满等）不影响本次回测
+        stats.errors += 1;
+        try { fs.unlinkSync(tmp); } catch { /* 临时文件可能没生成 */ }
+      }
+    },
+
+    // 删除某个数据文件的缓存（不论键是否匹配）；返回是否确实删掉了一个缓存文件
+    invalidate(fullPath) {
+      try {
+        fs.unlinkSync(cachePathOf(fullPath));
+        return true;
+      } catch {
+        return false;
+      }
+    },
+  };
+}
+
+module.exports = {
+  SERIES_LOADER_VERSION,
+  NUMERIC_COLUMNS,
+  createSeriesCache,
+};
@@ -15,8 +15,23 @@ function indexOfDate(sortedDatesYmd, ymd) {
   return -1;
 }
 
+// 序列列：普通数组或 TypedArray（ctx.universe 里的个股列是普通数组；解析与缓存内部用 Float64Array，见 src/seriesCache.js）
+function isColumn(x) {
+  return Array.isArray(x) || (ArrayBuffer.isView(x) && !(x instanceof DataView));
+}
+
+// ymd 当天（停牌时为之前最后一条记录）的股票名称；ymd 早于首条记录时为空字符串；没有 stockNameByDay 的序列退回 stockName
+function nameAsOf(s, ymd) {
+  if (!s) return '';
+  if (!Array.isArray(s.stockNameByDay) || !isColumn(s.datesYmd)) return String(s.stockName || '');
+  const i = upperBound(s.datesYmd, ymd) - 1;
+  return i >= 0 ? String(s.stockNameByDay[i] || '') : '';
+}
+
 module.exports = {
   upperBound,
   indexOfDate,
+  isColumn,
+  nameAsOf,
 };
 
@@ -0,0 +1,110 @@
+const { isColumn, nameAsOf } = require('./seriesUtils');
+
+// 创业板注册制改革（涨跌幅 10% → 20%）生效日
+const CHINEXT_20PCT_SINCE_YMD = 20200824;
+
+function isStName(name) {
+  if (!name) return false;
+  return /st/i.test(String(name));
+}
+
+// ymd 当天是否为 ST（按当天的名称判断，不受之后戴帽/摘帽影响）
+function isStAsOf(s, ymd) {
+  return isStName(nameAsOf(s, ymd));
+}
+
+function parseBoardFromFile(file) {
+  const m = String(file || '').toLowerCase().match(/^(sh|sz|bj)?(\d{6})/);
+  if (!m) return 'main';
+  const exchange = m[1] || '';
+  const code = m[2];
+  if (exchange === 'bj' || /^(4|8|92)/.test(code)) return 'bse';
+  if (/^68[89]/.test(code)) return 'star';
+  if (/^30[01]/.test(code)) return 'chinext';
+  return 'main';
+}
+
+/**
+ * 涨跌停幅度（小数，0.1 表示 10%）
+ *
+ * - 主板 10%，ST 5%
+ * - 创业板 / 科创板 20%（创业板 2020-08-24 前按主板口径）
+ * - 北交所 30%
+ */
+function priceLimitRate(file, stockName, ymd) {
+  const board = parseBoardFromFile(file);
+  if (board === 'bse') return 0.3;
+  if (board === 'star') return 0.2;
+  if (board === 'chinext' && Number.isFinite(ymd) && ymd >= CHINEXT_20PCT_SINCE_YMD) return 0.2;
+  return isStName(stockName) ? 0.05 : 0.1;
+}
+
+function pickRawOrAdj(raw, adj, i) {
+  const v = isColumn(raw) ? raw[i] : Number.NaN;
+  if (Number.isFinite(v) && v > 0) return v;
+  return isColumn(adj) ? adj[i] : Number.NaN;
+}
+
+function round2(x) {
+  return Math.round(x * 100) / 100;
+}
+
+// 收盘价是否触及涨停（dir=1）/ 跌停（dir=-1）价；全部用实际价格（不复权）
+function isCloseAtLimit(s, idx, dir) {
+  const close = isColumn(s.close) ? s.close[idx] : Number.NaN;
+  const pre = isColumn(s.preClose) ? s.preClose[idx] : Number.NaN;
+  let pct = isColumn(s.changePct) ? s.changePct[idx] : Number.NaN;
+  if (!Number.isFinite(pct) && close > 0 && pre > 0) pct = close / pre - 1;
+  if (!Number.isFinite(pct) || pct * dir <= 0) return false;
+  const rate = priceLimitRate(s.file, nameAsOf(s, s.datesYmd[idx]), s.datesYmd[idx]);
+
+  if (Number.isFinite(close) && close > 0) {
+    // 涨跌停价 = 前收盘价 × (1 ± 幅度)，按交易所规则四舍五入到分；没有 前收盘价 列时用收盘价与涨跌幅反推
+    const preClose = pre > 0 ? pre : close / (1 + pct);
+    const limitPx = round2(preClose * (1 + dir * rate));
+    return dir > 0 ? close >= limitPx - 1e-6 : close <= limitPx + 1e-6;
+  }
+  return pct * dir >= rate - 0.005;
+}
+
+function isOnePrice(s, idx) {
+  const o = pickRawOrAdj(s.open, s.openAdj, idx);
+  const h = pickRawOrAdj(s.high, s.highAdj, idx);
+  const l = pickRawOrAdj(s.low, s.lowAdj, idx);
+  const c = pickRawOrAdj(s.close, s.closeAdj, idx);
+  if (![o, h, l, c].every(Number.isFinite)) return false;
+  return h - l <= 1e-6 && Math.abs(o - c) <= 1e-6;
+}
+
+// 停牌：当日无记录（调用方传 idx<0）或成交量为 0
+function isSuspendedAt(s, idx) {
+  if (idx < 0) return true;
+  const vol = isColumn(s.volume) ? s.volume[idx] : Number.NaN;
+  return Number.isFinite(vol) && vol <= 0;
+}
+
+// 一字涨停：全天无卖盘，收盘价买不进
+function isLimitUpLocked(s, idx) {
+  return isOnePrice(s, idx) && isCloseAtLimit(s, idx, 1);
+}
+
+// 收盘跌停：收盘价卖不出
+function isLimitDownClose(s, idx) {
+  return isCloseAtLimit(s, idx, -1);
+}
+
+// 一字跌停：全天无买盘，任何时点都卖不出
+function isLimitDownLocked(s, idx) {
+  return isOnePrice(s, idx) && isCloseAtLimit(s, idx, -1);
+}
+
+module.exports = {
+  isStName,
+  isStAsOf,
+  parseBoardFromFile,
+  priceLimitRate,
+  isSuspendedAt,
+  isLimitUpLocked,
+  isLimitDownClose,
+  isLimitDownLocked,
+};
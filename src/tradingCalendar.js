@@ -0,0 +1,96 @@
+const { parse } = require('csv-parse/sync');
+
+const DATE_COLUMNS = ['交易日期', '日期', 'date', 'cal_date', 'trade_date'];
+const OPEN_COLUMNS = ['是否交易', 'is_open'];
+// 报告与提示里每类不一致最多列出的日期数
+const MAX_MISMATCH_SAMPLES = 10;
+
+function parseCalendarYmd(raw) {
+  const m = String(raw === undefined || raw === null ? '' : raw).trim().match(/^(\d{4})[/-]?(\d{2})[/-]?(\d{2})$/);
+  return m ? Number(m[1] + m[2] + m[3]) : Number.NaN;
+}
+
+/**
+ * 解析交易日历文件（文本由调用方按 --encoding 解码）
+ *
+ * - 每行一个日期（YYYYMMDD / YYYY-MM-DD / YYYY/MM/DD），可以没有表头
+ * - 有表头时取 `交易日期`/`日期`/`date`/`cal_date`/`trade_date` 列；有 `是否交易`/`is_open` 列时只保留取值为 1 的行（交易所日历的常见导出格式）
+ *
+ * 返回去重后升序的 YYYYMMDD 数组。
+ */
+function parseTradingCalendar(text, sourceLabel) {
+  let rows;
+  try {
+    rows = parse(text, { bom: true, skip_empty_lines: true, trim: true, relax_column_count: true });
+  } catch (e) {
+    throw new Error(`交易日历文件必须是合法 CSV：${sourceLabel}\n${e && e.message ? e.message : String(e)}`);
+  }
+  if (!rows.length) throw new Error(`交易日历文件没有数据行：${sourceLabel}`);
+
+  let dateIdx = 0;
+  let openIdx = -1;
+  let body = rows;
+  let firstLine = 1;
+  if (!Number.isFinite(parseCalendarYmd(rows[0][0]))) {
+    const header = rows[0];
+    dateIdx = header.findIndex((h) => DATE_COLUMNS.includes(h));
+    if (dateIdx < 0) throw new Error(`交易日历文件缺少日期列（${DATE_COLUMNS.join('/')}）：${sourceLabel}`);
+    openIdx = header.findIndex((h) => OPEN_COLUMNS.includes(h));
+    body = rows.slice(1);
+    firstLine = 2;
+  }
+
+  const dates = new Set();
+  body.forEach((r, i) => {
+    if (openIdx >= 0 && String(r[openIdx]).trim() !== '1') return;
+    const ymd = parseCalendarYmd(r[dateIdx]);
+    if (!Number.isFinite(ymd)) throw new Error(`交易日历文件第 ${i + firstLine} 行日期无法解析：${r[dateIdx]}（${sourceLabel}）`);
+    dates.add(ymd);
+  });
+  if (!dates.size) throw new Error(`交易日历文件没有交易日：${sourceLabel}`);
+  return Array.from(dates).sort((a, b) => a - b);
+}
+
+/**
+ * 对照交易日历与已加载的数据（只看 [startYmd, endYmd]）
+ *
+ * 返回 { offCalendar, emptyDays }：
+ * - offCalendar：[{ ymd, files }]，数据里有、日历里没有的日期（files 为出现该日期的文件数）
+ * - emptyDays：日历里有、但没有任何文件有数据的交易日
+ */
+function compareCalendar(calendar, seriesList, startYmd, endYmd) {
+  const calendarSet = new Set(calendar);
+  const seen = new Map();
+  for (const s of seriesList) {
+    for (const ymd of s.datesYmd) {
+      if (!Number.isFinite(ymd) || ymd < startYmd || ymd > endYmd) continue;
+      seen.set(ymd, (seen.get(ymd) || 0) + 1);
+    }
+  }
+  const offCalendar = Array.from(seen.entries())
+    .filter(([ymd]) => !calendarSet.has(ymd))
+    .map(([ymd, files]) => ({ ymd, files }))
+    .sort((a, b) => a.ymd - b.ymd);
+  const emptyDays = calendar.filter((ymd) => ymd >= startYmd && ymd <= endYmd && !seen.has(ymd));
+  return { offCalendar, emptyDays };
+}
+
+// 一行提示文字；都一致时返回空字符串
+function describeCalendarMismatch({ offCalendar, emptyDays }) {
+  const parts = [];
+  if (offCalendar.length) {
+    const samples = offCalendar.slice(0, MAX_MISMATCH_SAMPLES).map((x) => `${x.ymd}（${x.files} 个文件）`);
+    parts.push(`${offCalendar.length} 个数据日期不在交易日历中：${samples.join('、')}${offCalendar.length > samples.length ? ' 等' : ''}`);
+  }
+  if (emptyDays.length) {
+    const samples = emptyDays.slice(0, MAX_MISMATCH_SAMPLES);
+    parts.push(`${emptyDays.length} 个交易日没有任何数据：${samples.join('、')}${emptyDays.length > samples.length ? ' 等' : ''}`);
+  }
+  return parts.join('；');
+}
+
+module.exports = {
+  parseTradingCalendar,
+  compareCalendar,
+  describeCalendarMismatch,
+};
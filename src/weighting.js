@@ -0,0 +1,348 @@
+const { upperBound, isColumn } = require('./seriesUtils');
+const { industryAt } = require('./industry');
+const { TRADING_DAYS_PER_YEAR } = require('./dateUtils');
+const { covariance } = require('./returnStats');
+
+const WEIGHTING_SCHEMES = ['equal', 'score', 'inv-vol', 'erc', 'float-cap'];
+const VOL_ESTIMATORS = ['simple', 'ewma'];
+
+function isPositive(x) {
+  return Number.isFinite(x) && x > 0;
+}
+
+// 买入日之前（不含买入日）最后一条记录的 index；没有则 -1
+function lastIndexBefore(s, ymd) {
+  if (!s || !isColumn(s.datesYmd)) return -1;
+  return upperBound(s.datesYmd, ymd - 1) - 1;
+}
+
+// EWMA 的观测权重：最新一天为 1，往前每天乘 lambda，归一化到合计 1
+function ewmaWeights(n, lambda) {
+  const w = Array.from({ length: n }, (_, i) => lambda ** (n - 1 - i));
+  const total = w.reduce((acc, x) => acc + x, 0);
+  return w.map((x) => x / total);
+}
+
+/**
+ * 两组等长日收益率的协方差
+ *
+ * - simple：样本协方差（去均值，除以 n-1）
+ * - ewma：RiskMetrics 口径，不去均值，按 ewmaWeights 加权
+ */
+function covarianceOf(a, b, estimator, lambda) {
+  const n = a.length;
+  if (estimator === 'ewma') {
+    const w = ewmaWeights(n, lambda);
+    return a.reduce((acc, x, i) => acc + w[i] * x * b[i], 0);
+  }
+  return covariance(a, b);
+}
+
+/**
+ * 日收益率标准差（复权收盘价，取 endIdx 及之前 lookback 个收益率）
+ *
+ * estimator 见 covarianceOf；有效收益率少于 2 个时返回 NaN。
+ */
+function dailyVolatility(s, endIdx, lookback, estimator = 'simple', lambda = 0.94) {
+  if (!s || endIdx < 1) return Number.NaN;
+  const rets = [];
+  for (let i = Math.max(1, endIdx - lookback + 1); i <= endIdx; i += 1) {
+    const a = s.closeAdj[i - 1];
+    const b = s.closeAdj[i];
+    if (isPositive(a) && isPositive(b)) rets.push(b / a - 1);
+  }
+  if (rets.length < 2) return Number.NaN;
+  return Math.sqrt(covarianceOf(rets, rets, estimator, lambda));
+}
+
+/**
+ * 买入日之前 lookback 个交易日的日收益率协方差矩阵（复权收盘价）
+ *
+ * 交易日取这些票在买入日之前出现过的日期并集的最后 lookback+1 天；某票当日无记录时沿用前一收盘价（收益记 0），
+ * 窗口内尚未上市的天数也记 0。方差为 0 或无数据的票用其余票方差的均值代替，避免矩阵奇异。
+ * 返回 { cov, days }；days 为实际使用的收益率个数（少于 2 时 cov 为 null）。
+ */
+function covarianceMatrix(files, seriesByFile, buyYmd, lookback, estimator, lambda) {
+  const dateSet = new Set();
+  for (const f of files) {
+    const s = seriesByFile.get(f);
+    const end = lastIndexBefore(s, buyYmd);
+    for (let i = Math.max(0, end - lookback); i <= end; i += 1) dateSet.add(s.datesYmd[i]);
+  }
+  const window = Array.from(dateSet).sort((a, b) => a - b).slice(-(lookback + 1));
+  const days = window.length - 1;
+  if (days < 2) return { cov: null, days: Math.max(0, days) };
+
+  const rets = files.map((f) => {
+    const s = seriesByFile.get(f);
+    const px = window.map((d) => {
+      let i = upperBound(s.datesYmd, d) - 1;
+      while (i >= 0 && !isPositive(s.closeAdj[i])) i -= 1;
+      return i >= 0 ? s.closeAdj[i] : Number.NaN;
+    });
+    return px.slice(1).map((x, i) => (isPositive(x) && isPositive(px[i]) ? x / px[i] - 1 : 0));
+  });
+  const cov = files.map((_, i) => files.map((__, j) => (j < i ? 0 : covarianceOf(rets[i], rets[j], estimator, lambda))));
+  for (let i = 0; i < files.length; i += 1) {
+    for (let j = 0; j < i; j += 1) cov[i][j] = cov[j][i];
+  }
+  const diag = cov.map((row, i) => row[i]).filter(isPositive);
+  const fill = diag.length ? diag.reduce((acc, x) => acc + x, 0) / diag.length : 1e-4;
+  for (let i = 0; i < files.length; i += 1) {
+    if (!isPositive(cov[i][i])) cov[i][i] = fill;
+  }
+  return { cov, days };
+}
+
+// 组合日波动率 sqrt(wᵀΣw)
+function portfolioVolatility(w, cov) {
+  let v = 0;
+  for (let i = 0; i < w.length; i += 1) {
+    for (let j = 0; j < w.length; j += 1) v += w[i] * cov[i][j] * w[j];
+  }
+  return v > 0 ? Math.sqrt(v) : Number.NaN;
+}
+
+/**
+ * 等风险贡献（ERC / 风险平价）权重：每只票的风险贡献 w_i·(Σw)_i 相等
+ *
+ * 循环坐标下降：逐个解 Σ_ii·w_i² + (Σ_{j≠i} Σ_ij·w_j)·w_i − 1/n = 0 的正根，收敛后归一化。
+ */
+function equalRiskContribution(cov) {
+  const n = cov.length;
+  const w = cov.map((row, i) => 1 / Math.sqrt(row[i]));
+  const budget = 1 / n;
+  for (let iter = 0; iter < 500; iter += 1) {
+    let moved = 0;
+    for (let i = 0; i < n; i += 1) {
+      let c = 0;
+      for (let j = 0; j < n; j += 1) if (j !== i) c += cov[i][j] * w[j];
+      const a = cov[i][i];
+      const next = (-c + Math.sqrt(c * c + 4 * a * budget)) / (2 * a);
+      moved = Math.max(moved, Math.abs(next - w[i]));
+      w[i] = next;
+    }
+    if (moved < 1e-12) break;
+  }
+  const total = sum(w);
+  return w.map((x) => x / total);
+}
+
+// 缺数据（NaN）的票取其余票原始权重的均值；全部缺失时退化为等权
+function fillMissingWithMean(raw) {
+  const valid = raw.filter(isPositive);
+  const fill = valid.length ? valid.reduce((acc, x) => acc + x, 0) / valid.length : 1;
+  return raw.map((x) => (Number.isFinite(x) ? x : fill));
+}
+
+function sum(list) {
+  return list.reduce((acc, x) => acc + x, 0);
+}
+
+// 单票上限与行业上限（groups[i] 为第 i 只票的行业）：超出部分按比例分给未触顶的票（且所在行业未触顶）；全部触顶后剩余留作现金
+function capWeights(w, maxWeight, redistribute, groups = null, maxGroupWeight = 1) {
+  const out = w.slice();
+  const groupCap = Boolean(groups) && maxGroupWeight < 1;
+  if (!(maxWeight < 1) && !groupCap) return out;
+  const capped = new Array(out.length).fill(false);
+  const cappedGroups = new Set();
+  for (let k = 0; k <= 2 * out.length; k += 1) {
+    let excess = 0;
+    for (let i = 0; i < out.length; i += 1) {
+      if (!capped[i] && out[i] > maxWeight + 1e-12) {
+        excess += out[i] - maxWeight;
+        out[i] = maxWeight;
+        capped[i] = true;
+      }
+    }
+    if (groupCap) {
+      const totals = new Map();
+      for (let i = 0; i < out.length; i += 1) totals.set(groups[i], (totals.get(groups[i]) || 0) + out[i]);
+      for (const [g, total] of totals) {
+        if (cappedGroups.has(g) || !(total > maxGroupWeight + 1e-12)) continue;
+        const scale = maxGroupWeight / total;
+        for (let i = 0; i < out.length; i += 1) {
+          if (groups[i] !== g) continue;
+          excess += out[i] * (1 - scale);
+          out[i] *= scale;
+          capped[i] = true;
+        }
+        cappedGroups.add(g);
+      }
+    }
+    if (!(excess > 0) || !redistribute) break;
+    const free = sum(out.filter((_, i) => !capped[i]));
+    if (!(free > 0)) break;
+    for (let i = 0; i < out.length; i += 1) {
+      if (!capped[i]) out[i] += excess * (out[i] / free);
+    }
+  }
+  return out;
+}
+
+/**
+ * 组合目标权重（每个买入日对可买的票计算一次）
+ *
+ * - 策略给了权重（plan.weights）时以策略为准；否则按 scheme：
+ *   - equal：等权
+ *   - score：与 plan.scores 成正比（score 缺失或 <=0 的票权重为 0）
+ *   - inv-vol：与 1/波动率 成正比；波动率 = 买入日前 volLookback 个日收益率的标准差
+ *   - erc：等风险贡献（风险平价），按买入日前 volLookback 个交易日的收益率协方差矩阵求解
+ *   波动率/协方差的估计口径由 volEstimator 决定：simple（样本）或 ewma（衰减因子 ewmaLambda）
+ *   - float-cap：与买入日前一条记录的 `流通市值` 成正比
+ *   inv-vol / float-cap 缺数据的票取其余票原始权重的均值
+ * - minWeight：归一化后权重最小的票低于该值时剔除（同值剔除排名靠后的），重复直到都不低于 minWeight
+ * - maxWeight：单票上限，超出部分按比例分给未触顶的票；全部触顶后剩余留作现金
+ * - industryMaxCount：同一行业最多保留的只数，按入选顺序（策略排名）保留靠前的
+ * - industryMaxWeight：单个行业权重上限，超出部分按比例分给其他未触顶行业的票；行业取买入日前一条记录（见 src/industry.js）
+ * - normalize=false：策略权重按“占净值比例”原样使用（合计超过 1 时等比缩到 1，超上限部分留作现金）
+ *
+ * weightsFor 返回 Map(file -> 权重)，合计 <= 1；纯等权且无约束时返回 null（引擎走原均分逻辑）。
+ *
+ * 波动率目标（volTarget，年化）：exposureFor 用同一协方差矩阵估计组合年化波动率 σ，
+ * 返回本期总敞口倍数 min(volTarget / σ, maxLeverage)（引擎按 净值 × 倍数 建仓，超过 1 的部分为融资）；
+ * 估计不出 σ 时按 1 倍；未设 volTarget 时返回 null。
+ */
+function createWeighting({
+  scheme = 'equal',
+  volLookback = 20,
+  maxWeight = 1,
+  minWeight = 0,
+  normalize = true,
+  industryMaxWeight = 1,
+  industryMaxCount = null,
+  volEstimator = 'simple',
+  ewmaLambda = 0.94,
+  volTarget = null,
+  maxLeverage = 1,
+} = {}) {
+  if (!WEIGHTING_SCHEMES.includes(scheme)) throw new Error(`weighting 仅支持 ${WEIGHTING_SCHEMES.join('/')}：${scheme}`);
+  if (!Number.isFinite(volLookback) || volLookback < 2) throw new Error(`volLookback 必须是 >=2 的整数：${volLookback}`);
+  if (!Number.isFinite(maxWeight) || maxWeight <= 0 || maxWeight > 1) throw new Error(`maxWeight 必须在 (0, 1] 内：${maxWeight}`);
+  if (!Number.isFinite(minWeight) || minWeight < 0 || minWeight >= 1) throw new Error(`minWeight 必须在 [0, 1) 内：${minWeight}`);
+  if (minWeight > maxWeight) throw new Error(`minWeight 不能大于 maxWeight：${minWeight} > ${maxWeight}`);
+  if (!Number.isFinite(industryMaxWeight) || industryMaxWeight <= 0 || industryMaxWeight > 1) {
+    throw new Error(`industryMaxWeight 必须在 (0, 1] 内：${industryMaxWeight}`);
+  }
+  if (industryMaxCount !== null && (!Number.isFinite(industryMaxCount) || industryMaxCount < 1)) {
+    throw new Error(`industryMaxCount 必须是正整数：${industryMaxCount}`);
+  }
+  if (!VOL_ESTIMATORS.includes(volEstimator)) throw new Error(`volEstimator 仅支持 ${VOL_ESTIMATORS.join('/')}：${volEstimator}`);
+  if (!Number.isFinite(ewmaLambda) || ewmaLambda <= 0 || ewmaLambda >= 1) throw new Error(`ewmaLambda 必须在 (0, 1) 内：${ewmaLambda}`);
+  if (volTarget !== null && (!Number.isFinite(volTarget) || volTarget <= 0)) throw new Error(`volTarget 必须是正数：${volTarget}`);
+  if (!Number.isFinite(maxLeverage) || maxLeverage <= 0) throw new Error(`maxLeverage 必须是正数：${maxLeverage}`);
+  const maxCount = industryMaxCount === null ? null : Math.floor(industryMaxCount);
+  const industryLimited = industryMaxWeight < 1 || maxCount !== null;
+
+  const lookback = Math.floor(volLookback);
+
+  const rawWeights = (plan, files, seriesByFile) => {
+    if (scheme === 'score') {
+      const scores = plan.scores || {};
+      return files.map((f) => (isPositive(scores[f]) ? scores[f] : 0));
+    }
+    if (scheme === 'inv-vol') {
+      return fillMissingWithMean(files.map((f) => {
+        const s = seriesByFile.get(f);
+        const vol = dailyVolatility(s, lastIndexBefore(s, plan.buyYmd), lookback, volEstimator, ewmaLambda);
+        return isPositive(vol) ? 1 / vol : Number.NaN;
+      }));
+    }
+    if (scheme === 'erc') {
+      if (files.length < 2) return files.map(() => 1);
+      const { cov } = covarianceMatrix(files, seriesByFile, plan.buyYmd, lookback, volEstimator, ewmaLambda);
+      return cov ? equalRiskContribution(cov) : files.map(() => 1);
+    }
+    if (scheme === 'float-cap') {
+      return fillMissingWithMean(files.map((f) => {
+        const s = seriesByFile.get(f);
+        const idx = lastIndexBefore(s, plan.buyYmd);
+        const cap = idx >= 0 && isColumn(s.marketCapFloat) ? s.marketCapFloat[idx] : Number.NaN;
+        return isPositive(cap) ? cap : Number.NaN;
+      }));
+    }
+    return files.map(() => 1);
+  };
+
+  return {
+    scheme,
+    volLookback: lookback,
+    maxWeight,
+    minWeight,
+    normalize,
+    industryMaxWeight,
+    industryMaxCount: maxCount,
+    volEstimator,
+    ewmaLambda,
+    volTarget,
+    maxLeverage,
+
+    weightsFor(plan, files, seriesByFile) {
+      const custom = plan && plan.weights ? plan.weights : null;
+      if (!custom && scheme === 'equal' && maxWeight >= 1 && minWeight <= 0 && !industryLimited) return null;
+
+      const industryOf = (f) => industryAt(seriesByFile.get(f), plan.buyYmd);
+      let names = files.slice();
+      if (maxCount !== null) {
+        const counts = new Map();
+        names = names.filter((f) => {
+          const g = industryOf(f);
+          counts.set(g, (counts.get(g) || 0) + 1);
+          return counts.get(g) <= maxCount;
+        });
+      }
+      let raw = custom
+        ? names.map((f) => (isPositive(custom[f]) ? custom[f] : 0))
+        : rawWeights(plan, names, seriesByFile);
+      const keep = raw.map((x) => x > 0);
+      names = names.filter((_, i) => keep[i]);
+      raw = raw.filter((_, i) => keep[i]);
+
+      const scaleToOne = custom && !normalize;
+      const norm = (list) => {
+        const total = sum(list);
+        if (!(total > 0)) return list.map(() => 0);
+        if (scaleToOne && total <= 1) return list.slice();
+        return list.map((x) => x / total);
+      };
+
+      let w = norm(raw);
+      while (minWeight > 0 && names.length) {
+        let j = -1;
+        for (let i = 0; i < w.length; i += 1) {
+          if (w[i] < minWeight - 1e-12 && (j < 0 || w[i] <= w[j])) j = i;
+        }
+        if (j < 0) break;
+        names.splice(j, 1);
+        raw.splice(j, 1);
+        w = norm(raw);
+      }
+      w = capWeights(w, maxWeight, !scaleToOne, industryMaxWeight < 1 ? names.map(industryOf) : null, industryMaxWeight);
+
+      const out = new Map();
+      for (let i = 0; i < names.length; i += 1) {
+        if (w[i] > 0) out.set(names[i], w[i]);
+      }
+      return out;
+    },
+
+    // weights 为 weightsFor 的结果（null 表示在 files 之间等权）；返回 { exposure, forecast }，forecast 为调整前的组合年化波动率估计
+    exposureFor(plan, files, weights, seriesByFile) {
+      if (volTarget === null) return null;
+      const names = weights ? Array.from(weights.keys()) : files.slice();
+      if (!names.length) return { exposure: 1, forecast: Number.NaN };
+      const w = weights ? names.map((f) => weights.get(f)) : names.map(() => 1 / names.length);
+      const { cov } = covarianceMatrix(names, seriesByFile, plan.buyYmd, lookback, volEstimator, ewmaLambda);
+      const forecast = cov ? portfolioVolatility(w, cov) * Math.sqrt(TRADING_DAYS_PER_YEAR) : Number.NaN;
+      if (!isPositive(forecast)) return { exposure: Math.min(1, maxLeverage), forecast };
+      return { exposure: Math.min(volTarget / forecast, maxLeverage), forecast };
+    },
+  };
+}
+
+module.exports = {
+  WEIGHTING_SCHEMES,
+  VOL_ESTIMATORS,
+  dailyVolatility,
+  createWeighting,
+};
@@ -25,7 +25,7 @@ function toFiniteOrDefault(value, fallback) {
  * 口径（由引擎保证）：
  * - 周期首个交易日买入（收盘价_复权），周期最后一个交易日卖出（收盘价_复权）
  * - 策略只能使用 asOfYmd（买入日前一交易日）及更早数据生成信号，避免未来函数
- * - 返回 picks：要买入的股票 file 列表（如 sh600000.csv）
+ * - 返回 picks：要买入的股票列表，元素为 { file, score }（file 如 sh600000.csv；score 供 --weighting=score 使用）
  *
  * 你可以直接改这个文件，或者复制成新文件再用 `--strategy-file=...` 指定。
  */
@@ -49,13 +49,14 @@ function strategy(ctx) {
   const pickLimit = Number.isFinite(params.pickLimit) ? params.pickLimit : null;
   const minAmount = toFiniteOrDefault(params.minAmount, 0); // 当日最小成交额
   const maxFloatCap = toFiniteOrDefault(params.maxFloatCap, Number.POSITIVE_INFINITY); // 当日最大流通市值
-  const minPrice = toFiniteOrDefault(params.minPrice, 0); // 信号日最低复权收盘价
+  const minPrice = toFiniteOrDefault(params.minPrice, 0); // 信号日最低收盘价（实际价格，不复权）
 
   const picks = [];
 
   for (const s of universe) {
     if (!s || !Array.isArray(s.datesYmd) || !Array.isArray(s.closeAdj)) continue;
-    if (excludeSt && isStName(s.stockName)) continue;
+    // ST 看信号日当天的名称（之后才戴帽 / 已经摘帽的不受影响）；引擎没提供 util.isStAsOf 时退回 stockName
+    if (excludeSt && (typeof util.isStAsOf === 'function' ? util.isStAsOf(s, asOfYmd) : isStName(s.stockName))) continue;
 
     // 信号日 index（必须用 asOfYmd，而不是 buyYmd）
     const idx = typeof util.indexOfDate === 'function' ? util.indexOfDate(s.datesYmd, asOfYmd) : -1;
@@ -70,8 +71,10 @@ function strategy(ctx) {
     const m = maMid[idx];
     const l = maSlow[idx];
     if (!isFiniteNumber(f) || !isFiniteNumber(m) || !isFiniteNumber(l)) continue;
-    const close = s.closeAdj[idx];
-    if (!isFiniteNumber(close) || close < minPrice) continue;
+    if (!isFiniteNumber(s.closeAdj[idx])) continue;
+    // 价格过滤看实际价格：复权价会随除权（尤其后复权）漂移；没有原始价列时退回复权价
+    const rawClose = Array.isArray(s.close) && isFiniteNumber(s.close[idx]) ? s.close[idx] : s.closeAdj[idx];
+    if (rawClose < minPrice) continue;
 
     // 可配置阈值过滤（不传参数就不生效）
     if (minAmount > 0) {
@@ -92,9 +95,8 @@ function strategy(ctx) {
 
   // 打分排序后返回（引擎还会按 --pick-limit 再截断一次）
   picks.sort((a, b) => b.score - a.score);
-  const out = picks.map((p) => p.file);
-  if (pickLimit && out.length > pickLimit) return { picks: out.slice(0, pickLimit) };
-  return { picks: out };
+  if (pickLimit && picks.length > pickLimit) return { picks: picks.slice(0, pickLimit) };
+  return { picks };
 }
 
 module.exports = { strategy };
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { simulatePortfolioPeriodicIdeal } = require('../src/backtestPortfolio');
+
+const DATES = [20240102, 20240103, 20240104, 20240105, 20240108];
+
+// 合成个股序列：bars 为 { ymd, open, high, low, close, preClose, volume }，复权价等于原始价
+function makeSeries(file, bars) {
+  const col = (key) => bars.map((b) => b[key]);
+  return {
+    file,
+    stockCode: file.replace(/\.csv$/, ''),
+    stockName: '测试股份',
+    datesYmd: col('ymd'),
+    open: col('open'),
+    high: col('high'),
+    low: col('low'),
+    close: col('close'),
+    preClose: col('preClose'),
+    volume: col('volume'),
+    amount: bars.map((b) => b.close * b.volume),
+    openAdj: col('open'),
+    highAdj: col('high'),
+    lowAdj: col('low'),
+    closeAdj: col('close'),
+  };
+}
+
+// 平盘交易日：开高低收都在 close 附近，前收盘为上一天收盘
+function flatBars(closes, dates = DATES) {
+  return closes.map((close, i) => ({
+    ymd: dates[i],
+    open: close,
+    high: close * 1.01,
+    low: close * 0.99,
+    close,
+    preClose: i ? closes[i - 1] : close,
+    volume: 1e6,
+  }));
+}
+
+// 单期：第 1 个交易日买入、第 3 个交易日卖出，只选第一只
+function run(series, { fillMode = 'realistic' } = {}) {
+  return simulatePortfolioPeriodicIdeal({
+    seriesByFile: new Map(series.map((s) => [s.file, s])),
+    marketDatesAsc: DATES,
+    periodPlans: [{ periodKey: 'P1', buyYmd: DATES[0], sellYmd: DATES[2], picks: [series[0].file] }],
+  }, {
+    startYmd: DATES[0],
+    endYmd: DATES[DATES.length - 1],
+    initialCapital: 100000,
+    fillMode,
+  });
+}
+
+test('realistic：买入日一字涨停买不进，ideal 照常买入', () => {
+  const bars = flatBars([10, 10, 10, 10, 10]);
+  // 前收 10、开高低收都是 11：主板一字涨停
+  Object.assign(bars[0], { open: 11, high: 11, low: 11, close: 11, preClose: 10 });
+  const s = makeSeries('sh600001.csv', bars);
+
+  const realistic = run([s]);
+  assert.equal(realistic.blocked.buyLimitUp, 1);
+  assert.equal(realistic.trades.length, 0);
+  assert.equal(realistic.finalEquity, 100000);
+
+  const ideal = run([s], { fillMode: 'ideal' });
+  assert.equal(ideal.blocked.buyLimitUp, 0);
+  assert.equal(ideal.trades.length, 1);
+});
+
+test('realistic：卖出日收盘跌停顺延到下一个可卖日', () => {
+  const bars = flatBars([10, 10, 9, 9.5, 9.5]);
+  // 卖出日收盘 9 = 前收 10 的跌停价（非一字，收盘价卖出仍算卖不出）
+  Object.assign(bars[2], { open: 9.8, high: 9.9, low: 9, close: 9, preClose: 10 });
+  const s = makeSeries('sh600001.csv', bars);
+
+  const r = run([s]);
+  assert.equal(r.blocked.sellLimitDown, 1);
+  assert.equal(r.trades.length, 1);
+  assert.equal(r.trades[0].exitDate, DATES[3]);
+  assert.equal(r.trades[0].exitPrice, 9.5);
+  assert.equal(r.finalEquity, 95000);
+});
+
+test('realistic：卖不出且之后再无记录的持仓按最后有效价退市离场', () => {
+  // 数据在第 2 个交易日后截止：卖出日与之后都没有记录
+  const s = makeSeries('sz000003.csv', flatBars([10, 8]));
+
+  const r = run([s]);
+  assert.equal(r.blocked.delisted, 1);
+  assert.equal(r.blocked.sellSuspended, 0);
+  assert.equal(r.trades.length, 1);
+  assert.deepEqual(
+    { exitDate: r.trades[0].exitDate, exitPrice: r.trades[0].exitPrice, reason: r.trades[0].reason },
+    { exitDate: DATES[2], exitPrice: 8, reason: 'delisted' },
+  );
+  // 离场后全部是现金：之后每天净值不变
+  const tail = r.equityCurve.filter((p) => p.date >= DATES[2]).map((p) => p.equity);
+  assert.ok(tail.every((x) => Math.abs(x - 80000) < 1e-6));
+  assert.ok(Math.abs(r.finalEquity - 80000) < 1e-6);
+});
+
+test('realistic：停牌后复牌的持仓不算退市，复牌日卖出', () => {
+  const bars = flatBars([10, 10, 10, 11, 11]);
+  bars[2].volume = 0;
+  const s = makeSeries('sh600001.csv', bars);
+
+  const r = run([s]);
+  assert.equal(r.blocked.sellSuspended, 1);
+  assert.equal(r.blocked.delisted, 0);
+  assert.equal(r.trades[0].exitDate, DATES[3]);
+  assert.equal(r.trades[0].reason, 'period_exit_delayed');
+});
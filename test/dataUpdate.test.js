@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const { mergeRows, updateDataDir } = require('../src/dataUpdate');
+
+const COLUMNS = ['股票代码', '股票名称', '交易日期', '开盘价', '收盘价', '收盘价_复权'];
+const DATE_IDX = COLUMNS.indexOf('交易日期');
+
+const target = (rows) => ({ columns: COLUMNS, dateIdx: DATE_IDX, dateStyle: '-', rows });
+const updatesOf = (entries) => new Map(entries.map(([ymd, values]) => [ymd, { values, source: 'test' }]));
+
+test('mergeRows：同日已有行只改更新里有值的列，复权价等其余列保留', () => {
+  const r = mergeRows(
+    target([['sh600000', '浦发银行', '2024-01-02', '10', '10.1', '55.5']]),
+    updatesOf([[20240102, { 交易日期: '20240102', 开盘价: '10.2', 收盘价: '10.3', 收盘价_复权: '' }]]),
+    { stockCode: 'sh600000' },
+  );
+  assert.deepEqual(r.rows, [['sh600000', '浦发银行', '2024-01-02', '10.2', '10.3', '55.5']]);
+  assert.equal(r.replaced, 1);
+  assert.equal(r.added, 0);
+  assert.deepEqual(r.missingRequired, []);
+  assert.equal(r.blankedColumns.size, 0);
+});
+
+test('mergeRows：内容没变不算覆盖', () => {
+  const r = mergeRows(
+    target([['sh600000', '浦发银行', '2024-01-02', '10', '10.1', '55.5']]),
+    updatesOf([[20240102, { 收盘价: '10.1' }]]),
+    { stockCode: 'sh600000' },
+  );
+  assert.equal(r.replaced, 0);
+});
+
+test('mergeRows：replaceRows 整行替换，更新里没有的列留空并报告缺必要列', () => {
+  const r = mergeRows(
+    target([['sh600000', '浦发银行', '2024-01-02', '10', '10.1', '55.5']]),
+    updatesOf([[20240102, { 开盘价: '10.2', 收盘价: '10.3' }]]),
+    { stockCode: 'sh600000', replaceRows: true },
+  );
+  // 股票代码、股票名称、交易日期沿用原行写法
+  assert.deepEqual(r.rows, [['sh600000', '浦发银行', '2024-01-02', '10.2', '10.3', '']]);
+  assert.equal(r.replaced, 1);
+  assert.deepEqual(r.missingRequired, [{ ymd: 20240102, columns: ['收盘价_复权'] }]);
+  assert.ok(r.blankedColumns.has('收盘价_复权'));
+});
+
+test('mergeRows：文件里重复的交易日只留最后一条，按日期升序，无法解析日期的行放在末尾', () => {
+  const r = mergeRows(
+    target([
+      ['sh600000', '浦发银行', '2024-01-03', '11', '11', '60'],
+      ['sh600000', '浦发银行', '坏日期', '0', '0', '0'],
+      ['sh600000', '浦发银行', '2024-01-02', '9', '9', '50'],
+      ['sh600000', '浦发银行', '2024-01-02', '10', '10', '55'],
+    ]),
+    updatesOf([]),
+    { stockCode: 'sh600000' },
+  );
+  assert.equal(r.deduped, 1);
+  assert.deepEqual(r.rows.map((x) => x[DATE_IDX]), ['2024-01-02', '2024-01-03', '坏日期']);
+  assert.equal(r.rows[0][4], '10');
+});
+
+test('mergeRows：新增行沿用目标文件的日期写法与最后一条记录的名称，缺的列留空', () => {
+  const r = mergeRows(
+    target([['sh600000', '浦发银行', '2024-01-02', '10', '10.1', '55.5']]),
+    updatesOf([[20240103, { 交易日期: '20240103', 收盘价: '10.4', 收盘价_复权: '57.1', 换手率: '1.2' }]]),
+    { stockCode: 'sh600000' },
+  );
+  assert.deepEqual(r.rows[1], ['sh600000', '浦发银行', '2024-01-03', '', '10.4', '57.1']);
+  assert.equal(r.added, 1);
+  assert.deepEqual(Array.from(r.blankedColumns), ['开盘价']);
+  assert.deepEqual(Array.from(r.unknownColumns), ['换手率']);
+  assert.deepEqual(r.missingRequired, []);
+});
+
+test('updateDataDir：新增行缺必要列时报错，一个文件都不写', (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'data-update-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const dataDir = path.join(root, 'stock');
+  const updateDir = path.join(root, 'daily');
+  fs.mkdirSync(dataDir);
+  fs.mkdirSync(updateDir);
+  const original = `${COLUMNS.join(',')}\nsh600000,浦发银行,2024-01-02,10,10.1,55.5\n`;
+  fs.writeFileSync(path.join(dataDir, 'sh600000.csv'), original);
+  fs.writeFileSync(path.join(updateDir, '20240103.csv'), '股票代码,收盘价,收盘价_复权\nsh600000,10.4,57.1\nsz000001,9.9,\n');
+
+  const opts = { dataDir, updateDir, encoding: 'utf8', updateEncoding: 'utf8' };
+  assert.throws(() => updateDataDir(opts), /缺少必要列.*sz000001\.csv 20240103（股票名称、收盘价_复权）/);
+  assert.equal(fs.readFileSync(path.join(dataDir, 'sh600000.csv'), 'utf8'), original);
+  assert.deepEqual(fs.readdirSync(dataDir), ['sh600000.csv']);
+
+  // 去掉有问题的行后正常合并：只追加新的一天，原有行原样保留
+  fs.writeFileSync(path.join(updateDir, '20240103.csv'), '股票代码,收盘价,收盘价_复权\nsh600000,10.4,57.1\n');
+  const result = updateDataDir(opts);
+  assert.deepEqual(result.updated, [{ file: 'sh600000.csv', added: 1, replaced: 0, deduped: 0 }]);
+  assert.equal(
+    fs.readFileSync(path.join(dataDir, 'sh600000.csv'), 'utf8'),
+    `${original}sh600000,浦发银行,2024-01-03,,10.4,57.1\n`,
+  );
+});
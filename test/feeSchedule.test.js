@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const { loadFeeSchedule, createFeeCalculator } = require('../src/feeSchedule');
+
+const fees = createFeeCalculator({ feeSchedule: loadFeeSchedule(path.join(__dirname, '..', 'fee-schedule.json')) });
+
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+test('印花税：2008-09-19 起买入不再收取，生效日当天即按新规则', () => {
+  near(fees.buy('sz000001.csv', 20080918, 100000, 10000).stampDuty, 100);
+  near(fees.buy('sz000001.csv', 20080919, 100000, 10000).stampDuty, 0);
+  near(fees.sell('sz000001.csv', 20080919, 100000, 10000).stampDuty, 100);
+});
+
+test('印花税：2023-08-28 起卖出减半', () => {
+  near(fees.sell('sh600000.csv', 20230825, 100000, 10000).stampDuty, 100);
+  near(fees.sell('sh600000.csv', 20230828, 100000, 10000).stampDuty, 50);
+});
+
+test('过户费：沪市按股数计费到 2015-08-01 前，之后沪深统一按成交金额', () => {
+  // 10000 股：2012-09-01 前每千股 1 元，之后 0.6 元
+  near(fees.buy('sh600000.csv', 20120831, 100000, 10000).transferFee, 10);
+  near(fees.buy('sh600000.csv', 20120901, 100000, 10000).transferFee, 6);
+  near(fees.buy('sh600000.csv', 20150731, 100000, 10000).transferFee, 6);
+  near(fees.buy('sh600000.csv', 20150801, 100000, 10000).transferFee, 2);
+  // 深市在统一收取前没有过户费
+  near(fees.buy('sz000001.csv', 20150731, 100000, 10000).transferFee, 0);
+  near(fees.buy('sz000001.csv', 20150801, 100000, 10000).transferFee, 2);
+  near(fees.buy('sz000001.csv', 20220429, 100000, 10000).transferFee, 1);
+});
+
+test('过户费：按股数计费时单笔不足 1 元按 1 元收', () => {
+  near(fees.buy('sh600000.csv', 20120901, 5000, 500).transferFee, 1);
+});
+
+test('佣金：单笔最低 5 元，总额为各项之和', () => {
+  const small = fees.buy('sz000001.csv', 20240102, 10000, 1000);
+  near(small.commission, 5);
+  const big = fees.sell('sz000001.csv', 20240102, 100000, 10000);
+  near(big.commission, 25);
+  near(big.total, big.commission + big.stampDuty + big.transferFee);
+});
+
+test('费率表 since 不是 YYYYMMDD 时报错并指出位置', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fee-schedule-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'fees.json');
+  fs.writeFileSync(file, JSON.stringify({ stampDuty: [{ since: '2023-08-28', rate: 0.0005 }] }));
+  assert.throws(() => loadFeeSchedule(file), /stampDuty\[0\]\.since 必须是 YYYYMMDD/);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const { NUMERIC_COLUMNS, createSeriesCache } = require('../src/seriesCache');
+
+// 临时目录：一个数据文件 + 一个缓存目录，测试结束后删除
+function setup(t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'series-cache-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const file = path.join(root, 'sh600000.csv');
+  fs.writeFileSync(file, '股票代码,交易日期,收盘价_复权\nsh600000,2024-01-02,10\n');
+  return { file, cacheDir: path.join(root, '.cache') };
+}
+
+function sampleEntry() {
+  const columns = {};
+  for (const name of NUMERIC_COLUMNS) columns[name] = Float64Array.from([1, Number.NaN]);
+  columns.datesYmd = Float64Array.from([20240102, 20240103]);
+  return {
+    stockCode: 'sh600000',
+    stockName: '浦发银行',
+    stockNameByDay: ['浦发银行', '浦发银行'],
+    industry: '银行',
+    columns,
+    extra: { 换手率: Float64Array.from([0.5, 0.6]), 备注: ['a', 'b'] },
+  };
+}
+
+test('命中时原样还原数值列、文本列与自定义列', (t) => {
+  const { file, cacheDir } = setup(t);
+  const cache = createSeriesCache({ cacheDir, encoding: 'gbk' });
+  cache.put(file, fs.statSync(file), sampleEntry());
+
+  const hit = cache.get(file, fs.statSync(file));
+  assert.ok(hit);
+  assert.deepEqual(Array.from(hit.columns.datesYmd), [20240102, 20240103]);
+  assert.ok(Number.isNaN(hit.columns.closeAdj[1]));
+  assert.deepEqual(Array.from(hit.extra['换手率']), [0.5, 0.6]);
+  assert.deepEqual(hit.extra['备注'], ['a', 'b']);
+  assert.equal(hit.industry, '银行');
+  assert.deepEqual(cache.stats, { hits: 1, misses: 0, writes: 1, errors: 0 });
+});
+
+test('数据文件 mtime 变了即失效', (t) => {
+  const { file, cacheDir } = setup(t);
+  const cache = createSeriesCache({ cacheDir, encoding: 'gbk' });
+  cache.put(file, fs.statSync(file), sampleEntry());
+
+  const later = new Date(fs.statSync(file).mtimeMs + 5000);
+  fs.utimesSync(file, later, later);
+  assert.equal(cache.get(file, fs.statSync(file)), null);
+  assert.equal(cache.stats.misses, 1);
+});
+
+test('数据文件大小、编码或列映射变了即失效', (t) => {
+  const { file, cacheDir } = setup(t);
+  const stat = fs.statSync(file);
+  createSeriesCache({ cacheDir, encoding: 'gbk' }).put(file, stat, sampleEntry());
+
+  assert.equal(createSeriesCache({ cacheDir, encoding: 'gbk' }).get(file, { ...stat, size: stat.size + 1 }), null);
+  assert.equal(createSeriesCache({ cacheDir, encoding: 'utf8' }).get(file, stat), null);
+  assert.equal(createSeriesCache({ cacheDir, encoding: 'gbk', columnMapKey: '{"收盘价":"close"}' }).get(file, stat), null);
+  assert.ok(createSeriesCache({ cacheDir, encoding: 'gbk' }).get(file, stat));
+});
+
+test('invalidate 删除缓存；rebuild 忽略已有缓存；损坏的缓存当作未命中', (t) => {
+  const { file, cacheDir } = setup(t);
+  const stat = fs.statSync(file);
+  const cache = createSeriesCache({ cacheDir, encoding: 'gbk' });
+  cache.put(file, stat, sampleEntry());
+
+  assert.equal(createSeriesCache({ cacheDir, encoding: 'gbk', rebuild: true }).get(file, stat), null);
+
+  const [bin] = fs.readdirSync(cacheDir);
+  fs.writeFileSync(path.join(cacheDir, bin), 'broken');
+  assert.equal(cache.get(file, stat), null);
+
+  cache.put(file, stat, sampleEntry());
+  assert.equal(cache.invalidate(file), true);
+  assert.equal(cache.invalidate(file), false);
+  assert.equal(cache.get(file, stat), null);
+});